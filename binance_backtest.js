@@ -0,0 +1,125 @@
+/**
+ * Binance Futures Trading Bot - Backtest
+ *
+ * Replays stored 1m candles through the scanner's entry strategy and the
+ * manager's take-profit exit on the simulated exchange, and reports trades,
+ * win rate, max drawdown, funding paid and liquidations.
+ *
+ * Data directory layout (one pair of files per symbol):
+ *   <SYMBOL>_1m.csv | <SYMBOL>_1m.json            timestamp,open,high,low,close,volume
+ *   <SYMBOL>_funding.csv | <SYMBOL>_funding.json  fundingTime,fundingRate (optional)
+ *
+ * Usage:
+ *   node binance_backtest.js --data ./data [--symbols DOGEUSDT,XRPUSDT]
+ *       [--balance 1000] [--leverage 3] [--position-usdt 5] [--fee 0.0005]
+ *       [--profit 0.03] [--sell-rsi 80] [--buy-rsi 10] [--max-price 1]
+ *       [--sides short|long|both] [--max-positions 1] [--funding-rate 0.0001]
+ *       [--strategy rsi_extreme|ema_trend_rsi|bollinger_reversion|./custom.js]
+ *       [--strategy-options '{"emaPeriod":100}'] [--json report.json]
+ *
+ * Defaults match the constants of binance_list_open.js and binance_support_close.js.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { loadRecordedSeries, runBacktest } from './src/backtest.js';
+import { loadStrategy } from './src/strategies/index.js';
+
+// ────────────────────────────────────────────────
+// ANSI color codes for console output
+// ────────────────────────────────────────────────
+const RESET = '\x1b[0m';
+const RED = '\x1b[31m';
+const GREEN = '\x1b[32m';
+const YELLOW = '\x1b[33m';
+const CYAN = '\x1b[36m';
+
+const { values: args } = parseArgs({
+    options: {
+        data: { type: 'string', default: './data' },
+        symbols: { type: 'string' },
+        balance: { type: 'string', default: '1000' },
+        leverage: { type: 'string', default: '3' },
+        'position-usdt': { type: 'string', default: '5' },
+        fee: { type: 'string', default: '0.0005' },
+        profit: { type: 'string', default: '0.03' },
+        'rsi-period': { type: 'string', default: '5' },
+        'sell-rsi': { type: 'string', default: '80' },
+        'buy-rsi': { type: 'string', default: '10' },
+        'max-price': { type: 'string', default: '1' },
+        sides: { type: 'string', default: 'short' },
+        'max-positions': { type: 'string', default: '1' },
+        'funding-rate': { type: 'string', default: '0.0001' },
+        strategy: { type: 'string', default: 'rsi_extreme' },
+        'strategy-options': { type: 'string', default: '{}' },
+        json: { type: 'string' }
+    }
+});
+
+const formatTime = (timestamp) => new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19);
+
+const main = async () => {
+    const series = await loadRecordedSeries(args.data, args.symbols?.split(','));
+    if (series.length === 0) {
+        console.error(`${RED}No <SYMBOL>_1m.csv / .json files found in ${args.data}${RESET}`);
+        process.exit(1);
+    }
+    console.log(` Replaying ${CYAN}${series.length}${RESET} symbols, ${CYAN}${series.reduce((n, s) => n + s.candles.length, 0)}${RESET} candles`);
+
+    const strategy = await loadStrategy(args.strategy, {
+        rsiPeriod: Number(args['rsi-period']),
+        sellRsiThreshold: Number(args['sell-rsi']),
+        buyRsiThreshold: Number(args['buy-rsi']),
+        maxPrice: Number(args['max-price']),
+        short: args.sides !== 'long',
+        long: args.sides !== 'short',
+        ...JSON.parse(args['strategy-options'])
+    });
+    console.log(` Strategy: ${CYAN}${strategy.name}${RESET}`);
+
+    const report = await runBacktest({
+        series,
+        strategy,
+        balance: Number(args.balance),
+        leverage: Number(args.leverage),
+        positionUsdt: Number(args['position-usdt']),
+        takerFee: Number(args.fee),
+        profit: Number(args.profit),
+        maxActivePositions: Number(args['max-positions']),
+        fundingRate: Number(args['funding-rate'])
+    });
+
+    if (report.trades.length > 0) {
+        console.table(report.trades.map(trade => ({
+            symbol: trade.symbol,
+            side: trade.side,
+            entry: formatTime(trade.entryTime),
+            exit: formatTime(trade.exitTime),
+            entryPrice: trade.entryPrice,
+            exitPrice: trade.exitPrice,
+            funding: Number(trade.funding.toFixed(4)),
+            pnl: Number(trade.pnl.toFixed(4)),
+            reason: trade.reason
+        })));
+    }
+
+    const { stats } = report;
+    console.log(` Trades: ${CYAN}${stats.totalTrades}${RESET} (${GREEN}${stats.wins} won${RESET} / ${RED}${stats.losses} lost${RESET}), still open: ${report.openTrades.length}`);
+    console.log(` Win rate: ${YELLOW}${(stats.winRate * 100).toFixed(2)}%${RESET}`);
+    console.log(` Net PnL: ${stats.netPnl >= 0 ? GREEN : RED}${stats.netPnl.toFixed(4)} USDT${RESET}`);
+    console.log(` Fees: ${stats.fees.toFixed(4)} USDT`);
+    console.log(` Funding paid: ${stats.fundingPaid > 0 ? RED : GREEN}${stats.fundingPaid.toFixed(4)} USDT${RESET}`);
+    console.log(` Liquidations: ${stats.liquidations > 0 ? RED : GREEN}${stats.liquidations}${RESET}`);
+    console.log(` Max drawdown: ${RED}${stats.maxDrawdown.toFixed(4)} USDT (${(stats.maxDrawdownPct * 100).toFixed(2)}%)${RESET}`);
+    console.log(` Equity: ${stats.startBalance} → ${stats.endEquity.toFixed(4)} USDT`);
+
+    if (args.json) {
+        await writeFile(args.json, JSON.stringify(report, null, 2));
+        console.log(` Report written to ${args.json}`);
+    }
+};
+
+main().catch(error => {
+    console.error(`${RED}Backtest failed: ${error.message}${RESET}`);
+    process.exit(1);
+});
@@ -0,0 +1,29 @@
+/**
+ * Binance Futures Trading Bot - Combined Service
+ *
+ * Runs the entry scanner (binance_list_open.js) and the position manager
+ * (binance_support_close.js) in one process, as components of the supervisor
+ * (src/supervisor.js):
+ *  • One exchange adapter, symbol-metadata cache and journal for both, and one
+ *    request scheduler (src/request_scheduler.js) in which orders go first
+ *  • Event bus between the components: a position the scanner opens goes
+ *    straight into the manager's position book
+ *  • Heartbeats: a component that stops beating is reported on the console and
+ *    on Telegram (and on GET /api/health of both dashboards)
+ *  • Graceful shutdown on SIGINT / SIGTERM: new entries stop, in-flight orders and
+ *    closes finish, then the journal is closed; a second signal exits at once
+ *
+ * The manager loads first, so its crash recovery starts before the scanner
+ * streams. Both scripts still run on their own (npm run start:scanner / start:manager).
+ *
+ * @requires the same .env as the two scripts
+ */
+
+import { getSupervisor } from './src/supervisor.js';
+
+// Must exist before the components load: they find it already combined
+getSupervisor({ combined: true });
+console.clear();
+
+await import('./binance_support_close.js');
+await import('./binance_list_open.js');
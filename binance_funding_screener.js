@@ -0,0 +1,129 @@
+/**
+ * Binance Futures Trading Bot - Funding-rate screener
+ *
+ * Ranks every USDT perpetual by current and predicted funding, annualized rate,
+ * open interest and 24 h volume, and flags extreme funding outliers
+ * (src/funding_screener.js). Settings come from the screener section of config.json.
+ *
+ * Usage:
+ *   node binance_funding_screener.js [--sort funding|predicted|annualized|oi|volume] [--top 10]
+ *       [--csv funding.csv] [--json funding.json] [--telegram] [--cron]
+ *
+ * --top defaults to screener.top. --csv / --json export every screened contract.
+ * --telegram sends the digest once; --cron keeps running and repeats the report, exports
+ * and digest on screener.schedule (node-cron syntax, UTC).
+ *
+ * @requires node-cron, node-telegram-bot-api
+ * @requires .env file with TELEGRAM_TOKEN, TELEGRAM_CHAT_ID for the digest
+ */
+
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+import cron from 'node-cron';
+import TelegramBot from 'node-telegram-bot-api';
+import { createExchange } from './src/exchange.js';
+import { createConfigStore, getConfigValue } from './src/config.js';
+import { SORT_FIELDS, formatFundingDigest, formatFundingRow, rankFundingRows, runFundingScreener, toFundingCsv } from './src/funding_screener.js';
+
+dotenv.config();
+
+// ────────────────────────────────────────────────
+// ANSI color codes for console output
+// ────────────────────────────────────────────────
+const RESET = '\x1b[0m';
+const RED = '\x1b[31m';
+const GREEN = '\x1b[32m';
+const YELLOW = '\x1b[33m';
+const CYAN = '\x1b[36m';
+
+const { values: args } = parseArgs({
+    options: {
+        sort: { type: 'string', default: 'funding' },
+        top: { type: 'string' },
+        csv: { type: 'string' },
+        json: { type: 'string' },
+        telegram: { type: 'boolean', default: false },
+        cron: { type: 'boolean', default: false }
+    }
+});
+
+/**
+ * Print the ranked rows, write the exports and send the digest
+ * @param {import('./src/exchange.js').ExchangeAdapter} exchange
+ * @param {ReturnType<typeof createConfigStore>} config
+ * @param {TelegramBot|null} bot
+ */
+const report = async (exchange, config, bot) => {
+    const settings = config.get().screener;
+    const top = Number(args.top) || settings.top;
+    const result = await runFundingScreener(exchange, settings);
+    const ranked = rankFundingRows(result.rows, args.sort);
+    const outliers = ranked.filter(row => row.flags.length > 0);
+
+    console.log(` Funding screener ${CYAN}${new Date(result.time).toISOString()}${RESET}: ${result.rows.length} contracts ≥ ${settings.minQuoteVolumeUsdt} USDT 24 h volume, top ${top} by ${args.sort}`);
+    console.table(ranked.slice(0, top).map(formatFundingRow));
+    if (outliers.length > 0) {
+        console.log(` ${YELLOW}Outliers${RESET}: ${outliers.map(row => `${row.fundingRate >= 0 ? RED : GREEN}${row.symbol}${RESET} ${(row.fundingRate * 100).toFixed(4)}% (${row.flags.join(' ')})`).join(', ')}`);
+    }
+
+    if (args.csv) {
+        writeFileSync(args.csv, toFundingCsv(ranked));
+        console.log(` CSV written to ${CYAN}${args.csv}${RESET}`);
+    }
+    if (args.json) {
+        writeFileSync(args.json, `${JSON.stringify({ time: result.time, sort: args.sort, rows: ranked }, null, 2)}\n`);
+        console.log(` JSON written to ${CYAN}${args.json}${RESET}`);
+    }
+    if (bot) {
+        try {
+            await bot.sendMessage(process.env.TELEGRAM_CHAT_ID, formatFundingDigest(result, top));
+            console.log(` Telegram digest sent`);
+        } catch (error) {
+            console.error(`${RED}Failed to send Telegram digest: ${error.message}${RESET}`);
+        }
+    }
+};
+
+const main = async () => {
+    if (!SORT_FIELDS[args.sort]) throw new Error(`Unknown --sort ${args.sort} (${Object.keys(SORT_FIELDS).join(', ')})`);
+    const config = createConfigStore({
+        onChange: (next, previous) => {
+            if (getConfigValue(next, 'screener.schedule') !== getConfigValue(previous, 'screener.schedule')) {
+                console.log(` ${YELLOW}screener.schedule changed – restart the screener to apply it${RESET}`);
+            }
+        },
+        onError: (error) => console.error(`${RED}${error.message}${RESET}\n Keeping the previous configuration.`)
+    });
+    const { schedule } = config.get().screener;
+    if (args.cron && !cron.validate(schedule)) throw new Error(`screener.schedule "${schedule}" is not a valid cron expression`);
+
+    let bot = null;
+    if (args.telegram || args.cron) {
+        if (config.get().telegram.enabled && process.env.TELEGRAM_TOKEN && process.env.TELEGRAM_CHAT_ID) {
+            bot = new TelegramBot(process.env.TELEGRAM_TOKEN, { polling: false });
+        } else if (args.telegram) {
+            throw new Error('--telegram needs telegram.enabled and TELEGRAM_TOKEN / TELEGRAM_CHAT_ID in .env');
+        }
+    }
+
+    const exchange = await createExchange();
+    if (!args.cron) {
+        config.close();
+        await report(exchange, config, bot);
+        return;
+    }
+
+    // A failed run is reported and retried on the next tick
+    const run = () => report(exchange, config, bot).catch(error => console.error(`${RED}${error.message}${RESET}`));
+    await run();
+    console.log(` Next reports on ${CYAN}${schedule}${RESET} (UTC)${bot ? ' with a Telegram digest' : ''}`);
+    cron.schedule(schedule, run, { name: 'funding-screener', timezone: 'UTC', noOverlap: true });
+};
+
+try {
+    await main();
+} catch (error) {
+    console.error(`${RED}Funding screener failed: ${error.message}${RESET}`);
+    process.exit(1);
+}
@@ -0,0 +1,144 @@
+/**
+ * Binance Futures Trading Bot - Trade journal query
+ *
+ * Lists what the scanner and the manager recorded in the SQLite journal
+ * (src/journal.js): trades with their linked exits, or the raw signals,
+ * orders, fills, margin adds and funding payments.
+ *
+ * Usage:
+ *   node binance_journal.js [--symbol DOGEUSDT] [--from 2024-05-01] [--to 2024-05-31]
+ *       [--type trades|exits|signals|orders|fills|margin|funding] [--limit 1000]
+ *       [--file ./data/journal.db] [--json]
+ *
+ * --from / --to accept anything Date understands; a bare date in --to covers the whole day (UTC).
+ * The default file is the journal of the EXCHANGE backend in .env (binance, paper or simulated).
+ */
+
+import { existsSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+import { defaultJournalFile, openJournal } from './src/journal.js';
+
+dotenv.config();
+
+// ────────────────────────────────────────────────
+// ANSI color codes for console output
+// ────────────────────────────────────────────────
+const RESET = '\x1b[0m';
+const RED = '\x1b[31m';
+const GREEN = '\x1b[32m';
+const YELLOW = '\x1b[33m';
+const CYAN = '\x1b[36m';
+
+// --type values and the journal tables behind them
+const TYPES = {
+    trades: 'trades',
+    exits: 'trade_exits',
+    signals: 'signals',
+    orders: 'orders',
+    fills: 'fills',
+    margin: 'margin_adds',
+    funding: 'funding_payments'
+};
+
+const { values: args } = parseArgs({
+    options: {
+        symbol: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        type: { type: 'string', default: 'trades' },
+        limit: { type: 'string', default: '1000' },
+        file: { type: 'string', default: defaultJournalFile(process.env.EXCHANGE || 'binance') },
+        json: { type: 'boolean', default: false }
+    }
+});
+
+const formatTime = (timestamp) => timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19) : '';
+
+/**
+ * Parse a --from / --to value to epoch ms
+ * @param {string|undefined} value
+ * @param {boolean} endOfDay a bare YYYY-MM-DD means the end of that day
+ * @returns {number|undefined}
+ */
+const parseDate = (value, endOfDay) => {
+    if (value === undefined) return undefined;
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) throw new Error(`Invalid date: ${value}`);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+};
+
+/**
+ * Readable row: times formatted, numbers shortened
+ * @param {Object} row
+ * @returns {Object}
+ */
+const formatRow = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => {
+    if (value !== null && (key === 'time' || key.endsWith('_at'))) return [key, formatTime(value)];
+    if (typeof value === 'number' && !Number.isInteger(value)) return [key, Number(value.toPrecision(8))];
+    return [key, value];
+}));
+
+const main = () => {
+    const table = TYPES[args.type];
+    if (!table) throw new Error(`Unknown --type ${args.type} (${Object.keys(TYPES).join(', ')})`);
+    if (!existsSync(args.file)) throw new Error(`No journal at ${args.file}`);
+
+    const journal = openJournal({ file: args.file });
+    const filter = {
+        symbol: args.symbol?.toUpperCase(),
+        from: parseDate(args.from, false),
+        to: parseDate(args.to, true),
+        limit: Number(args.limit)
+    };
+    const rows = journal.query(table, filter);
+    const exits = table === 'trades' ? journal.query('trade_exits', { symbol: filter.symbol, limit: Number.MAX_SAFE_INTEGER }) : [];
+    journal.close();
+
+    if (args.json) {
+        const output = table === 'trades'
+            ? rows.map(trade => ({ ...trade, exits: exits.filter(exit => exit.trade_id === trade.id).reverse() }))
+            : rows;
+        console.log(JSON.stringify(output, null, 2));
+        return;
+    }
+
+    console.log(` Journal ${CYAN}${args.file}${RESET}: ${rows.length} ${args.type}${filter.symbol ? ` of ${YELLOW}${filter.symbol}${RESET}` : ''}${args.from || args.to ? ` (${args.from ?? '…'} → ${args.to ?? '…'})` : ''}`);
+    if (rows.length === 0) return;
+
+    if (table !== 'trades') {
+        console.table(rows.map(formatRow));
+        return;
+    }
+
+    console.table(rows.map(trade => ({
+        id: trade.id,
+        symbol: trade.symbol,
+        side: trade.position_side,
+        status: trade.status,
+        origin: trade.origin,
+        opened: formatTime(trade.opened_at),
+        closed: formatTime(trade.closed_at),
+        entryPrice: trade.entry_price,
+        exitPrice: trade.exit_price,
+        exits: exits.filter(exit => exit.trade_id === trade.id).length,
+        pnl: Number(trade.realized_pnl.toFixed(4)),
+        funding: Number(trade.funding_paid.toFixed(4)),
+        marginAdded: trade.margin_added,
+        reason: trade.close_reason
+    })));
+
+    const closed = rows.filter(trade => trade.status === 'closed');
+    const netPnl = closed.reduce((sum, trade) => sum + trade.realized_pnl - trade.funding_paid, 0);
+    const wins = closed.filter(trade => trade.realized_pnl - trade.funding_paid > 0).length;
+    console.log(` Closed: ${CYAN}${closed.length}${RESET} (${GREEN}${wins} won${RESET} / ${RED}${closed.length - wins} lost${RESET}), open: ${rows.length - closed.length}`);
+    if (closed.length > 0) console.log(` Win rate: ${YELLOW}${(wins / closed.length * 100).toFixed(2)}%${RESET}`);
+    console.log(` Net PnL (after funding): ${netPnl >= 0 ? GREEN : RED}${netPnl.toFixed(4)} USDT${RESET}`);
+};
+
+try {
+    main();
+} catch (error) {
+    console.error(`${RED}Journal query failed: ${error.message}${RESET}`);
+    process.exit(1);
+}
@@ -1,45 +1,78 @@
 /**
  * Binance Futures Trading Bot - Entry Scanner
  * 
- * This script continuously scans all available USDT-margined perpetual futures contracts on Binance.
- * It calculates short-period RSI (default 5) and EMA20, then opens LONG or SHORT positions 
- * based on extreme RSI values + price < $1 filter.
+ * This script streams 1m candles, mark price and funding for all USDT-margined perpetual futures
+ * contracts on Binance (src/market_stream.js). On every closed candle it asks the configured
+ * entry strategy (src/strategies/, default: RSI(5) extremes) for a LONG / SHORT / no-trade
+ * decision, with the SHORT / LONG switches and the price < $1 filter applied on top.
  * 
  * Features:
- * - Only one active position allowed (MAX_ACTIVE_POSITIONS = 1)
- * - Fixed position size in USDT with leverage
- * - Telegram notifications on position open
+ * - Portfolio risk limits checked before every entry (src/risk_manager.js): open positions,
+ *   total / per-symbol notional, margin usage, daily loss kill switch, loss-streak cooldown
+ * - Every order checked and rounded against the symbol's exchange filters (src/symbol_metadata.js)
+ * - Tradable universe (src/universe.js): allow / deny lists plus minimum 24h volume, open interest,
+ *   listing age and leverage bracket and a maximum bid/ask spread, refreshed periodically
+ * - Position sizing: fixed USDT, percent of equity or risk-per-trade against an ATR stop, with
+ *   leverage capped by the symbol's leverage brackets and quantities rounded to its lot filters
+ * - Telegram notifications on position open; new entries can be paused with scanner.paused
+ *   (the position manager's /pause and /resume commands)
+ * - Local HTTP API + dashboard (src/http_api.js): last RSI / EMA20 / funding / signal per symbol,
+ *   trades, config and an event log, pushed live over SSE; token-protected pause / resume
+ * - Exchange-side stop-loss / take-profit orders placed at entry (src/protective_orders.js)
+ * - Multi-timeframe confirmation (src/confirmation.js): signals only traded when rules on other
+ *   timeframes agree, e.g. 1m RSI extreme and 1h EMA trend in the same direction
+ * - Pluggable entry strategies: rsi_extreme, ema_trend_rsi, bollinger_reversion or a custom module
+ * - Entries sent under a client order id (src/order_execution.js): a lost answer is resolved by
+ *   looking the order up before any resend; fill price, fees and slippage go to the journal
+ * - Signals, entries and bracket orders written to the SQLite trade journal (src/journal.js)
  * - Very short RSI period → high-frequency / scalping oriented strategy
+ * - Runs alone or next to the manager in binance_bot.js (src/supervisor.js): shared exchange
+ *   client and request scheduler, new positions handed to the manager over the event bus,
+ *   heartbeats, and a SIGINT / SIGTERM shutdown that lets the entry in flight finish
  * 
- * @requires ccxt, tulind, node-binance-api, technicalindicators, node-telegram-bot-api
+ * All exchange access goes through the execution adapter (src/exchange.js);
+ * run with EXCHANGE=simulated to scan an offline in-memory market, or
+ * EXCHANGE=paper to forward-test on live data with a persisted virtual ledger.
+ * 
+ * Trading parameters live in config.json (src/config.js) and are reloaded while running.
+ * 
+ * @requires node-telegram-bot-api, ws
  * @requires .env file with: API_KEY, API_SECRET, TELEGRAM_TOKEN, TELEGRAM_CHAT_ID
+ *           (optional HTTP_API_TOKEN for the control endpoints)
  */
 
-const MAX_ACTIVE_POSITIONS = 1;
-const POSITION_USDT = 5;
-const SELL_RSI_THRESHOLD = 80;
-const BUY_RSI_THRESHOLD = 10;
-const SHORT = true, LONG = false, NEW_TOKEN = true;
-
 // Disable unnecessary warnings and clear console
 process.removeAllListeners('warning');
 process.noDeprecation = true;
-console.clear();
 
 // ────────────────────────────────────────────────
 // External dependencies
 // ────────────────────────────────────────────────
-import ccxt from 'ccxt';
-import tulind from 'tulind';
-import Binance from 'node-binance-api';
-import axios from 'axios';
 import TelegramBot from 'node-telegram-bot-api';
 import dotenv from 'dotenv';
-import cron from 'node-cron';
-import { EMA, RSI } from 'technicalindicators';
+import { createExchange } from './src/exchange.js';
+import { createRequestScheduler } from './src/request_scheduler.js';
+import { getSupervisor } from './src/supervisor.js';
+import { createSymbolMetadata, withOrderFilters } from './src/symbol_metadata.js';
+import { createUniverse } from './src/universe.js';
+import { confirmSignal, createCandleCache } from './src/confirmation.js';
+import { loadStrategy } from './src/strategies/index.js';
+import { placeBrackets } from './src/protective_orders.js';
+import { createClientOrderId, submitOrder } from './src/order_execution.js';
+import { createMarketStream } from './src/market_stream.js';
+import { RESTART_REQUIRED, assertEnv, createConfigStore, getConfigValue } from './src/config.js';
+import { defaultJournalFile, openJournal } from './src/journal.js';
+import { calculateJournalIndicators, calculateLatestATR } from './src/signals.js';
+import { computePositionSize, getQuantityFilters } from './src/position_sizing.js';
+import { createRiskManager } from './src/risk_manager.js';
+import { addCommonRoutes, createHttpApi } from './src/http_api.js';
 
 dotenv.config();
 
+// Lifecycle, shared services and event bus; run alone, the scanner is the only component
+const supervisor = getSupervisor();
+if (!supervisor.combined) console.clear();
+
 // ────────────────────────────────────────────────
 // ANSI color codes for console output
 // ────────────────────────────────────────────────
@@ -60,14 +93,27 @@ const BRIGHT_CYAN = '\x1b[96m';
 const BRIGHT_WHITE = '\x1b[97m';
 
 // ────────────────────────────────────────────────
-// Configuration Constants
+// Configuration (config.json, hot-reloaded)
 // ────────────────────────────────────────────────
-const EXCLUDED_SYMBOLS = ['USDCUSDT'];
-const TESTING_MODE = false;
-const LEVERAGE = 3;
-const TIMEFRAME = '1m';
-const RSI_PERIOD = 5;
-const AMOUNT_PER_POSITION = POSITION_USDT * LEVERAGE;
+let config;
+try {
+    config = createConfigStore({
+        onChange: (next, previous) => {
+            console.log(` ${BRIGHT_CYAN}Config reloaded${RESET}`);
+            for (const path of RESTART_REQUIRED) {
+                if (JSON.stringify(getConfigValue(next, path)) !== JSON.stringify(getConfigValue(previous, path))) {
+                    console.log(` ${BRIGHT_YELLOW}${path} changed – restart the scanner to apply it${RESET}`);
+                }
+            }
+        },
+        onError: (error) => console.error(`${RED}${error.message}${RESET}\n Keeping the previous configuration.`)
+    });
+    assertEnv(config.get());
+} catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    process.exit(1);
+}
+supervisor.start({ getSettings: () => config.get().supervisor });
 
 // ────────────────────────────────────────────────
 // Environment variables
@@ -78,28 +124,68 @@ const API_KEY = process.env.API_KEY;
 const API_SECRET = process.env.API_SECRET;
 
 // ────────────────────────────────────────────────
-// Binance API clients initialization
+// Exchange adapter initialization
 // ────────────────────────────────────────────────
-const binance = new ccxt.binance({
-    apiKey: API_KEY,
-    secret: API_SECRET,
-    enableRateLimit: true,
-    options: {
-        defaultType: 'future'
-    }
-});
 
-const binanceOptions = new Binance().options({
-    APIKEY: API_KEY,
-    APISECRET: API_SECRET,
-    useServerTime: true,
-    test: false
+// One adapter and request scheduler per process, shared with the manager under binance_bot.js
+let exchangeServices;
+try {
+    exchangeServices = await supervisor.shared('exchange', async () => {
+        const scheduler = createRequestScheduler({ getSettings: () => config.get().rateLimit });
+        scheduler.on('backoff', ({ until, reason }) => console.log(` ${BRIGHT_RED}Binance ${reason}${RESET}: requests held for ${Math.ceil((until - Date.now()) / 1000)} s`));
+        scheduler.on('resync', ({ offsetMs }) => console.log(` ${YELLOW}Clock resynced to Binance server time${RESET} (offset ${offsetMs} ms)`));
+        const adapter = await createExchange({ scheduler });
+        // Exchange filters, re-read every 10 minutes; every order is validated and rounded against them
+        const symbolMetadata = createSymbolMetadata(adapter);
+        try {
+            await symbolMetadata.start();
+        } catch (error) {
+            throw new Error(`Failed to load exchange info: ${error.message}`);
+        }
+        return { scheduler, symbolMetadata, exchange: withOrderFilters(adapter, symbolMetadata) };
+    }, ({ symbolMetadata }) => symbolMetadata.stop());
+} catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    process.exit(1);
+}
+const { scheduler, symbolMetadata, exchange } = exchangeServices;
+
+// Contracts liquid enough to trade, re-evaluated every universe.refreshMinutes
+const universe = createUniverse(exchange, { symbolMetadata, getSettings: () => config.get().universe });
+try {
+    await universe.start();
+} catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    process.exit(1);
+}
+
+// Trade journal (SQLite), shared with the position manager
+const journal = await supervisor.shared('journal', () => openJournal({
+    file: defaultJournalFile(exchange.name),
+    onError: (error) => console.error(`${RED}${error.message}${RESET}`)
+}), (journal) => journal.close());
+
+const risk = createRiskManager({ exchange, journal, getConfig: () => config.get().risk });
+
+// Dashboard / control API (started in main() when http.enabled)
+const httpApi = createHttpApi({
+    name: 'scanner',
+    host: config.get().http.host,
+    port: config.get().http.scannerPort,
+    token: process.env.HTTP_API_TOKEN
 });
+httpApi.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+addCommonRoutes(httpApi, { exchangeName: exchange.name, config, journal, risk, supervisor, scheduler });
 
-// Telegram bot (used only for notifications)
+// Last evaluation of every symbol, served to the dashboard
+const scannerState = new Map();
+httpApi.get('/api/scanner', () => [...scannerState.values()]);
+httpApi.get('/api/universe', () => universe.getAll());
+
+// Telegram bot (notifications only; the position manager answers the commands)
 const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: false });
 
-const TELEGRAM_MESSAGE_PREFIX = ``;
+const TELEGRAM_MESSAGE_PREFIX = exchange.name === 'paper' ? `📝 [PAPER] ` : ``;
 const TELEGRAM_MESSAGE_SUFFIX = `\n- Sent from Binance`;
 
 // ────────────────────────────────────────────────
@@ -113,11 +199,23 @@ const TELEGRAM_MESSAGE_SUFFIX = `\n- Sent from Binance`;
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Print the virtual account of the paper-trading ledger (EXCHANGE=paper only)
+ */
+const printPaperSummary = () => {
+    if (!exchange.getLedgerSummary) return;
+    const ledger = exchange.getLedgerSummary();
+    const netPnl = ledger.realizedPnl - ledger.commission - ledger.funding;
+    console.log(` ${MAGENTA}PAPER TRADING${RESET} balance: ${ledger.balance.toFixed(2)} USDT (start ${ledger.initialBalance}), realized P/L: ${netPnl >= 0 ? GREEN : RED}${netPnl.toFixed(4)}${RESET} (fees ${ledger.commission.toFixed(4)}, funding ${ledger.funding.toFixed(4)})`);
+};
+
 /**
  * Sends formatted message to Telegram chat
  * @param {string} message 
  */
 const sendTelegramMessage = async (message) => {
+    httpApi.log(message);
+    if (!config.get().telegram.enabled) return;
     try {
         const formattedMessage = message.replace(/,/g, '\n');
         const finalMessage = `${TELEGRAM_MESSAGE_PREFIX}${formattedMessage}${TELEGRAM_MESSAGE_SUFFIX}`;
@@ -128,72 +226,13 @@ const sendTelegramMessage = async (message) => {
     }
 };
 
-/**
- * Fetch recent OHLCV candles using ccxt
- * @param {string} symbol e.g. BTC/USDT
- * @param {number} [limit=100]
- * @returns {Promise<Array<{timestamp:number, open:number, high:number, low:number, close:number, volume:number}>>}
- */
-const fetchOHLCV = async (symbol, limit = 100) => {
-    try {
-        const ohlcv = await binance.fetchOHLCV(symbol, TIMEFRAME, undefined, limit);
-        return ohlcv.map(candle => ({
-            timestamp: candle[0],
-            open: candle[1],
-            high: candle[2],
-            low: candle[3],
-            close: candle[4],
-            volume: candle[5]
-        }));
-    } catch (error) {
-        throw new Error(`Failed to fetch OHLCV for ${symbol}: ${error.message}`);
-    }
-};
-
-/**
- * Calculate latest RSI value using tulind
- * @param {string} symbol 
- * @returns {Promise<{symbol:string, timeframe:string, rsi:number, timestamp:number, lastClose:number, market:string}>}
- */
-const calculateRSI = async (symbol) => {
-    try {
-        const ohlcv = await fetchOHLCV(symbol);
-        const closePrices = ohlcv.map(candle => candle.close);
-        const rsi = await tulind.indicators.rsi.indicator([closePrices], [RSI_PERIOD]);
-        const latestRSI = rsi[0][rsi[0].length - 1];
-        return {
-            symbol,
-            timeframe: TIMEFRAME,
-            rsi: latestRSI,
-            timestamp: ohlcv[ohlcv.length - 1].timestamp,
-            lastClose: closePrices[closePrices.length - 1],
-            market: 'futures'
-        };
-    } catch (error) {
-        throw new Error(`Failed to calculate RSI for ${symbol}: ${error.message}`);
-    }
-};
-
-/**
- * Convert Binance symbol format BTCUSDT → BTC/USDT
- * @param {string} symbol 
- * @returns {string}
- */
-const normalizeSymbol = (symbol) => {
-    if (symbol.includes('USDT') && !symbol.includes('/')) {
-        return symbol.replace('USDT', '/USDT');
-    }
-    return symbol;
-};
-
 /**
  * Get available USDT balance in futures wallet
  * @returns {Promise<number>}
  */
 const getBalance = async () => {
     try {
-        const balance = await binance.fetchBalance();
-        const usdtBalance = balance.free?.USDT || 0;
+        const usdtBalance = await exchange.getBalance();
         console.log(` USDT Balance: ${usdtBalance}`);
         return usdtBalance;
     } catch (error) {
@@ -208,7 +247,7 @@ const getBalance = async () => {
  */
 const setLeverage = async (symbol, leverage) => {
     try {
-        await binance.setLeverage(leverage, symbol);
+        await exchange.setLeverage(symbol, leverage);
         console.log(` Leverage set to ${leverage}x for ${symbol}`);
     } catch (error) {
         console.error(`Failed to set leverage for ${symbol}: ${error.message}`);
@@ -216,16 +255,17 @@ const setLeverage = async (symbol, leverage) => {
 };
 
 /**
- * Force margin type to CROSSED (if not already)
+ * Switch the symbol to scanner.marginType (if not already); margin support only tops up ISOLATED positions
  * @param {string} symbol 
  */
 const setMarginMode = async (symbol) => {
+    const { marginType } = config.forSymbol(symbol).scanner;
     try {
-        await binance.fapiPrivatePostMarginType({ symbol: symbol.replace(':USDT', ''), marginType: 'CROSSED' });
-        console.log(` Margin mode set to CROSSED for ${symbol}`);
+        await exchange.setMarginType(symbol, marginType);
+        console.log(` Margin mode set to ${marginType} for ${symbol}`);
     } catch (error) {
         if (error.message.includes('No need to change margin type')) {
-            console.log(` Margin mode already set to CROSSED for ${symbol}`);
+            console.log(` Margin mode already set to ${marginType} for ${symbol}`);
         } else {
             console.error(`Failed to set margin mode for ${symbol}: ${error.message}`);
         }
@@ -239,8 +279,8 @@ const setMarginMode = async (symbol) => {
  */
 const getMarketPrice = async (symbol) => {
     try {
-        const ticker = await binance.fetchTicker(symbol);
-        const price = ticker.last || ticker.info?.lastPrice;
+        const ticker = await exchange.getTicker(symbol);
+        const price = ticker.last;
         if (!price) throw new Error('Price not found in ticker data');
         return price;
     } catch (error) {
@@ -249,24 +289,20 @@ const getMarketPrice = async (symbol) => {
 };
 
 /**
- * Fetch current funding rate and next funding time
+ * Format the streamed funding rate and next funding time
  * @param {string} symbol 
- * @returns {Promise<{symbol:string, fundingRate:number, nextFundingTime:string, timestamp:number}|null>}
+ * @param {{fundingRate:number, nextFundingTime:number, timestamp:number}|undefined} markPrice stream.getMarkPrice() entry
+ * @returns {{symbol:string, fundingRate:number, nextFundingTime:string, timestamp:number}|null}
  */
-const fetchFundingRate = async (symbol) => {
-    try {
-        const fundingRate = await binance.fetchFundingRate(symbol);
-        const nextFundingDate = new Date(Number(fundingRate.info.nextFundingTime));
-        return {
-            symbol,
-            fundingRate: fundingRate.fundingRate * 100,
-            nextFundingTime: `${nextFundingDate.getUTCHours().toString().padStart(2, '0')}:${nextFundingDate.getUTCMinutes().toString().padStart(2, '0')}:${nextFundingDate.getUTCSeconds().toString().padStart(2, '0')},${nextFundingDate.getUTCDate().toString().padStart(2, '0')}/${(nextFundingDate.getUTCMonth() + 1).toString().padStart(2, '0')}/${nextFundingDate.getUTCFullYear()}`,
-            timestamp: fundingRate.timestamp
-        };
-    } catch (error) {
-        console.error(`Failed to fetch funding rate for ${symbol}: ${error.message}`);
-        return null;
-    }
+const formatFundingRate = (symbol, markPrice) => {
+    if (!markPrice || !markPrice.nextFundingTime) return null;
+    const nextFundingDate = new Date(Number(markPrice.nextFundingTime));
+    return {
+        symbol,
+        fundingRate: markPrice.fundingRate * 100,
+        nextFundingTime: `${nextFundingDate.getUTCHours().toString().padStart(2, '0')}:${nextFundingDate.getUTCMinutes().toString().padStart(2, '0')}:${nextFundingDate.getUTCSeconds().toString().padStart(2, '0')},${nextFundingDate.getUTCDate().toString().padStart(2, '0')}/${(nextFundingDate.getUTCMonth() + 1).toString().padStart(2, '0')}/${nextFundingDate.getUTCFullYear()}`,
+        timestamp: markPrice.timestamp
+    };
 };
 
 /**
@@ -276,7 +312,7 @@ const fetchFundingRate = async (symbol) => {
  */
 const alreadyOpenedFuturesPosition = async (symbol) => {
     try {
-        const positionData = await binanceOptions.futuresPositionRisk();
+        const positionData = await exchange.getPositions();
         return positionData.some(position => position.symbol === symbol && Number(position.positionAmt) !== 0);
     } catch (error) {
         console.error(`Failed to check open positions for ${symbol}: ${error.message}`);
@@ -284,173 +320,367 @@ const alreadyOpenedFuturesPosition = async (symbol) => {
     }
 };
 
+/**
+ * Size a new position with the symbol's sizing mode, leverage brackets and lot filters
+ * @param {string} symbol 
+ * @param {number} price entry price
+ * @param {Object} scanner scanner settings of the symbol
+ * @param {Object} brackets bracket settings of the symbol (ATR stop of the risk mode)
+ * @returns {Promise<import('./src/position_sizing.js').PositionSize>}
+ */
+const sizePosition = async (symbol, price, scanner, brackets) => {
+    const { mode, equityPct, riskPct } = scanner.sizing;
+    let equity = 0;
+    if (mode !== 'fixed') {
+        const exposure = await risk.getExposure();
+        equity = exposure.balance + exposure.margin + exposure.unrealizedPnl;
+    }
+    let stopDistance;
+    if (mode === 'risk') {
+        const ohlcv = await exchange.fetchOHLCV(symbol, brackets.atrTimeframe, brackets.atrPeriod * 3 + 1);
+        const atr = calculateLatestATR(ohlcv.map(([, , high, low, close]) => ({ high, low, close })), brackets.atrPeriod);
+        stopDistance = atr * brackets.stopLossAtr;
+    }
+    const meta = await symbolMetadata.lookup(symbol);
+    return computePositionSize({
+        mode,
+        price,
+        equity,
+        leverage: scanner.leverage,
+        positionUsdt: scanner.positionUsdt,
+        equityPct,
+        riskPct,
+        stopDistance,
+        brackets: await exchange.getLeverageBrackets(symbol),
+        filters: getQuantityFilters(meta)
+    });
+};
+
 /**
  * Open new LONG or SHORT market position
  * @param {string} symbol 
- * @param {'Buy'|'Sell'} side 
+ * @param {'buy'|'sell'} side 
+ * @param {{signalId?:number, signalTime?:number, rsi?:number, ema20?:number, fundingRate?:number}} [context] journaled decision context;
+ *        signalTime = open time of the signal candle
  * @returns {Promise<any>|undefined}
  */
-const openPosition = async (symbol, side) => {
+const openPosition = async (symbol, side, context = {}) => {
     try {
-        const positionData = await binanceOptions.futuresPositionRisk();
-        if (positionData.length >= MAX_ACTIVE_POSITIONS) {
-            console.log(`Maximum number of active positions reached.`);
-            await sendTelegramMessage(`🚨 Maximum number of active positions reached.`);
+        const { scanner, brackets } = config.forSymbol(symbol);
+        const price = await getMarketPrice(symbol);
+        let size;
+        try {
+            size = await sizePosition(symbol, price, scanner, brackets);
+        } catch (error) {
+            console.log(` ${BRIGHT_RED}Entry refused${RESET} for ${symbol}: ${error.message}`);
+            await sendTelegramMessage(`🚫 Entry refused: ${symbol}, Side: ${side.toUpperCase()}, Rule: sizing (${scanner.sizing.mode}), Reason: ${error.message}`);
+            return;
+        }
+
+        const decision = await risk.checkEntry({ symbol, notional: size.notional, margin: size.margin });
+        if (!decision.allowed) {
+            console.log(` ${BRIGHT_RED}Entry refused${RESET} for ${symbol}: ${decision.reason}`);
+            await sendTelegramMessage(`🚫 Entry refused: ${symbol}, Side: ${side.toUpperCase()}, Rule: ${decision.rule}, Reason: ${decision.reason}`);
             return;
         }
 
         const balance = await getBalance();
-        if (balance < POSITION_USDT) {
-            console.log(`Insufficient USDT balance: ${balance} available, ${POSITION_USDT} required.`);
-            await sendTelegramMessage(`🚨 Insufficient USDT balance: ${balance} available, ${POSITION_USDT} required.`);
+        if (balance < size.margin) {
+            console.log(`Insufficient USDT balance: ${balance} available, ${size.margin} required.`);
+            await sendTelegramMessage(`🚨 Insufficient USDT balance: ${balance} available, ${size.margin} required.`);
             return;
         }
 
-        const price = await getMarketPrice(symbol);
-        const quantity = AMOUNT_PER_POSITION / price;
-        const positionSide = side === 'Buy' ? 'LONG' : 'SHORT';
-        const params = {
-            marginMode: 'isolated',
-            positionSide: positionSide
-        };
-        const order = await binance.createOrder(symbol, 'market', side, quantity, null, params);
-        console.log(` Position opened: ${side} ${quantity} ${symbol} at ${price} (${positionSide})`);
-        await sendTelegramMessage(`🟢 Position opened: ${symbol}, Quantity: ${quantity}, Price: ${price}, Position Side: ${positionSide}`);
-        return order;
+        await setLeverage(symbol, size.leverage);
+        const quantity = size.quantity;
+        console.log(` Size (${CYAN}${scanner.sizing.mode}${RESET}): ${quantity} ${symbol}, notional ${size.notional.toFixed(2)} USDT, margin ${size.margin.toFixed(2)} USDT at ${size.leverage}x${size.riskUsdt !== undefined ? `, ${size.riskUsdt.toFixed(2)} USDT at risk` : ''}`);
+        const orderSide = side.toUpperCase();
+        const positionSide = orderSide === 'BUY' ? 'LONG' : 'SHORT';
+        // One id per signal candle: a resend, retry or restart on the same signal reuses it, so it can never open the position twice
+        const clientOrderId = createClientOrderId({ purpose: 'entry', symbol, positionSide, key: `${orderSide}:${context.signalTime}` });
+        const execution = await submitOrder({
+            exchange,
+            journal,
+            order: { symbol, side: orderSide, type: 'MARKET', quantity, positionSide },
+            purpose: 'entry',
+            clientOrderId,
+            referencePrice: price,
+            settings: config.get().orders
+        });
+        if (execution.executedQty === 0) {
+            // Still open when the status checks ran out; a later fill is adopted by the manager's reconciliation
+            console.log(` ${BRIGHT_YELLOW}Entry pending${RESET}: ${symbol} ${positionSide} order ${clientOrderId} still ${execution.state}`);
+            await sendTelegramMessage(`⏳ Entry pending: ${symbol}, Side: ${orderSide}, Order: ${clientOrderId}, State: ${execution.state}`);
+            return execution.order;
+        }
+        const filledQuantity = execution.executedQty;
+        const fillPrice = execution.avgPrice;
+        const tradeId = journal.openTrade({ symbol, positionSide, quantity: filledQuantity, entryPrice: fillPrice, orderId: execution.orderId, ...context });
+        journal.updateOrder(clientOrderId, { tradeId });
+        httpApi.publish('trade', { id: tradeId, symbol, positionSide });
+        // The manager picks the position up without waiting for its next pass
+        supervisor.bus.emit('position:opened', { symbol, positionSide, tradeId });
+        const slippage = execution.slippage === null ? 'n/a' : `${(execution.slippage * 100).toFixed(3)}%`;
+        console.log(` Position opened: ${side} ${filledQuantity} ${symbol} at ${fillPrice} (${positionSide}), ${execution.state}, slippage ${slippage}, fees ${execution.commission ?? 'n/a'} USDT`);
+        await sendTelegramMessage(`🟢 Position opened: ${symbol}, Quantity: ${filledQuantity}, Price: ${fillPrice}, Slippage: ${slippage}, Leverage: ${size.leverage}x, Margin: ${size.margin.toFixed(2)} USDT, Position Side: ${positionSide}`);
+        if (brackets.enabled) {
+            await protectPosition(symbol, positionSide, brackets);
+        }
+        return execution.order;
     } catch (error) {
         console.error(`Failed to open position for ${symbol}: ${error.message}`);
     }
 };
 
 /**
- * Fetch klines (candles) and exclude current (incomplete) candle
+ * Place exchange-side stop-loss / take-profit orders for a freshly opened position
  * @param {string} symbol 
- * @param {string} [interval='1m']
- * @param {number} [limit=200]
- * @returns {Promise<Array<{close:number, timestamp:number}>>}
+ * @param {'LONG'|'SHORT'} positionSide 
+ * @param {Object} brackets bracket settings of the symbol
  */
-async function fetchKlines(symbol, interval = '1m', limit = 200) {
+const protectPosition = async (symbol, positionSide, brackets) => {
     try {
-        const klines = await binance.fetchOHLCV(symbol, interval, undefined, limit);
-        const now = Date.now();
-        const lastCandle = klines[klines.length - 1];
-        const candleTime = lastCandle[0];
-        const intervalMs = 1 * 60 * 1000;
-        if (now - candleTime < intervalMs) {
-            klines.pop(); // Remove incomplete candle
+        const positions = await exchange.getPositions(symbol);
+        const position = positions.find(p => Number(p.positionAmt) !== 0 && (p.positionSide === positionSide || p.positionSide === 'BOTH'));
+        if (!position) throw new Error('position not found after entry');
+        const { stopLoss, takeProfit, orders } = await placeBrackets(exchange, position, brackets, { symbolMetadata });
+        for (const order of orders) {
+            journal.recordOrder({
+                symbol, side: order.side, positionSide: order.positionSide, type: order.type,
+                purpose: order.type === 'STOP_MARKET' ? 'stop-loss' : 'take-profit',
+                price: Number(order.stopPrice), orderId: order.orderId, status: order.status, clientOrderId: order.clientOrderId
+            });
         }
-        return klines.map(k => ({
-            close: parseFloat(k[4]),
-            timestamp: k[0],
-        }));
+        console.log(` Protective orders placed: SL ${RED}${stopLoss}${RESET} / TP ${GREEN}${takeProfit}${RESET}`);
+        await sendTelegramMessage(`🛡️ Protective orders placed: ${symbol}, Stop Loss: ${stopLoss}, Take Profit: ${takeProfit}, Position Side: ${positionSide}`);
     } catch (error) {
-        throw new Error(`Failed to fetch klines: ${error.message}`);
+        console.error(`Failed to place protective orders for ${symbol}: ${error.message}`);
+        await sendTelegramMessage(`🚨 Failed to place protective orders for ${symbol}: ${error.message}`);
     }
-}
+};
+
+// ────────────────────────────────────────────────
+// Main Loop
+// ────────────────────────────────────────────────
 
 /**
- * Calculate EMA using technicalindicators library
- * @param {number[]} closePrices 
- * @param {number} [p=5] 
- * @returns {number[]}
+ * Evaluate the entry signal of a symbol on its latest closed candle
+ * @param {string} symbol Binance id
+ * @param {Array<{timestamp:number, close:number}>} candles closed candles, oldest first
  */
-function calculateEMA(closePrices, p = 5) {
-    const ema = EMA.calculate({
-        period: p,
-        values: closePrices,
+const evaluateSymbol = async (symbol, candles) => {
+    const { scanner } = config.forSymbol(symbol);
+    // Outside the allow / deny lists or the liquidity filters
+    if (!universe.has(symbol)) return;
+    // Delisted or halted since startup
+    if (symbolMetadata.get(symbol)?.status !== 'TRADING') return;
+    const strategy = await getStrategy(scanner.strategy);
+    if (candles.length < strategy.warmup) return;
+    const latestPrice = candles[candles.length - 1].close;
+    const markPrice = stream.getMarkPrice(symbol);
+    const fundingRate = formatFundingRate(symbol, markPrice);
+    const price = markPrice?.markPrice || latestPrice;
+    let decision = await strategy.evaluate({
+        symbol,
+        candles,
+        funding: markPrice ? { fundingRate: markPrice.fundingRate, nextFundingTime: markPrice.nextFundingTime } : null,
+        ticker: { price }
     });
-    return ema;
-}
+    if (decision.signal !== 'none' && scanner.confirmation.length > 0) {
+        const confirmation = await confirmSignal({ symbol, signal: decision.signal, rules: scanner.confirmation, candles: confirmationCandles });
+        decision = {
+            ...decision,
+            signal: confirmation.confirmed ? decision.signal : 'none',
+            reason: `${decision.reason} – ${confirmation.confirmed ? 'confirmed' : 'not confirmed'}: ${confirmation.reason}`,
+            indicators: { ...decision.indicators, ...confirmation.indicators }
+        };
+    }
+
+    console.log('.............................................');
+    console.log(` ${YELLOW}${symbol}${RESET}: ${new Date(candles[candles.length - 1].timestamp).toISOString()}`);
+    for (const [indicator, value] of Object.entries(decision.indicators || {})) {
+        console.log(` ${indicator}: ${GREEN}${Number.isInteger(value) ? value : value.toFixed(6)}${RESET}`);
+    }
+    console.log(` Latest Price: ${GREEN}${latestPrice}${RESET}`);
+    if (fundingRate) {
+        console.log(` Funding Rate: ${fundingRate.fundingRate > 0 ? GREEN : RED}${fundingRate.fundingRate.toFixed(4)}%${RESET}`);
+        console.log(` Next Funding Time: ${CYAN}${fundingRate.nextFundingTime}${RESET}`);
+    }
+
+    console.log(` Signal: ${decision.signal === 'none' ? WHITE : BRIGHT_GREEN}${decision.signal}${RESET} (${decision.reason})`);
+
+    const { rsi, ema20 } = calculateJournalIndicators(candles.map(candle => candle.close), scanner.strategy.options?.rsiPeriod);
+    const state = {
+        symbol, price, rsi, ema20, fundingRate: markPrice?.fundingRate,
+        signal: decision.signal, reason: decision.reason, time: candles[candles.length - 1].timestamp
+    };
+    scannerState.set(symbol, state);
+    httpApi.publish('symbol', state);
+    if (decision.signal === 'none') return;
+    // Shutting down: the entries already sent finish, no new one starts
+    if (component.stopping) return;
+    // Telegram /pause (or a manual edit) – signals are still shown, nothing is opened
+    if (config.get().scanner.paused) {
+        console.log(` ${BRIGHT_YELLOW}New entries paused${RESET} (scanner.paused), signal ignored`);
+        return;
+    }
+    if (await alreadyOpenedFuturesPosition(symbol)) return;
+
+    const context = { rsi, ema20, fundingRate: markPrice?.fundingRate, signalTime: candles[candles.length - 1].timestamp };
+    context.signalId = journal.recordSignal({
+        symbol, strategy: strategy.name, signal: decision.signal, reason: decision.reason, price, indicators: decision.indicators, ...context
+    });
+
+    const message = `📢 ${symbol}: Strategy=${strategy.name}, Signal=${decision.signal.toUpperCase()}, Reason=${decision.reason}, Price=${price}, FundingRate=${fundingRate?.fundingRate ?? 'N/A'}%, NextFunding=${fundingRate?.nextFundingTime ?? 'N/A'}`;
+    await sendTelegramMessage(message);
+    await setMarginMode(symbol);
+    await openPosition(symbol, decision.signal === 'long' ? 'buy' : 'sell', context);
+};
+
+// ────────────────────────────────────────────────
+// Main
+// ────────────────────────────────────────────────
+
+// Higher-timeframe candles of scanner.confirmation, fetched when a signal needs them
+const confirmationCandles = createCandleCache(exchange);
+
+// Strategies by their config, so per-symbol overrides and reloads reuse loaded modules
+const strategies = new Map();
 
 /**
- * Manual EMA calculation (alternative implementation)
- * @param {number[]} closePrices 
- * @param {string|number} [per='5'] 
- * @returns {number[]}
+ * Load (once) the strategy described by a scanner.strategy config entry
+ * @param {{name:string, options:Object}} strategyConfig
+ * @returns {Promise<import('./src/strategies/index.js').Strategy>}
  */
-function calculateManualEMA(closePrices, per = '5') {
-    const period = Number(per);
-    const k = 2 / (period + 1);
-    let ema = closePrices[0];
-    const emaValues = [ema];
-    for (let i = 1; i < closePrices.length; i++) {
-        ema = (closePrices[i] * k) + (ema * (1 - k));
-        emaValues.push(ema);
+const getStrategy = (strategyConfig) => {
+    const key = JSON.stringify(strategyConfig);
+    if (!strategies.has(key)) {
+        const loading = loadStrategy(strategyConfig.name, strategyConfig.options);
+        loading.catch(() => strategies.delete(key));
+        strategies.set(key, loading);
     }
-    return emaValues;
+    return strategies.get(key);
+};
+
+// Every configured strategy must load before streaming starts
+const { scanner: scannerConfig, symbols: symbolOverrides } = config.get();
+let warmup = 0;
+try {
+    for (const symbol of ['', ...Object.keys(symbolOverrides)]) {
+        const strategy = await getStrategy(symbol ? config.forSymbol(symbol).scanner.strategy : scannerConfig.strategy);
+        warmup = Math.max(warmup, strategy.warmup);
+    }
+} catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    process.exit(1);
 }
 
-// ────────────────────────────────────────────────
-// Main Loop
-// ────────────────────────────────────────────────
+// Symbols outside the universe are still streamed, so they are evaluated as soon as they enter it
+const symbols = symbolMetadata.getAll()
+    .filter(s => s.contractType === 'PERPETUAL' && s.quoteAsset === 'USDT' && s.status === 'TRADING')
+    .map(s => s.symbol);
+
+// Live market data streams over websocket; simulated and recorded data are polled from the adapter
+const liveMarketData = exchange.name === 'binance' || (exchange.name === 'paper' && (process.env.PAPER_MARKET_DATA || 'binance') === 'binance');
+const stream = createMarketStream(exchange, {
+    symbols,
+    timeframe: scannerConfig.timeframe,
+    bufferSize: Math.max(scannerConfig.candleBuffer, warmup + 1),
+    transport: liveMarketData ? 'websocket' : 'poll'
+});
+
+// Closed candles are evaluated one at a time so the risk limits hold when many close together
+let queue = Promise.resolve();
+let lastCandleAt = null;
+
+/**
+ * Stop scanning: no new candles or entries, wait for the entry in flight (and its brackets)
+ * @returns {Promise<void>}
+ */
+const stopScanner = async () => {
+    stream.stop();
+    universe.stop();
+    await queue;
+    await httpApi.stop();
+};
+
+const component = supervisor.register('scanner', { stop: stopScanner });
 
 /**
  * Main scanning & trading loop
- * Runs forever, scans all symbols every ~60 seconds
+ * Evaluates every symbol as its candle closes; signals are handled one at a
+ * time so the risk limits hold when many candles close together
  */
 const main = async () => {
-    while (true) {
+    stream.on('candle', ({ symbol, candles }) => {
+        queue = queue
+            .then(() => evaluateSymbol(symbol, candles))
+            .then(() => { lastCandleAt = candles[candles.length - 1].timestamp; })
+            .catch(error => console.error(`Error processing ${symbol}: ${error.message}`));
+    });
+    stream.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+    stream.on('disconnect', ({ streams, retryInMs }) => console.log(` ${BRIGHT_RED}Stream disconnected${RESET} (${streams} streams), retrying in ${retryInMs} ms`));
+    symbolMetadata.on('change', ({ listed, delisted, statusChanged }) => {
+        if (listed.length) console.log(` ${BRIGHT_CYAN}Listed${RESET}: ${listed.join(', ')} (streamed after a restart)`);
+        if (delisted.length) console.log(` ${BRIGHT_RED}Delisted${RESET}: ${delisted.join(', ')}`);
+        for (const { symbol, from, to } of statusChanged) console.log(` ${YELLOW}${symbol}${RESET} status ${from} → ${to}`);
+    });
+    symbolMetadata.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+    universe.on('change', ({ added, removed }) => {
+        if (added.length) console.log(` ${BRIGHT_CYAN}Universe +${RESET} ${added.join(', ')}`);
+        if (removed.length) console.log(` ${BRIGHT_RED}Universe −${RESET} ${removed.join(', ')}`);
+    });
+    universe.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+    stream.on('reconnect', ({ streams, gapMs }) => console.log(` ${BRIGHT_GREEN}Stream reconnected${RESET} (${streams} streams) after ${Math.round(gapMs / 1000)} s, backfilling over REST`));
+    supervisor.on('stale', async ({ name, silentMs }) => {
+        if (name !== 'scanner') return;
+        console.log(` ${BRIGHT_RED}Scanner stalled${RESET}: no heartbeat for ${Math.round(silentMs / 1000)} s`);
+        await sendTelegramMessage(`🩺 Scanner stalled: No heartbeat for ${Math.round(silentMs / 1000)} s`);
+    });
+    supervisor.on('recovered', async ({ name, silentMs }) => {
+        if (name !== 'scanner') return;
+        console.log(` ${BRIGHT_GREEN}Scanner recovered${RESET} after ${Math.round(silentMs / 1000)} s`);
+        await sendTelegramMessage(`✅ Scanner recovered after ${Math.round(silentMs / 1000)} s`);
+    });
+    supervisor.on('shutdown', ({ reason }) => console.log(` ${BRIGHT_YELLOW}Scanner stopping${RESET} (${reason}): no new entries, finishing the one in flight`));
+    supervisor.on('stopped', ({ name }) => {
+        if (name === 'scanner') console.log(` Scanner stopped`);
+    });
+    supervisor.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+
+    if (!supervisor.combined) console.clear();
+    await getBalance();
+    printPaperSummary();
+    if (config.get().http.enabled) {
         try {
-            console.clear();
-            const balance = await getBalance();
-
-            const exchangeInfo = await binanceOptions.futuresExchangeInfo();
-            const symbols = exchangeInfo.symbols
-                .filter(s => s.contractType === 'PERPETUAL' && s.quoteAsset === 'USDT' && s.status === 'TRADING')
-                .map(s => s.symbol);
-
-            for (const symbol of symbols) {
-                try {
-                    if (EXCLUDED_SYMBOLS.includes(symbol)) continue;
-                    
-                    console.log('.............................................');
-                    console.log(` ${YELLOW}${symbol}${RESET}:`); 
-                   
-                    const normalizedSymbol = normalizeSymbol(symbol);
-                    const [rsiResult, fundingRate] = await Promise.all([
-                        calculateRSI(normalizedSymbol),
-                        fetchFundingRate(normalizedSymbol)
-                    ]);                  
-                    console.log(` RSI: ${GREEN}${rsiResult.rsi.toFixed(2)}${RESET}`);    
-                    const klines = await fetchKlines(symbol, '1m', 500);
-                    const closePrices = klines.map(k => k.close);
-                    const ema20Values = calculateEMA(closePrices, 20);
-                    const latestEMA20 = ema20Values[ema20Values.length - 1];
-                    console.log(` EMA20: ${GREEN}${latestEMA20}${RESET}`);
-                    const latestPrice = closePrices[closePrices.length - 1];
-                    console.log(` Latest Price: ${GREEN}${latestPrice}${RESET}`);                    
-                    console.log('');
-                    if (fundingRate) {
-                        console.log(` Funding Rate: ${fundingRate.fundingRate > 0 ? GREEN : RED}${fundingRate.fundingRate.toFixed(4)}%${RESET}`);
-                        console.log(` Next Funding Time: ${CYAN}${fundingRate.nextFundingTime}${RESET}`);
-                    }
-                    console.log('');
-                    const price = await getMarketPrice(normalizedSymbol);
-                    await Promise.all([
-                        setLeverage(symbol, LEVERAGE),
-                        setMarginMode(symbol)
-                    ]);
-
-                    if (await alreadyOpenedFuturesPosition(symbol)) continue;                  
-                    const message = `📢 ${symbol}: RSI=${rsiResult.rsi.toFixed(2)}, Price=${price}, FundingRate=${fundingRate?.fundingRate ?? 'N/A'}%, NextFunding=${fundingRate?.nextFundingTime ?? 'N/A'}`;
-                    
-                    if (rsiResult.rsi >= SELL_RSI_THRESHOLD && !TESTING_MODE && price < 1 && SHORT) {
-                        await sendTelegramMessage(message);
-                        await openPosition(symbol, 'sell');
-                    } else if (rsiResult.rsi <= BUY_RSI_THRESHOLD && rsiResult.rsi > 0 && !TESTING_MODE && price < 1 && LONG) {
-                        await sendTelegramMessage(message);
-                        await openPosition(symbol, 'buy');
-                    }                   
-                    await sleep(500);
-                } catch (error) {
-                    console.error(`Error processing ${symbol}: ${error.message}`);
-                }
-            }
-            await sleep(60 * 1000); // wait 1 min before next iteration
+            await httpApi.start();
+            console.log(` Dashboard: ${CYAN}http://${config.get().http.host}:${config.get().http.scannerPort}${RESET}`);
+        } catch (error) {
+            console.error(`${RED}Failed to start the HTTP API: ${error.message}${RESET}`);
+        }
+    }
+    console.log(` Loading ${CYAN}${symbols.length}${RESET} symbols (${liveMarketData ? 'websocket' : 'polling'})...`);
+    await stream.start();
+    console.log(` Universe: ${CYAN}${universe.getAll().filter(entry => entry.included).length}${RESET} of ${symbols.length} symbols pass the universe filters (refreshed every ${config.get().universe.refreshMinutes} min)`);
+    console.log(` Streaming ${CYAN}${symbols.length}${RESET} symbols, evaluating ${CYAN}${scannerConfig.strategy.name}${RESET} on every closed ${scannerConfig.timeframe} candle`);
+    if (scannerConfig.confirmation.length > 0) {
+        console.log(` Signals confirmed on ${scannerConfig.confirmation.map(rule => `${CYAN}${rule.timeframe} ${rule.type}${RESET}`).join(', ')}`);
+    }
+
+    const heartbeat = () => component.heartbeat({ lastCandleAt, universe: universe.getAll().filter(entry => entry.included).length });
+    heartbeat();
+
+    while (!component.stopping) {
+        await sleep(60 * 1000);
+        try {
+            await getBalance();
+            printPaperSummary();
         } catch (err) {
             console.error(`Error in main loop: ${err.message}`);
         }
+        // Beats behind the queued evaluations, so a stuck evaluation shows up as a stale scanner
+        queue = queue.then(heartbeat);
     }
 };
 
-main();
\ No newline at end of file
+main();
@@ -3,63 +3,98 @@
  * 
  * Monitors all open perpetual futures positions.
  * Features:
- *  • Closes position when unrealized profit reaches target percentage
- *  • Adds margin when position is in loss (currently commented logic)
- *  • Shows funding rate direction profitability
- *  • Telegram notifications on close / margin add
+ *  • Follows the futures user-data stream (fills, position / balance updates,
+ *    liquidations, margin calls) and the mark-price stream, keeping an
+ *    in-memory position book; REST polling reconciles it every minute and
+ *    takes over while the stream is down
+ *  • Closes position when unrealized profit reaches target percentage, or
+ *    follows an exit profile (partial take-profit ladder + trailing stop)
+ *  • Validates and rounds every order against the symbol's exchange filters (src/symbol_metadata.js)
+ *  • Re-places missing stop-loss / take-profit orders, cancels orphaned ones
+ *  • Adds isolated margin when the margin ratio or the distance to liquidation crosses
+ *    manager.support thresholds, within a per-position top-up count / USDT budget, and
+ *    confirms the new liquidation price (src/margin_support.js)
+ *  • Shows funding rate direction profitability and applies the funding policy
+ *    (src/funding_policy.js): holds positions about to receive funding through the
+ *    funding timestamp, exits / reduces ahead of costly payments, and measures the
+ *    profit target net of the funding paid so far
+ *  • Telegram notifications on close / margin add / fills / liquidations / margin calls
+ *  • Telegram commands from whitelisted chats (src/telegram_commands.js): /status, /close,
+ *    /closeall (confirmed with inline buttons), /pause, /resume, /exclude, /include, /set
+ *  • Local HTTP API + dashboard (src/http_api.js): open positions, trades, config and an event
+ *    log, pushed live over SSE; token-protected pause / resume / close
+ *  • Closes sent under a client order id (src/order_execution.js): a lost answer is resolved
+ *    by looking the order up before any resend, so a position is never closed twice;
+ *    fill price, fees and slippage go to the journal
+ *  • Journals fills, closes, margin adds and funding payments (src/journal.js)
+ *  • Recovers after a restart (src/position_registry.js): matches the exchange positions
+ *    against the journal's open trades, adopts or flags positions the scanner did not
+ *    open, resumes the exit rules where they stopped, and closes positions held longer
+ *    than manager.maxHoldingMinutes
+ *  • Checks margin adds against the portfolio risk limits and announces when the
+ *    daily loss kill switch / loss-streak cooldown halts new entries (src/risk_manager.js)
+ *  • Runs alone or next to the scanner in binance_bot.js (src/supervisor.js): shared exchange
+ *    client and request scheduler, heartbeats, and a SIGINT / SIGTERM shutdown that lets
+ *    the close or margin add in flight finish
  * 
- * @requires ccxt, node-binance-api, node-telegram-bot-api
+ * All exchange access goes through the execution adapter (src/exchange.js);
+ * run with EXCHANGE=simulated to manage positions on an offline in-memory market, or
+ * EXCHANGE=paper to manage the positions of the persisted paper-trading ledger.
+ * 
+ * Trading parameters live in config.json (src/config.js) and are reloaded while running.
+ * 
+ * @requires node-telegram-bot-api, ws
  * @requires .env file with: API_KEY, API_SECRET, TELEGRAM_TOKEN, TELEGRAM_CHAT_ID
+ *           (optional TELEGRAM_ALLOWED_CHAT_IDS, comma-separated, default TELEGRAM_CHAT_ID;
+ *           optional HTTP_API_TOKEN for the control endpoints)
  */
 
-const profit = 0.03;                // target profit percentage (3%)
-const supportPerPosition = 0.10;    // 10% of current isolated margin to add
-const PercentMargin = 88;           // unused in current logic
-const PercentMarginFlag = 82;       // unused in current logic
-const excludedSymbols = [];
-
 // ────────────────────────────────────────────────
-// Disable warnings & clear console
+// Disable warnings
 // ────────────────────────────────────────────────
 process.removeAllListeners('warning');
 process.noDeprecation = true;
-console.clear();
 
 // ────────────────────────────────────────────────
 // Dependencies
 // ────────────────────────────────────────────────
-import Binance from 'node-binance-api';
-import ccxt from 'ccxt';
 import TelegramBot from 'node-telegram-bot-api';
 import dotenv from 'dotenv';
 import cron from 'node-cron';
+import { createExchange } from './src/exchange.js';
+import { createRequestScheduler } from './src/request_scheduler.js';
+import { getSupervisor } from './src/supervisor.js';
+import { createSymbolMetadata, roundToStep, withOrderFilters } from './src/symbol_metadata.js';
+import { buildExitProfiles, createExitState, evaluateExit, exitStateKey, pruneExitState } from './src/exit_rules.js';
+import { createFundingState, evaluateFunding, netOfFunding } from './src/funding_policy.js';
+import { createSupportState, evaluateSupport, liquidationMovedAway, recordTopUp } from './src/margin_support.js';
+import { isManaged, reconcileRegistry } from './src/position_registry.js';
+import { cancelOrphanedBrackets, ensureBrackets } from './src/protective_orders.js';
+import { createClientOrderId, submitOrder } from './src/order_execution.js';
+import { createUserDataStream } from './src/user_data_stream.js';
+import { createMarketStream } from './src/market_stream.js';
+import { RESTART_REQUIRED, assertEnv, createConfigStore, findSettingPaths, getConfigValue, setConfigValue } from './src/config.js';
+import { defaultJournalFile, openJournal } from './src/journal.js';
+import { calculateJournalIndicators } from './src/signals.js';
+import { createRiskManager } from './src/risk_manager.js';
+import { createTelegramCommands } from './src/telegram_commands.js';
+import { addCommonRoutes, createHttpApi, httpError } from './src/http_api.js';
 
 dotenv.config();
 
+// Lifecycle, shared services and event bus; run alone, the manager is the only component
+const supervisor = getSupervisor();
+if (!supervisor.combined) console.clear();
+
 // ────────────────────────────────────────────────
 // Environment & API clients
 // ────────────────────────────────────────────────
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
+const TELEGRAM_ALLOWED_CHAT_IDS = (process.env.TELEGRAM_ALLOWED_CHAT_IDS || TELEGRAM_CHAT_ID || '').split(',').map(id => id.trim()).filter(Boolean);
 const API_KEY = process.env.API_KEY;
 const API_SECRET = process.env.API_SECRET;
 
-const binance = new ccxt.binance({
-    apiKey: API_KEY,
-    secret: API_SECRET,
-    enableRateLimit: true,
-    options: {
-        defaultType: 'future'
-    }
-});
-
-const binance_options = new Binance().options({
-    APIKEY: API_KEY,
-    APISECRET: API_SECRET,
-    useServerTime: true,
-    test: false
-});
-
 // ────────────────────────────────────────────────
 // ANSI colors & styles
 // ────────────────────────────────────────────────
@@ -84,8 +119,66 @@ const BG_RED = '\x1b[41m';
 const BG_GREEN = '\x1b[42m';
 // ... other BG and style codes remain unchanged ...
 
+// ────────────────────────────────────────────────
+// Configuration (config.json, hot-reloaded)
+// ────────────────────────────────────────────────
+let config;
+try {
+    config = createConfigStore({
+        onChange: () => console.log(` ${BRIGHT_CYAN}Config reloaded${RESET}`),
+        onError: (error) => console.error(`${RED}${error.message}${RESET}\n Keeping the previous configuration.`)
+    });
+    assertEnv(config.get());
+} catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    process.exit(1);
+}
+supervisor.start({ getSettings: () => config.get().supervisor });
+
+// One adapter and request scheduler per process, shared with the scanner under binance_bot.js
+let exchangeServices;
+try {
+    exchangeServices = await supervisor.shared('exchange', async () => {
+        const scheduler = createRequestScheduler({ getSettings: () => config.get().rateLimit });
+        scheduler.on('backoff', ({ until, reason }) => console.log(` ${BRIGHT_RED}Binance ${reason}${RESET}: requests held for ${Math.ceil((until - Date.now()) / 1000)} s`));
+        scheduler.on('resync', ({ offsetMs }) => console.log(` ${YELLOW}Clock resynced to Binance server time${RESET} (offset ${offsetMs} ms)`));
+        const adapter = await createExchange({ scheduler });
+        // Exchange filters, re-read every 10 minutes; every order is validated and rounded against them
+        const symbolMetadata = createSymbolMetadata(adapter);
+        try {
+            await symbolMetadata.start();
+        } catch (error) {
+            throw new Error(`Failed to load exchange info: ${error.message}`);
+        }
+        return { scheduler, symbolMetadata, exchange: withOrderFilters(adapter, symbolMetadata) };
+    }, ({ symbolMetadata }) => symbolMetadata.stop());
+} catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    process.exit(1);
+}
+const { scheduler, symbolMetadata, exchange } = exchangeServices;
+symbolMetadata.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+
+// Trade journal (SQLite), shared with the entry scanner
+const journal = await supervisor.shared('journal', () => openJournal({
+    file: defaultJournalFile(exchange.name),
+    onError: (error) => console.error(`${RED}${error.message}${RESET}`)
+}), (journal) => journal.close());
+
+const risk = createRiskManager({ exchange, journal, getConfig: () => config.get().risk });
+
+// Dashboard / control API (started with the monitoring loop when http.enabled)
+const httpApi = createHttpApi({
+    name: 'manager',
+    host: config.get().http.host,
+    port: config.get().http.managerPort,
+    token: process.env.HTTP_API_TOKEN
+});
+httpApi.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+const { getStatus: getApiStatus } = addCommonRoutes(httpApi, { exchangeName: exchange.name, config, journal, risk, supervisor, scheduler });
+
 const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: false });
-const TELEGRAM_MESSAGE_PREFIX = ``;
+const TELEGRAM_MESSAGE_PREFIX = exchange.name === 'paper' ? `📝 [PAPER] ` : ``;
 const TELEGRAM_MESSAGE_SUFFIX = `\n- Sent from Binance`;
 
 /**
@@ -93,6 +186,8 @@ const TELEGRAM_MESSAGE_SUFFIX = `\n- Sent from Binance`;
  * @param {string} message 
  */
 async function sendTelegramMessage(message) {
+    httpApi.log(message);
+    if (!config.get().telegram.enabled) return;
     try {
         const formattedMessage = message.replace(/,/g, '\n');
         const finalMessage = `${TELEGRAM_MESSAGE_PREFIX}${formattedMessage}${TELEGRAM_MESSAGE_SUFFIX}`;
@@ -120,188 +215,650 @@ function formatTimestamp(timestamp) {
 }
 
 /**
- * Try to determine when the current position was opened by analyzing trade history
- * (currently commented out in main loop)
- * 
- * @param {string} symbol 
- * @param {'LONG'|'SHORT'} positionSide 
- * @param {string} positionAmt 
- * @returns {Promise<{symbol:string, positionSide:string, positionAmt:string, creationDate:string, tradeId:string, tradeTime:number}|null>}
+ * Print the virtual account of the paper-trading ledger (EXCHANGE=paper only)
  */
-async function getPositionCreationDate(symbol, positionSide, positionAmt) {
-    try {
-        const trades = await binance_options.futuresUserTrades(symbol, { limit: 1000 });
+function printPaperSummary() {
+    if (!exchange.getLedgerSummary) return;
+    const ledger = exchange.getLedgerSummary();
+    const netPnl = ledger.realizedPnl - ledger.commission - ledger.funding;
+    console.log(` ${MAGENTA}PAPER TRADING${RESET} balance: ${ledger.balance.toFixed(2)} USDT (start ${ledger.initialBalance}), realized P/L: ${netPnl >= 0 ? GREEN : BRIGHT_RED}${netPnl.toFixed(4)}${RESET} (fees ${ledger.commission.toFixed(4)}, funding ${ledger.funding.toFixed(4)})`);
+}
 
-        if (!trades || trades.length === 0) {
-            console.log(`${BRIGHT_RED}No trades found for ${symbol}.${RESET}`);
-            return null;
-        }
+async function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-        trades.sort((a, b) => a.time - b.time);
+function normalizeSymbol(symbol) {
+    if (symbol.includes('USDT') && !symbol.includes('/')) {
+        return symbol.replace('USDT', '/USDT');
+    }
+    return symbol;
+}
 
-        const targetPositionAmt = parseFloat(positionAmt);
-        let accumulatedQty = 0;
-        let creationTrade = null;
+const exitState = createExitState();
+const fundingState = createFundingState();
+const supportState = createSupportState();
 
-        for (const trade of trades) {
-            if (trade.positionSide === positionSide) {
-                const qty = parseFloat(trade.qty) * (trade.side === 'BUY' ? 1 : -1);
-                const previousAccumulatedQty = accumulatedQty;
-                accumulatedQty += qty;
+// Bracket / margin-support failures already reported, so a persistent error is not re-sent every loop
+const reportedBracketErrors = new Set();
+const reportedSupportErrors = new Set();
 
-                if (positionSide === 'LONG' && accumulatedQty >= targetPositionAmt) {
-                    if (previousAccumulatedQty < targetPositionAmt) {
-                        creationTrade = trade;
-                        break;
-                    }
-                }
-                if (positionSide === 'SHORT' && accumulatedQty <= targetPositionAmt) {
-                    if (previousAccumulatedQty > targetPositionAmt) {
-                        creationTrade = trade;
-                        break;
-                    }
+/**
+ * Re-place missing stop-loss / take-profit orders and cancel brackets of closed positions
+ * @param {Object[]} openPositions non-zero futuresPositionRisk() rows
+ */
+async function maintainProtectiveOrders(openPositions) {
+    try {
+        const openOrders = await exchange.getOpenOrders();
+        const managed = openPositions.filter(p => !config.get().universe.unmanagedSymbols.includes(p.symbol) && isManaged(journal, p));
+        const results = await ensureBrackets(exchange, managed, openOrders, (position) => config.forSymbol(position.symbol).brackets, { symbolMetadata });
+        for (const { position, types, stopLoss, takeProfit, error } of results) {
+            const key = `${position.symbol}:${position.positionSide}:${error}`;
+            if (error) {
+                console.error(`${RED}Failed to re-place protective orders for ${position.symbol}: ${error}${RESET}`);
+                if (!reportedBracketErrors.has(key)) {
+                    reportedBracketErrors.add(key);
+                    await sendTelegramMessage(`🚨 Failed to re-place protective orders for ${position.symbol} ${position.positionSide}: ${error}`);
                 }
+                continue;
             }
+            console.log(` Re-placed ${CYAN}${types.join(' + ')}${RESET} for ${YELLOW}${position.symbol}${RESET} ${position.positionSide}`);
+            await sendTelegramMessage(`🛡️ Protective orders re-placed: ${position.symbol}, Stop Loss: ${stopLoss}, Take Profit: ${takeProfit}, Position Side: ${position.positionSide}`);
         }
-
-        if (!creationTrade) {
-            console.log(`${RED}Could not determine position creation trade for ${symbol} (${positionSide}).${RESET}`);
-            return null;
+        const canceled = await cancelOrphanedBrackets(exchange, openPositions, openOrders);
+        for (const order of canceled) {
+            console.log(` Canceled orphaned ${CYAN}${order.type}${RESET} for ${YELLOW}${order.symbol}${RESET} ${order.positionSide}`);
         }
+    } catch (error) {
+        console.error(`Failed to maintain protective orders: ${error.message}`);
+    }
+}
+
+// ────────────────────────────────────────────────
+// Position book
+// ────────────────────────────────────────────────
 
-        const creationDate = formatTimestamp(creationTrade.time);
-        const positionColor = positionSide === 'LONG' ? GREEN : BRIGHT_RED;
+// Open positions keyed by symbol:positionSide, fed by the user-data stream and REST reconciliation
+const positionBook = new Map();
+const positionKey = (position) => `${position.symbol}:${position.positionSide}`;
 
-        console.log(`\n${CYAN}Symbol:${RESET} ${symbol}`);
-        console.log(`${CYAN}Position Side:${RESET} ${positionColor}${positionSide}${RESET}`);
-        console.log(`${CYAN}Position Amount:${RESET} ${positionAmt}`);
-        console.log(`${CYAN}Position Creation Date:${RESET} ${creationDate}`);
+// Last REST funding rate / next funding time per symbol, for exit checks between loop passes
+const fundingRates = new Map();
 
+/**
+ * Position book rows for the dashboard
+ * @returns {Object[]}
+ */
+function describePositions() {
+    return [...positionBook.values()].map(position => {
+        const trade = journal.getOpenTrade(position.symbol, position.positionSide);
         return {
-            symbol,
-            positionSide,
-            positionAmt,
-            creationDate,
-            tradeId: creationTrade.id,
-            tradeTime: creationTrade.time
+            symbol: position.symbol,
+            positionSide: position.positionSide,
+            positionAmt: position.positionAmt,
+            entryPrice: position.entryPrice,
+            markPrice: position.markPrice,
+            unRealizedProfit: position.unRealizedProfit,
+            leverage: position.leverage,
+            isolatedWallet: position.isolatedWallet,
+            fundingRate: getCachedFunding(position.symbol)?.fundingRate,
+            fundingPaid: trade?.funding_paid,
+            origin: trade?.origin,
+            openedAt: trade?.opened_at
         };
+    });
+}
+
+// Live Binance pushes account events; simulated / paper ledgers are cheap to poll every loop
+const streamedAccount = Boolean(exchange.createListenKey);
+const userData = createUserDataStream(exchange);
+const markStream = streamedAccount ? createMarketStream(exchange, { symbols: [] }) : null;
+let lastReconcile = 0;
+
+// Client order ids of the closes sent by closePosition(), which reports them itself; their
+// fill events queue behind the close (runExclusive) and are skipped
+const ownOrders = new Set();
+
+// Loop passes and stream events touch the same positions; run them one at a time
+let queue = Promise.resolve();
+const runExclusive = (task) => {
+    queue = queue.then(task).catch(error => console.error(`Error managing positions: ${error.message}`));
+    return queue;
+};
+
+/**
+ * Rebuild the position book from REST, match it against the position registry and maintain the brackets
+ * @param {import('./src/exchange.js').Order[]} [openOrders] also report stray orders (startup)
+ * @returns {Promise<{openPositions:Object[], registry:import('./src/position_registry.js').RegistryReport}>}
+ */
+async function reconcilePositions(openOrders) {
+    const asOf = Date.now();
+    const positionData = await exchange.getPositions();
+    const openPositions = positionData.filter(p => Number(p.positionAmt) !== 0);
+    const closedTrades = journal.reconcile(openPositions, asOf);
+    if (closedTrades > 0) {
+        console.log(` Journal: closed ${CYAN}${closedTrades}${RESET} trade(s) of positions no longer open`);
+        httpApi.publish('trade', { reconciled: closedTrades });
+    }
+    const registry = await reconcileRegistry({ exchange, journal, positions: openPositions, openOrders, unknownPositions: config.get().manager.unknownPositions });
+    await reportRegistry(registry);
+    positionBook.clear();
+    for (const position of openPositions) positionBook.set(positionKey(position), position);
+    pruneExitState(exitState, openPositions);
+    pruneExitState(fundingState, openPositions);
+    pruneExitState(supportState, openPositions);
+    lastReconcile = Date.now();
+    await maintainProtectiveOrders(openPositions);
+    return { openPositions, registry };
+}
+
+/**
+ * Announce positions the registry adopted, flagged or resized
+ * @param {import('./src/position_registry.js').RegistryReport} registry
+ */
+async function reportRegistry({ adopted, flagged, resized }) {
+    const opened = ({ openedAt, exact }) => `${exact ? '' : 'before '}${formatTimestamp(openedAt)}`;
+    for (const { position, ...entry } of adopted) {
+        console.log(` Registry: ${GREEN}adopted${RESET} ${YELLOW}${position.symbol}${RESET} ${position.positionSide} ${position.positionAmt} (opened ${opened(entry)})`);
+        await sendTelegramMessage(`🧭 Position adopted: ${position.symbol}, Position Side: ${position.positionSide}, Quantity: ${position.positionAmt}, Entry: ${position.entryPrice}, Opened: ${opened(entry)}`);
+    }
+    for (const { position, ...entry } of flagged) {
+        console.log(` Registry: ${BRIGHT_RED}flagged${RESET} ${YELLOW}${position.symbol}${RESET} ${position.positionSide} ${position.positionAmt} (opened ${opened(entry)}) – not opened by the scanner – left alone`);
+        await sendTelegramMessage(`🚩 Unknown position left alone: ${position.symbol}, Position Side: ${position.positionSide}, Quantity: ${position.positionAmt}, Entry: ${position.entryPrice}, Opened: ${opened(entry)}, Adopt with: /set unknownPositions adopt`);
+    }
+    for (const { position, from, to } of resized) {
+        console.log(` Registry: ${YELLOW}${position.symbol}${RESET} ${position.positionSide} size ${from} → ${to} (changed outside the bots)`);
+        await sendTelegramMessage(`📐 Position size changed outside the bots: ${position.symbol}, Position Side: ${position.positionSide}, Journal: ${from}, Exchange: ${to}`);
+    }
+}
+
+/**
+ * First reconciliation after a (re)start: rebuild the book, resume or take over
+ * every open position and report what was found
+ */
+async function recoverPositions() {
+    let openOrders = [];
+    try {
+        openOrders = await exchange.getOpenOrders();
     } catch (error) {
-        console.error(`${RED}Error fetching trade history for ${symbol}: ${error.message}${RESET}`);
-        return null;
+        console.error(`Failed to read open orders: ${error.message}`);
     }
+    const { openPositions, registry } = await reconcilePositions(openOrders);
+    for (const order of registry.strayOrders) {
+        console.log(` Registry: open ${CYAN}${order.type}${RESET} ${order.side} order ${order.orderId} on ${YELLOW}${order.symbol}${RESET} without a position – left in place`);
+    }
+    const summary = `Positions: ${openPositions.length}, Resumed: ${registry.resumed.length}, Adopted: ${registry.adopted.length}, Flagged: ${registry.flagged.length}, Orders without a position: ${registry.strayOrders.length}`;
+    console.log(` Recovery – ${summary.replace(/, /g, ' · ')}`);
+    await sendTelegramMessage(`♻️ Manager started, ${summary}`);
 }
 
-async function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Merge an account update into the position book
+ * @param {Object[]} rows partial position rows
+ * @returns {Object[]} positions still open after the update
+ */
+function applyPositionRows(rows) {
+    const updated = [];
+    for (const row of rows) {
+        const key = positionKey(row);
+        if (Number(row.positionAmt) === 0) {
+            positionBook.delete(key);
+            continue;
+        }
+        // A side the book has not seen yet lacks leverage / margin fields until the next reconciliation
+        if (!positionBook.has(key)) lastReconcile = 0;
+        const position = { ...positionBook.get(key), ...row };
+        positionBook.set(key, position);
+        updated.push(position);
+    }
+    pruneExitState(exitState, [...positionBook.values()]);
+    pruneExitState(fundingState, [...positionBook.values()]);
+    pruneExitState(supportState, [...positionBook.values()]);
+    return updated;
 }
 
-function normalizeSymbol(symbol) {
-    if (symbol.includes('USDT') && !symbol.includes('/')) {
-        return symbol.replace('USDT', '/USDT');
+/**
+ * Re-price the book with the streamed mark prices
+ */
+function applyMarkPrices() {
+    if (!markStream) return;
+    for (const position of positionBook.values()) {
+        const mark = markStream.getMarkPrice(position.symbol);
+        if (!mark) continue;
+        position.markPrice = String(mark.markPrice);
+        position.unRealizedProfit = String((mark.markPrice - Number(position.entryPrice)) * Number(position.positionAmt));
     }
-    return symbol;
 }
 
+/**
+ * Streamed funding of a symbol, else the last one fetched over REST
+ * @param {string} symbol
+ * @returns {{fundingRate:number, nextFundingTime:number}|undefined}
+ */
+function getCachedFunding(symbol) {
+    return markStream?.getMarkPrice(symbol) ?? fundingRates.get(symbol);
+}
+
+/**
+ * Funding rate and next funding time of a symbol, fetched over REST when not streamed
+ * @param {string} symbol
+ * @returns {Promise<{fundingRate:number, nextFundingTime:number}|null>}
+ */
+async function getFunding(symbol) {
+    const streamed = markStream?.getMarkPrice(symbol);
+    if (streamed) return streamed;
+    try {
+        const funding = await exchange.fetchFundingRate(`${normalizeSymbol(symbol)}:USDT`);
+        fundingRates.set(symbol, funding);
+        return funding;
+    } catch (error) {
+        console.error(`Failed to fetch funding rate for ${symbol}: ${error.message}`);
+        return fundingRates.get(symbol) ?? null;
+    }
+}
+
+/**
+ * Apply the funding policy, then run the exit rules on a position and close (part of) it when they fire
+ * @param {Object} position
+ * @param {{fundingRate:number, nextFundingTime:number}} [funding]
+ * @returns {Promise<boolean>} whether (part of) the position was closed
+ */
+async function checkExit(position, funding = getCachedFunding(position.symbol)) {
+    if (config.get().universe.unmanagedSymbols.includes(position.symbol)) return false;
+    const trade = journal.getOpenTrade(position.symbol, position.positionSide);
+    // Flagged positions are left alone until manager.unknownPositions adopts them
+    if (trade?.origin === 'manual') return false;
+    const { manager } = config.forSymbol(position.symbol);
+
+    if (manager.maxHoldingMinutes > 0 && trade && Date.now() - trade.opened_at >= manager.maxHoldingMinutes * 60 * 1000) {
+        const held = Math.floor((Date.now() - trade.opened_at) / 60000);
+        console.log(` Exit: ${CYAN}max-holding-time${RESET} – open since ${formatTimestamp(trade.opened_at)} (${held} min ≥ ${manager.maxHoldingMinutes})`);
+        await sendTelegramMessage(`⏱️ Max holding time reached: ${position.symbol}, Position Side: ${position.positionSide}, Opened: ${formatTimestamp(trade.opened_at)}, Held: ${held} min (limit ${manager.maxHoldingMinutes})`);
+        await closePosition(position, undefined, 'max-holding-time');
+        return true;
+    }
+
+    if (manager.funding.enabled && funding) {
+        const decision = evaluateFunding({ position, funding, settings: manager.funding, state: fundingState });
+        if (decision.action === 'hold') {
+            console.log(` Funding: ${GREEN}holding${RESET} – ${decision.reason}`);
+            return false;
+        }
+        if (decision.action === 'reduce') {
+            const rate = `${(funding.fundingRate * 100).toFixed(4)}%`;
+            const minutes = Math.ceil(decision.minutesToFunding);
+            console.log(` Exit: ${CYAN}${decision.reason}${RESET} – paying ${rate} funding in ${minutes} min (about ${decision.estimatedPayment.toFixed(4)} USDT)`);
+            await sendTelegramMessage(`💸 ${decision.reason === 'funding-exit' ? 'Closing' : 'Reducing'} ahead of funding: ${position.symbol}, Position Side: ${position.positionSide}, Rate: ${rate}, Estimated payment: ${decision.estimatedPayment.toFixed(4)} USDT, Funding in: ${minutes} min`);
+            try {
+                await closePosition(position, decision.quantity, decision.reason);
+            } catch (error) {
+                // Retry on the next pass instead of waiting for the next funding timestamp
+                fundingState.delete(exitStateKey(position));
+                throw error;
+            }
+            return true;
+        }
+    }
+
+    const fundingPaid = trade?.funding_paid ?? 0;
+    const measured = manager.funding.enabled && manager.funding.netOfFunding ? netOfFunding(position, fundingPaid) : position;
+    // Ladder step / trailing peak survive restarts through the journal
+    const key = exitStateKey(position);
+    if (!exitState.has(key) && trade?.exit_state) exitState.set(key, JSON.parse(trade.exit_state));
+    const exit = evaluateExit(measured, buildExitProfiles(manager.profit)[manager.exitProfile], exitState);
+    if (trade && JSON.stringify(exitState.get(key)) !== trade.exit_state) {
+        journal.updateOpenTrade(position.symbol, position.positionSide, { exitState: exitState.get(key) });
+    }
+    if (exit.action === 'close') {
+        console.log(` Exit: ${CYAN}${exit.reason}${RESET} at ${GREEN}${(exit.pnlPct * 100).toFixed(2)}%${RESET} of margin`);
+        await closePosition(position, exit.quantity, exit.reason);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Print a position with its funding direction, then check its exit and margin support
+ * @param {Object} position
+ */
+async function checkPosition(position) {
+    console.log('-----------------------------------');
+    console.log(` ${YELLOW}${position.symbol}${RESET}`);
+    const funding = await getFunding(position.symbol);
+    const fundingRate = funding ? formatFundingRate(position.symbol, funding) : null;
+    const positionColor = position.positionSide === 'LONG' ? GREEN : BRIGHT_RED;
+    console.log(` Position Side:${positionColor}${position.positionSide}${RESET}`);
+    const trade = journal.getOpenTrade(position.symbol, position.positionSide);
+    if (trade) console.log(` Opened: ${CYAN}${formatTimestamp(trade.opened_at)}${RESET} (${trade.origin === 'manual' ? `${BRIGHT_RED}manual – left alone${RESET}` : trade.origin})`);
+    console.log(` Current price: ${GREEN}${position.markPrice}${RESET}`);
+    console.log(` P/L: ${position.unRealizedProfit > 0 ? GREEN : BRIGHT_RED}${Number(position.unRealizedProfit).toFixed(2)}${RESET}`);
+    console.log('');
+    if (fundingRate) {
+        console.log(` Funding Rate: ${fundingRate.fundingRate > 0 ? GREEN : BRIGHT_RED}${fundingRate.fundingRate.toFixed(4)}%${RESET}`);
+        console.log(` Next Funding Time: ${CYAN}${fundingRate.nextFundingTime}${RESET}`);
+
+        if ((position.positionSide === 'LONG' && fundingRate.fundingRate < 0) ||
+            (position.positionSide === 'SHORT' && fundingRate.fundingRate > 0)) {
+            console.log(` Profitable: ${GREEN}YES${RESET}`);
+        } else {
+            console.log(` Profitable: ${BRIGHT_RED}NO${RESET}`);
+        }
+    }
+    const fundingPaid = trade?.funding_paid;
+    if (fundingPaid) {
+        console.log(` Funding ${fundingPaid > 0 ? 'paid' : 'received'} so far: ${fundingPaid > 0 ? BRIGHT_RED : GREEN}${Math.abs(fundingPaid).toFixed(4)}${RESET} USDT`);
+    }
+    if (await checkExit(position, funding)) return;
+    await supportPosition(position);
+}
+
+// Rule currently halting new entries (daily loss / loss streak), announced once when it starts and ends
+let haltedBy = null;
+
+/**
+ * Report when the risk manager starts or stops halting new entries
+ */
+async function checkRiskStatus() {
+    try {
+        const status = await risk.getStatus();
+        console.log(` Today's P/L: ${status.daily.total >= 0 ? GREEN : BRIGHT_RED}${status.daily.total.toFixed(4)}${RESET} USDT (realized ${status.daily.realized.toFixed(4)})`);
+        const rule = status.allowed ? null : status.rule;
+        if (rule === haltedBy) return;
+        haltedBy = rule;
+        httpApi.publish('status', await getApiStatus());
+        if (rule) {
+            console.log(` ${BRIGHT_RED}New entries halted${RESET}: ${status.reason}`);
+            await sendTelegramMessage(`🛑 New entries halted: Rule: ${rule}, Reason: ${status.reason}`);
+        } else {
+            console.log(` ${BRIGHT_GREEN}New entries allowed again${RESET}`);
+            await sendTelegramMessage(`✅ New entries allowed again`);
+        }
+    } catch (error) {
+        console.error(`Failed to check risk status: ${error.message}`);
+    }
+}
+
+// ────────────────────────────────────────────────
+// Account events
+// ────────────────────────────────────────────────
+
+userData.on('account', ({ reason, positions }) => runExclusive(async () => {
+    const updated = applyPositionRows(positions);
+    if (updated.length === 0) return;
+    console.log(` Account update (${CYAN}${reason}${RESET}): ${updated.map(positionKey).join(', ')}`);
+    // Exit checks on the fresh PnL instead of waiting for the next loop
+    for (const position of updated) {
+        try {
+            await checkExit(position);
+        } catch (err) {
+            console.error(`Error processing ${position.symbol}: ${err.message}`);
+        }
+    }
+}));
+
+// Journal close reasons of fills the manager did not send itself
+const FILL_CLOSE_REASONS = { STOP_MARKET: 'stop-loss', TAKE_PROFIT_MARKET: 'take-profit' };
+
+/**
+ * Whether a fill reduced its position rather than opening / adding to it
+ * @param {Object} order 'order' event
+ * @returns {boolean}
+ */
+function reducesPosition(order) {
+    if (order.positionSide === 'LONG') return order.side === 'SELL';
+    if (order.positionSide === 'SHORT') return order.side === 'BUY';
+    return Boolean(order.reduceOnly) || Boolean(FILL_CLOSE_REASONS[order.type]);
+}
+
+// Fills and liquidations touch the same trade rows as the loop's closes and top-ups, so they queue behind them
+userData.on('order', (order) => runExclusive(async () => {
+    if (order.status !== 'FILLED') return;
+    journal.recordFill({
+        symbol: order.symbol,
+        side: order.side,
+        positionSide: order.positionSide,
+        type: order.type,
+        quantity: Number(order.executedQty),
+        price: Number(order.avgPrice),
+        realizedPnl: order.realizedPnl,
+        commission: order.commission,
+        orderId: order.orderId
+    });
+    // Settles an order the bots left pending, so a retry of its intent is not sent again
+    if (order.clientOrderId) {
+        journal.updateOrder(order.clientOrderId, { status: 'filled', orderId: order.orderId, filledQuantity: Number(order.executedQty), avgPrice: Number(order.avgPrice) });
+    }
+    if (ownOrders.delete(order.clientOrderId)) return;
+    // Reported by the 'liquidation' handler
+    if (order.type === 'LIQUIDATION' || order.clientOrderId?.startsWith('autoclose-')) return;
+    if (reducesPosition(order)) {
+        journal.closeTrade({
+            symbol: order.symbol,
+            positionSide: order.positionSide,
+            quantity: Number(order.executedQty),
+            price: Number(order.avgPrice),
+            pnl: order.realizedPnl,
+            reason: FILL_CLOSE_REASONS[order.type] || 'closed externally',
+            ...await getDecisionContext(order.symbol)
+        });
+        httpApi.publish('trade', { symbol: order.symbol, positionSide: order.positionSide });
+    }
+    console.log(` Order filled: ${YELLOW}${order.symbol}${RESET} ${order.side} ${order.type} ${order.executedQty} @ ${order.avgPrice}`);
+    await sendTelegramMessage(`🔔 Order filled: ${order.symbol}, Side: ${order.side}, Type: ${order.type}, Quantity: ${order.executedQty}, Price: ${order.avgPrice}, Position Side: ${order.positionSide}, Realized P/L: ${order.realizedPnl}`);
+}));
+
+userData.on('liquidation', ({ symbol, positionSide, quantity, price }) => runExclusive(async () => {
+    console.log(` ${BRIGHT_RED}Liquidated${RESET}: ${YELLOW}${symbol}${RESET} ${positionSide} ${quantity} @ ${price}`);
+    journal.closeTrade({ symbol, positionSide, quantity, price, reason: 'liquidation', full: true });
+    httpApi.publish('trade', { symbol, positionSide });
+    await sendTelegramMessage(`💥 Position liquidated: ${symbol}, Quantity: ${quantity}, Price: ${price}, Position Side: ${positionSide}`);
+}));
+
+userData.on('marginCall', async ({ positions }) => {
+    for (const position of positions) {
+        console.log(` ${BRIGHT_RED}Margin call${RESET}: ${YELLOW}${position.symbol}${RESET} ${position.positionSide}`);
+        await sendTelegramMessage(`⚠️ Margin call: ${position.symbol}, Position Side: ${position.positionSide}, Mark Price: ${position.markPrice}, P/L: ${position.unRealizedProfit}, Maintenance Margin: ${position.maintenanceMargin}`);
+    }
+});
+
+userData.on('funding', ({ symbol, positionSide, payment, rate }) => {
+    // Cross-margin funding arrives without its position; with a single open position it can only be that one
+    if (!symbol && positionBook.size === 1) ({ symbol, positionSide } = [...positionBook.values()][0]);
+    console.log(` Funding ${payment > 0 ? `${BRIGHT_RED}paid` : `${GREEN}received`}${RESET}: ${Math.abs(payment)} USDT${symbol ? ` on ${YELLOW}${symbol}${RESET} ${positionSide}` : ''}`);
+    journal.recordFunding({ symbol, positionSide, rate, payment });
+});
+
+userData.on('connect', () => {
+    lastReconcile = 0;
+});
+
+// Positions opened by the scanner in this process enter the book before the next pass
+supervisor.bus.on('position:opened', ({ symbol, positionSide }) => runExclusive(async () => {
+    const rows = await exchange.getPositions(symbol);
+    const updated = applyPositionRows(rows.filter(row => row.positionSide === positionSide && Number(row.positionAmt) !== 0));
+    if (updated.length === 0) return;
+    console.log(` New position from the scanner: ${YELLOW}${symbol}${RESET} ${positionSide}`);
+    httpApi.publish('positions', describePositions());
+}));
+userData.on('disconnect', () => console.log(` ${BRIGHT_RED}User-data stream disconnected${RESET}, polling positions over REST`));
+userData.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+markStream?.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+
+// ────────────────────────────────────────────────
+// Lifecycle
+// ────────────────────────────────────────────────
+
+/**
+ * Stop managing: no new loop pass or command, wait for the close / margin add in flight
+ * @returns {Promise<void>}
+ */
+async function stopManager() {
+    await telegramCommands.stop();
+    await userData.stop();
+    markStream?.stop();
+    await queue;
+    await sendTelegramMessage(`⏹️ Position manager stopped: Open positions stay on the exchange with their protective orders`);
+    await httpApi.stop();
+}
+
+const component = supervisor.register('manager', { stop: stopManager });
+
+supervisor.on('stale', async ({ name, silentMs }) => {
+    if (name !== 'manager') return;
+    console.log(` ${BRIGHT_RED}Manager stalled${RESET}: no heartbeat for ${Math.round(silentMs / 1000)} s`);
+    await sendTelegramMessage(`🩺 Position manager stalled: No heartbeat for ${Math.round(silentMs / 1000)} s`);
+});
+supervisor.on('recovered', async ({ name, silentMs }) => {
+    if (name !== 'manager') return;
+    console.log(` ${BRIGHT_GREEN}Manager recovered${RESET} after ${Math.round(silentMs / 1000)} s`);
+    await sendTelegramMessage(`✅ Position manager recovered after ${Math.round(silentMs / 1000)} s`);
+});
+supervisor.on('shutdown', ({ reason }) => console.log(` ${BRIGHT_YELLOW}Manager stopping${RESET} (${reason}): finishing the orders in flight`));
+supervisor.on('stopped', ({ name }) => {
+    if (name === 'manager') console.log(` Manager stopped`);
+});
+supervisor.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+
 /**
  * Main monitoring loop — checks open positions every few seconds
  */
 async function listOpenFuturesPositions() {
-    while (true) {
-        try {
-            console.clear();
-            const positionData = await binance_options.futuresPositionRisk();
-            const openPositions = positionData.filter(p => Number(p.positionAmt) !== 0);
-            console.log(` Opened Futures Positions: ${CYAN}${openPositions.length}${RESET}`);
-         
-            if (openPositions.length === 0) {
-                console.log('No open futures positions found.');
-                await sleep(10000);
-                continue;
+    try {
+        await userData.start();
+        await markStream?.start();
+    } catch (error) {
+        console.error(`Failed to start account streams, polling over REST: ${error.message}`);
+    }
+    await runExclusive(recoverPositions);
+
+    while (!component.stopping) {
+        await runExclusive(async () => {
+            // The stop may have come while this pass waited for the queue
+            if (component.stopping) return;
+            if (!supervisor.combined) console.clear();
+            const polling = !streamedAccount || !userData.isConnected();
+            if (polling || Date.now() - lastReconcile >= config.get().manager.reconcileIntervalMs) {
+                await reconcilePositions();
+                await checkRiskStatus();
             }
+            applyMarkPrices();
+            const openPositions = [...positionBook.values()];
+            printPaperSummary();
+            console.log(` Opened Futures Positions: ${CYAN}${openPositions.length}${RESET} (${polling ? 'REST polling' : 'user-data stream'})`);
 
             for (const position of openPositions) {
                 try {
-                    console.log('-----------------------------------');                               
-                    const size = Number(position.positionAmt);
-                    console.log(` ${YELLOW}${position.symbol}${RESET}`);
-                    const symbol_normalize = `${normalizeSymbol(position.symbol)}:USDT`;
-                    const fundingRate = await fetchFundingRate(symbol_normalize);
-                    // await getPositionCreationDate(position.symbol, position.positionSide, position.positionAmt);
-                    const positionColor = position.positionSide === 'LONG' ? GREEN : BRIGHT_RED;
-                    console.log(` Position Side:${positionColor}${position.positionSide}${RESET}`);        
-                    console.log(` Current price: ${GREEN}${position.markPrice}${RESET}`);              
-                    console.log(` P/L: ${position.unRealizedProfit > 0 ? GREEN : BRIGHT_RED}${Number(position.unRealizedProfit).toFixed(2)}${RESET}`);                     
-                    console.log('');
-                    if (fundingRate) {
-                        console.log(` Funding Rate: ${fundingRate.fundingRate > 0 ? GREEN : BRIGHT_RED}${fundingRate.fundingRate.toFixed(4)}%${RESET}`);
-                        console.log(` Next Funding Time: ${CYAN}${fundingRate.nextFundingTime}${RESET}`);                        
-                     
-                        if ((position.positionSide === 'LONG' && fundingRate.fundingRate < 0) || 
-                            (position.positionSide === 'SHORT' && fundingRate.fundingRate > 0)) {
-                            console.log(` Profitable: ${GREEN}YES${RESET}`);
-                        } else {
-                            console.log(` Profitable: ${BRIGHT_RED}NO${RESET}`);
-                        }
-                    }                   
-                    if (excludedSymbols.includes(position.symbol)) {
-                        continue;
-                    }                       
-                    const calculatedProfit = Number(position.isolatedWallet) * profit;
-                    const unRealizedProfit = Number(position.unRealizedProfit);
-                    
-                    if (unRealizedProfit >= calculatedProfit) {
-                        const order = await closePosition(position);
-                        console.log('Close order:', order);
-                    } 
-                    // Margin adding logic is currently commented out in original code
+                    await checkPosition(position);
                 } catch (err) {
                     console.error(`Error processing ${position.symbol}: ${err.message}`);
                 }
-                await sleep(3000); // Rate limit delay
             }
-        } catch (error) {
-            console.error('Error fetching open positions:', error.body || error.message);
-            await sleep(5000);
-        }
+            if (openPositions.length === 0) console.log('No open futures positions found.');
+            httpApi.publish('positions', describePositions());
+            component.heartbeat({ positions: openPositions.length, streamed: !polling });
+        });
+        await sleep(config.get().manager.loopIntervalMs);
     }
 }
 
 /**
- * Close an open futures position with market order
+ * Close an open futures position (fully or partially) with market order
  * @param {Object} position position object from futuresPositionRisk()
+ * @param {number} [quantity] amount to close; defaults to the whole position
+ * @param {string} [reason] exit rule that fired, recorded in the journal
  * @returns {Promise<any>}
  */
-async function closePosition(position) {
+async function closePosition(position, quantity, reason = 'manual') {
     try {
         if (!position.symbol || !position.positionAmt || !position.positionSide) {
             throw new Error('Invalid position data');
         }
 
         let symbol = position.symbol;
-        const quantity = Math.abs(parseFloat(position.positionAmt));
-        if (quantity === 0) {
+        const positionQuantity = Math.abs(parseFloat(position.positionAmt));
+        if (positionQuantity === 0) {
             throw new Error('Position quantity is zero');
         }
+        // Partial sizes are rounded down to the lot step; a part (or remainder) below minQty could
+        // never be closed on its own, so the whole position goes instead
+        const { marketLot } = await symbolMetadata.lookup(symbol);
+        let closeQuantity = Math.min(positionQuantity, roundToStep(quantity ?? positionQuantity, marketLot.stepSize));
+        if (closeQuantity < marketLot.minQty || positionQuantity - closeQuantity < marketLot.minQty) {
+            closeQuantity = positionQuantity;
+        }
+        const partial = closeQuantity < positionQuantity;
+        const closedPnl = Number(position.unRealizedProfit) * closeQuantity / positionQuantity;
 
         const price = await getMarketPrice(symbol);
         const positionSide = position.positionSide;
-        const oppositeSide = positionSide === 'LONG' ? 'SELL' : 'BUY';
+        const oppositeSide = Number(position.positionAmt) > 0 ? 'SELL' : 'BUY';
 
-        const params = {
-            positionSide: positionSide,
-            // reduceOnly: true,     // commented in original
-        };
+        // Same trade, size and part → same id, so a close retried after a lost answer cannot run twice
+        const trade = journal.getOpenTrade(symbol, positionSide);
+        const purpose = partial ? 'partial-close' : 'close';
+        const clientOrderId = createClientOrderId({
+            purpose,
+            symbol,
+            positionSide,
+            key: `${trade?.id}:${trade?.opened_at ?? position.updateTime}:${positionQuantity}:${closeQuantity}`
+        });
+        ownOrders.add(clientOrderId);
+        let execution;
+        try {
+            execution = await submitOrder({
+                exchange,
+                journal,
+                order: { symbol, side: oppositeSide, type: 'MARKET', quantity: closeQuantity, positionSide, reduceOnly: true },
+                purpose,
+                clientOrderId,
+                referencePrice: price,
+                settings: config.get().orders
+            });
+        } catch (error) {
+            ownOrders.delete(clientOrderId);
+            throw error;
+        }
+        const order = execution.order;
+        if (execution.executedQty === 0) {
+            // Still open when the status checks ran out: its fill, if any, is journaled by the
+            // 'order' handler and the next reconciliation like an outside close
+            ownOrders.delete(clientOrderId);
+            console.log(` ${BRIGHT_YELLOW}Close pending${RESET}: ${symbol} ${positionSide} order ${clientOrderId} still ${execution.state}`);
+            await sendTelegramMessage(`⏳ Close pending: ${symbol}, Position Side: ${positionSide}, Order: ${clientOrderId}, State: ${execution.state}`);
+            return order;
+        }
+        const closedQuantity = execution.executedQty;
+        const fillPrice = execution.avgPrice;
 
-        const order = await (oppositeSide === 'BUY'
-            ? binance_options.futuresMarketBuy(symbol, quantity, params)
-            : binance_options.futuresMarketSell(symbol, quantity, params));
+        journal.closeTrade({
+            symbol,
+            positionSide,
+            quantity: closedQuantity,
+            price: fillPrice,
+            pnl: closedPnl * closedQuantity / closeQuantity,
+            reason,
+            full: !partial && closedQuantity >= closeQuantity,
+            ...await getDecisionContext(symbol)
+        });
+        httpApi.publish('trade', { symbol, positionSide });
 
         console.log(` Entry price: ${GREEN}${position.entryPrice}${RESET}`);
         console.log(` Current price: ${GREEN}${price}${RESET}`);
-        console.log(` Position closed: ${YELLOW}${quantity}${RESET} / ${positionSide}`);
-        console.log(` P/L: ${position.unRealizedProfit > 0 ? GREEN : BRIGHT_RED}${position.unRealizedProfit}${RESET}`);
+        console.log(` Position ${partial ? 'partially closed' : 'closed'}: ${YELLOW}${closedQuantity}${RESET} of ${positionQuantity} / ${positionSide} at ${fillPrice} (${execution.state}, slippage ${execution.slippage === null ? 'n/a' : `${(execution.slippage * 100).toFixed(3)}%`}, fees ${execution.commission ?? 'n/a'} USDT)`);
+        console.log(` P/L: ${closedPnl > 0 ? GREEN : BRIGHT_RED}${closedPnl}${RESET}`);
+
+        if (config.forSymbol(symbol).brackets.enabled && !partial) {
+            try {
+                const openOrders = await exchange.getOpenOrders(symbol);
+                await cancelOrphanedBrackets(exchange, [], openOrders.filter(o => o.positionSide === positionSide));
+            } catch (error) {
+                console.error(`Failed to cancel protective orders for ${symbol}: ${error.message}`);
+            }
+        }
 
-        const message = `❎ Position closed: ${symbol}, Quantity: ${quantity}, Price: ${price}, Position Side: ${positionSide}, P/L: ${position.unRealizedProfit}`;
+        const message = partial
+            ? `✂️ Position partially closed: ${symbol}, Quantity: ${closedQuantity} of ${positionQuantity}, Price: ${fillPrice}, Position Side: ${positionSide}, P/L: ${closedPnl}`
+            : `❎ Position closed: ${symbol}, Quantity: ${closedQuantity}, Price: ${fillPrice}, Position Side: ${positionSide}, P/L: ${position.unRealizedProfit}`;
         await sendTelegramMessage(message);
 
         return order;
@@ -318,8 +875,8 @@ async function closePosition(position) {
  */
 async function getMarketPrice(symbol) {
     try {
-        const ticker = await binance.fetchTicker(symbol);     
-        const price = ticker.last || ticker.info?.lastPrice;
+        const ticker = await exchange.getTicker(symbol);
+        const price = ticker.last;
         if (!price) throw new Error('Price not found in ticker data');
         console.log(` Market price: ${GREEN}${price}${RESET}`);
         return price;
@@ -330,73 +887,81 @@ async function getMarketPrice(symbol) {
 }
 
 /**
- * Add margin to isolated position (currently NOT used in main loop)
- * @param {Object} position 
+ * Add isolated margin to a position the margin-support policy flags, then confirm
+ * that its liquidation price moved away from the mark price
+ * @param {Object} position futuresPositionRisk() row from the position book
  */
-async function addMarginToPosition(position) {
-    try {
-        if (!position) {        
-            throw new Error(`No open position found.`);
-        }      
-        var symbol = position.symbol; 
-         
-        if (!symbol || typeof symbol !== 'string') {
-            throw new Error('Invalid symbol provided');
-        }    
-
-        const normalizedSymbol = symbol.includes(':USDT') ? symbol : `${symbol}:USDT`;
-
-        if (position.isolatedWallet === '0') {
-            throw new Error(`Position for ${symbol} is not in isolated margin mode`);
-        }
+async function supportPosition(position) {
+    const { symbol, positionSide } = position;
+    const settings = config.forSymbol(symbol).manager.support;
+    if (!settings.enabled || config.get().universe.unmanagedSymbols.includes(symbol) || !isManaged(journal, position)) return;
+    const key = exitStateKey(position);
+    // Top-ups survive restarts through the journal
+    if (!supportState.has(key)) supportState.set(key, journal.getMarginAdds(symbol, positionSide));
 
-        const usdtBalance = await getBalance();        
-        var amount = position.isolatedWallet;
-        var amountForSupport = amount * supportPerPosition;    
-
-        if (usdtBalance < amountForSupport) {
-            throw new Error(`Insufficient USDT balance in futures wallet: ${usdtBalance} available, ${amountForSupport} required`);
-        }          
-
-        let positionSide = position.positionSide;  
-        console.log('');
-   
-        const positionSideMode = await binance.fapiPrivateGetPositionSideDual();
-        const isHedgeMode = positionSideMode.dualSidePosition;
-        console.log(' Hedge Mode:', isHedgeMode);
-        console.log(` Found open ${CYAN}${positionSide}${RESET} position for ${YELLOW}${symbol}${RESET}`);
-
-        const params = {
-            symbol: symbol,
-            amount: Number(amountForSupport).toFixed(2),
-            type: 1, // 1 = Add margin
-            timestamp: Date.now(),
-        };
+    // Cross positions share the wallet and are never topped up; say so once instead of skipping silently
+    if (String(position.marginType).toUpperCase().startsWith('CROSS')) {
+        const warningKey = `${key}:cross`;
+        if (!reportedSupportErrors.has(warningKey)) {
+            reportedSupportErrors.add(warningKey);
+            console.log(` ${BRIGHT_YELLOW}Margin support enabled but ${symbol} ${positionSide} is cross margin${RESET}: it is never topped up (set scanner.marginType to ISOLATED)`);
+        }
+        return;
+    }
 
-        if (isHedgeMode) {
-            params.positionSide = positionSide;
-        }     
+    let decision = evaluateSupport({ position, settings, state: supportState });
+    if (decision.action !== 'add') {
+        if (decision.reason) console.log(` Margin support: ${YELLOW}skipped${RESET} – ${decision.reason}`);
+        return;
+    }
 
-        // ── The actual API call is commented out in original code ──
-        // let response = await binance.fapiPrivatePostPositionMargin(params);
+    try {
+        // The book may lag behind the exchange; decide again on a fresh row
+        const fresh = (await exchange.getPositions(symbol)).find(p => p.positionSide === positionSide && Number(p.positionAmt) !== 0);
+        if (!fresh) return;
+        decision = evaluateSupport({ position: { ...position, ...fresh }, settings, state: supportState });
+        if (decision.action !== 'add') return;
 
-        console.log(' Margin added successfully');
-        console.log(` Added ${GREEN}${amountForSupport}${RESET} USDT to ${YELLOW}${symbol}${RESET} ${CYAN}${positionSide}${RESET} position`);
+        // Binance wants positionSide in hedge mode and rejects it in one-way mode
+        const hedgeMode = await exchange.isHedgeMode();
+        if (hedgeMode !== (positionSide !== 'BOTH')) {
+            throw new Error(`position side ${positionSide} does not match ${hedgeMode ? 'hedge' : 'one-way'} mode`);
+        }
+        const balance = await getBalance();
+        if (balance < decision.amount) {
+            throw new Error(`insufficient USDT balance in futures wallet: ${balance} available, ${decision.amount} required`);
+        }
+        const allowed = await risk.checkMarginAdd({ amount: decision.amount });
+        if (!allowed.allowed) {
+            console.log(` ${BRIGHT_RED}Margin add refused${RESET} for ${symbol}: ${allowed.reason}`);
+            if (!reportedSupportErrors.has(`${key}:${allowed.rule}`)) {
+                reportedSupportErrors.add(`${key}:${allowed.rule}`);
+                await sendTelegramMessage(`🚫 Margin add refused: ${symbol}, Position Side: ${positionSide}, Rule: ${allowed.rule}, Reason: ${allowed.reason}`);
+            }
+            return;
+        }
 
-        const updatedPosition = await binance.fetchPositions([symbol]);     
+        console.log(` Margin support: adding ${GREEN}${decision.amount}${RESET} USDT to ${YELLOW}${symbol}${RESET} ${CYAN}${positionSide}${RESET} – ${decision.reason}`);
+        await exchange.addPositionMargin(symbol, decision.amount, hedgeMode ? positionSide : undefined);
+        recordTopUp(supportState, position, decision.amount);
+        journal.recordMarginAdd({ symbol, positionSide, amount: decision.amount });
 
-        if (updatedPosition) {
-            console.log(' Updated position details:', updatedPosition);
+        const updated = (await exchange.getPositions(symbol)).find(p => p.positionSide === positionSide && Number(p.positionAmt) !== 0);
+        const { count, total } = supportState.get(key);
+        const used = `Top-up: ${count} of ${settings.maxTopUps} (${total.toFixed(2)} of ${settings.maxTotalUsdt} USDT)`;
+        if (updated && liquidationMovedAway(fresh, updated)) {
+            positionBook.set(positionKey(updated), { ...position, ...updated });
+            console.log(` Liquidation price: ${fresh.liquidationPrice} → ${GREEN}${updated.liquidationPrice}${RESET}`);
+            await sendTelegramMessage(`🩹 Margin added: ${symbol}, Position Side: ${positionSide}, Amount: ${decision.amount} USDT, Trigger: ${decision.reason}, Liquidation price: ${fresh.liquidationPrice} → ${updated.liquidationPrice}, ${used}`);
         } else {
-            console.error(`Failed to retrieve updated position for ${symbol} ${positionSide}. Position may have been closed.`);
-        }        
-
-        const message = `⚠️ Margin added, ${amountForSupport} USDT to ${symbol} ${positionSide} position`;
-        await sendTelegramMessage(message);       
+            console.log(` ${BRIGHT_RED}Liquidation price not confirmed${RESET} after the top-up: ${fresh.liquidationPrice} → ${updated?.liquidationPrice ?? 'position gone'}`);
+            await sendTelegramMessage(`⚠️ Margin added but the liquidation price did not move: ${symbol}, Position Side: ${positionSide}, Amount: ${decision.amount} USDT, Liquidation price: ${fresh.liquidationPrice} → ${updated?.liquidationPrice ?? 'position gone'}, ${used}`);
+        }
     } catch (error) {
-        console.error('Error adding margin:', error.message);
-        if (error.message.includes('code=-4054')) {
-            console.error('Binance error: No open position exists for this symbol or position side.');
+        console.error(`${RED}Failed to add margin to ${symbol} ${positionSide}: ${error.message}${RESET}`);
+        if (!reportedSupportErrors.has(`${key}:${error.message}`)) {
+            reportedSupportErrors.add(`${key}:${error.message}`);
+            await sendTelegramMessage(`🚨 Margin add failed: ${symbol}, Position Side: ${positionSide}, Error: ${error.message}`);
         }
     }
 }
@@ -407,8 +972,7 @@ async function addMarginToPosition(position) {
  */
 async function getBalance() {
     try {
-        const balance = await binance.fetchBalance();        
-        const usdtBalance = balance.free?.USDT || 0;
+        const usdtBalance = await exchange.getBalance();
         console.log(` USDT Balance: ${GREEN}${usdtBalance}${RESET}`);
         return usdtBalance;
     } catch (error) {
@@ -417,6 +981,39 @@ async function getBalance() {
     }
 }
 
+/**
+ * Format a funding rate (fraction) and next funding time for display
+ * @param {string} symbol
+ * @param {{fundingRate:number, nextFundingTime:number, timestamp:number}} fundingRate
+ * @returns {{symbol:string, fundingRate:number, nextFundingTime:string, timestamp:number}}
+ */
+function formatFundingRate(symbol, fundingRate) {
+    const nextFundingDate = new Date(Number(fundingRate.nextFundingTime));
+    return {
+        symbol,
+        fundingRate: fundingRate.fundingRate * 100,
+        nextFundingTime: `${nextFundingDate.getUTCHours().toString().padStart(2, '0')}:${nextFundingDate.getUTCMinutes().toString().padStart(2, '0')}:${nextFundingDate.getUTCSeconds().toString().padStart(2, '0')},${nextFundingDate.getUTCDate().toString().padStart(2, '0')}/${(nextFundingDate.getUTCMonth() + 1).toString().padStart(2, '0')}/${nextFundingDate.getUTCFullYear()}`,
+        timestamp: fundingRate.timestamp
+    };
+}
+
+/**
+ * RSI, EMA20 and funding rate of a symbol at the time of a close, for the journal
+ * @param {string} symbol
+ * @returns {Promise<{rsi?:number, ema20?:number, fundingRate?:number}>}
+ */
+async function getDecisionContext(symbol) {
+    try {
+        const ohlcv = await exchange.fetchOHLCV(symbol, config.get().scanner.timeframe, 100);
+        const indicators = calculateJournalIndicators(ohlcv.map(([, , , , close]) => close), config.forSymbol(symbol).scanner.strategy.options?.rsiPeriod);
+        const fundingRate = markStream?.getMarkPrice(symbol)?.fundingRate ?? (await exchange.fetchFundingRate(`${normalizeSymbol(symbol)}:USDT`)).fundingRate;
+        return { ...indicators, fundingRate };
+    } catch (error) {
+        console.error(`Failed to read decision context for ${symbol}: ${error.message}`);
+        return {};
+    }
+}
+
 /**
  * Fetch funding rate information
  * @param {string} symbol normalized symbol (BTC/USDT:USDT)
@@ -424,19 +1021,257 @@ async function getBalance() {
  */
 const fetchFundingRate = async (symbol) => {
     try {
-        const fundingRate = await binance.fetchFundingRate(symbol);  
-        const nextFundingDate = new Date(Number(fundingRate.info.nextFundingTime));
-        return {
-            symbol,
-            fundingRate: fundingRate.fundingRate * 100,
-            nextFundingTime: `${nextFundingDate.getUTCHours().toString().padStart(2, '0')}:${nextFundingDate.getUTCMinutes().toString().padStart(2, '0')}:${nextFundingDate.getUTCSeconds().toString().padStart(2, '0')},${nextFundingDate.getUTCDate().toString().padStart(2, '0')}/${(nextFundingDate.getUTCMonth() + 1).toString().padStart(2, '0')}/${nextFundingDate.getUTCFullYear()}`,
-            timestamp: fundingRate.timestamp
-        };
+        const fundingRate = await exchange.fetchFundingRate(symbol);
+        return formatFundingRate(symbol, fundingRate);
     } catch (error) {
         console.error(`Failed to fetch funding rate for ${symbol}: ${error.message}`);
         return null;
     }
 };
 
+// ────────────────────────────────────────────────
+// Telegram commands
+// ────────────────────────────────────────────────
+
+/**
+ * Binance id of a command argument ('doge' → DOGEUSDT)
+ * @param {string} [arg]
+ * @param {string} usage shown when the argument is missing
+ * @returns {string}
+ */
+function toCommandSymbol(arg, usage) {
+    if (!arg) throw new Error(`usage: ${usage}`);
+    const symbol = arg.toUpperCase().replace('/', '');
+    return symbol.endsWith('USDT') ? symbol : `${symbol}USDT`;
+}
+
+/**
+ * Non-zero positions matching a filter, read fresh from the exchange
+ * @param {(position:Object) => boolean} [filter]
+ * @returns {Promise<Object[]>}
+ */
+async function getOpenPositions(filter = () => true) {
+    const positions = await exchange.getPositions();
+    return positions.filter(p => Number(p.positionAmt) !== 0 && filter(p));
+}
+
+/**
+ * Close positions on request (Telegram / HTTP API), between two passes of the monitoring loop
+ * @param {(position:Object) => boolean} filter
+ * @param {string} reason journal close reason
+ * @returns {Promise<{closed:string[], failed:string[]}>} symbol:positionSide keys
+ */
+async function closeOnRequest(filter, reason) {
+    const closed = [];
+    const failed = [];
+    await runExclusive(async () => {
+        for (const position of await getOpenPositions(filter)) {
+            try {
+                await closePosition(position, undefined, reason);
+                closed.push(positionKey(position));
+            } catch (error) {
+                failed.push(`${positionKey(position)}: ${error.message}`);
+            }
+        }
+    });
+    return { closed, failed };
+}
+
+/**
+ * Telegram reply of a close request
+ * @param {(position:Object) => boolean} filter
+ * @returns {Promise<string>}
+ */
+async function closeFromTelegram(filter) {
+    const { closed, failed } = await closeOnRequest(filter, 'telegram');
+    if (closed.length === 0 && failed.length === 0) return 'No matching open position (closed in the meantime?)';
+    return [`❎ Closed ${closed.length} position(s)`, ...closed, ...failed.map(line => `⚠️ ${line}`)].join('\n');
+}
+
+/**
+ * Confirmation question listing the positions a close request would hit
+ * @param {Object[]} positions
+ * @param {string} title
+ * @returns {string}
+ */
+function describeClose(positions, title) {
+    return [title, ...positions.map(p => `${p.symbol} ${p.positionSide} ${p.positionAmt} – P/L ${Number(p.unRealizedProfit).toFixed(4)} USDT`)].join('\n');
+}
+
+/**
+ * Balance, entry state, today's P/L and every open position with its funding
+ * @returns {Promise<string>}
+ */
+async function buildStatusReport() {
+    const [exposure, status] = await Promise.all([risk.getExposure(), risk.getStatus()]);
+    const { scanner } = config.get();
+    const entries = scanner.paused ? 'paused (/resume)' : status.allowed ? 'active' : `halted – ${status.reason}`;
+    const lines = [
+        '📊 Status',
+        `Balance: ${exposure.balance.toFixed(2)} USDT (margin in use ${exposure.margin.toFixed(2)})`,
+        `Unrealized P/L: ${exposure.unrealizedPnl.toFixed(4)} USDT`,
+        `Today's P/L: ${status.daily.total.toFixed(4)} USDT (realized ${status.daily.realized.toFixed(4)})`,
+        `New entries: ${entries}`,
+        `Positions: ${exposure.positions.length}`
+    ];
+    for (const position of exposure.positions) {
+        const streamed = markStream?.getMarkPrice(position.symbol);
+        const funding = streamed
+            ? formatFundingRate(position.symbol, streamed)
+            : await fetchFundingRate(`${normalizeSymbol(position.symbol)}:USDT`);
+        const receives = funding && ((position.positionSide === 'SHORT' || Number(position.positionAmt) < 0) === funding.fundingRate > 0);
+        const trade = journal.getOpenTrade(position.symbol, position.positionSide);
+        const fundingPaid = trade?.funding_paid;
+        lines.push(
+            '',
+            `${position.symbol} ${position.positionSide} ${position.positionAmt} @ ${Number(position.entryPrice)}`,
+            ...(trade ? [`  Opened: ${formatTimestamp(trade.opened_at)} (${trade.origin === 'manual' ? 'manual – left alone' : trade.origin})`] : []),
+            `  Mark: ${Number(position.markPrice)}  P/L: ${Number(position.unRealizedProfit).toFixed(4)} USDT`,
+            funding
+                ? `  Funding: ${funding.fundingRate.toFixed(4)}% (${receives ? 'receiving' : 'paying'}) next ${funding.nextFundingTime}`
+                : '  Funding: N/A',
+            ...(fundingPaid ? [`  Funding paid so far: ${fundingPaid.toFixed(4)} USDT`] : [])
+        );
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Add or remove a symbol of universe.denySymbols in the config file
+ * @param {string} symbol
+ * @param {boolean} excluded
+ * @returns {string[]} the new list
+ */
+function setExcluded(symbol, excluded) {
+    const path = 'universe.denySymbols';
+    const next = config.update((raw) => {
+        const list = getConfigValue(raw, path) ?? getConfigValue(config.get(), path);
+        setConfigValue(raw, path, excluded ? [...new Set([...list, symbol])] : list.filter(s => s !== symbol));
+    });
+    return getConfigValue(next, path);
+}
+
+/** @type {Object<string, import('./src/telegram_commands.js').TelegramCommand>} */
+const TELEGRAM_COMMANDS = {
+    status: {
+        description: 'balance, open positions, P/L and funding',
+        run: buildStatusReport
+    },
+    close: {
+        usage: 'SYMBOL',
+        description: 'close every position of a symbol at market',
+        confirm: async ([arg]) => {
+            const symbol = toCommandSymbol(arg, '/close SYMBOL');
+            const positions = await getOpenPositions(p => p.symbol === symbol);
+            if (positions.length === 0) throw new Error(`no open ${symbol} position`);
+            return describeClose(positions, `Close ${symbol} at market?`);
+        },
+        run: async ([arg]) => {
+            const symbol = toCommandSymbol(arg, '/close SYMBOL');
+            return closeFromTelegram(p => p.symbol === symbol);
+        }
+    },
+    closeall: {
+        description: 'close every open position at market',
+        confirm: async () => {
+            const positions = await getOpenPositions();
+            if (positions.length === 0) throw new Error('no open positions');
+            return describeClose(positions, `Close all ${positions.length} position(s) at market?`);
+        },
+        run: () => closeFromTelegram(() => true)
+    },
+    pause: {
+        description: 'stop opening new positions (open ones are still managed)',
+        run: async () => {
+            config.update(raw => setConfigValue(raw, 'scanner.paused', true));
+            return '⏸️ New entries paused – /resume to continue';
+        }
+    },
+    resume: {
+        description: 'open new positions again',
+        run: async () => {
+            config.update(raw => setConfigValue(raw, 'scanner.paused', false));
+            return '▶️ New entries resumed';
+        }
+    },
+    exclude: {
+        usage: 'SYMBOL',
+        description: 'never open new positions on a symbol (universe deny list)',
+        run: async ([arg]) => {
+            const symbol = toCommandSymbol(arg, '/exclude SYMBOL');
+            if (!symbolMetadata.get(symbol)) throw new Error(`${symbol} is not listed`);
+            return `🚫 ${symbol} excluded from new entries\nDeny list: ${setExcluded(symbol, true).join(' ')}`;
+        }
+    },
+    include: {
+        usage: 'SYMBOL',
+        description: 'undo /exclude',
+        run: async ([arg]) => {
+            const symbol = toCommandSymbol(arg, '/include SYMBOL');
+            const list = setExcluded(symbol, false);
+            return `✅ ${symbol} removed from the deny list (the universe filters still apply)\nDeny list: ${list.join(' ') || 'none'}`;
+        }
+    },
+    set: {
+        usage: 'KEY VALUE',
+        description: 'change a setting, e.g. /set profit 0.05',
+        run: async ([name, ...rest]) => {
+            if (!name || rest.length === 0) throw new Error('usage: /set KEY VALUE');
+            const paths = findSettingPaths(name);
+            if (paths.length === 0) throw new Error(`unknown setting ${name}`);
+            if (paths.length > 1) throw new Error(`${name} is ambiguous: ${paths.join(' ')}`);
+            const [path] = paths;
+            const text = rest.join(' ');
+            let value;
+            try {
+                value = JSON.parse(text);
+            } catch {
+                value = text;
+            }
+            const previous = getConfigValue(config.get(), path);
+            config.update(raw => setConfigValue(raw, path, value));
+            const restart = RESTART_REQUIRED.includes(path) && JSON.stringify(previous) !== JSON.stringify(value);
+            return `⚙️ ${path}: ${JSON.stringify(previous)} → ${JSON.stringify(value)}${restart ? '\nRestart the bots to apply it' : ''}`;
+        }
+    }
+};
+
+const telegramCommands = createTelegramCommands({
+    bot,
+    allowedChatIds: TELEGRAM_ALLOWED_CHAT_IDS,
+    commands: TELEGRAM_COMMANDS,
+    prefix: TELEGRAM_MESSAGE_PREFIX
+});
+telegramCommands.on('command', ({ chatId, command, args }) => console.log(` Telegram command from ${chatId}: ${CYAN}/${command}${RESET} ${args.join(' ')}`));
+telegramCommands.on('unauthorized', ({ chatId, text }) => console.log(` ${BRIGHT_RED}Ignored Telegram command${RESET} from chat ${chatId} (not in TELEGRAM_ALLOWED_CHAT_IDS): ${text}`));
+telegramCommands.on('error', (error) => console.error(`${RED}${error.message}${RESET}`));
+
+// Only one process may poll the bot token, so the scanner stays notification-only
+if (config.get().telegram.enabled && config.get().telegram.commands) {
+    telegramCommands.start().catch(error => console.error(`${RED}Failed to start Telegram commands: ${error.message}${RESET}`));
+}
+
+// ────────────────────────────────────────────────
+// HTTP API
+// ────────────────────────────────────────────────
+
+httpApi.get('/api/positions', describePositions);
+httpApi.post('/api/positions/close', async ({ body }) => {
+    if (!body.symbol) throw httpError(400, 'symbol is required');
+    const symbol = toCommandSymbol(body.symbol, 'symbol');
+    const result = await closeOnRequest(p => p.symbol === symbol && (!body.positionSide || p.positionSide === body.positionSide), 'http');
+    if (result.closed.length === 0 && result.failed.length === 0) throw httpError(404, `no open ${symbol}${body.positionSide ? ` ${body.positionSide}` : ''} position`);
+    return result;
+});
+
+if (config.get().http.enabled) {
+    try {
+        await httpApi.start();
+        console.log(` Dashboard: ${CYAN}http://${config.get().http.host}:${config.get().http.managerPort}${RESET}`);
+    } catch (error) {
+        console.error(`${RED}Failed to start the HTTP API: ${error.message}${RESET}`);
+    }
+}
+
 // Start monitoring loop
 listOpenFuturesPositions();
\ No newline at end of file
@@ -0,0 +1,325 @@
+/**
+ * Historical backtesting engine
+ *
+ * Replays stored 1m OHLCV candles (and optional funding-rate history) through
+ * the simulated exchange, using the same entry strategies as the scanner
+ * (src/strategies/) and the same take-profit rule as the position manager
+ * (src/exit_rules.js).
+ *
+ * Each replayed minute:
+ *  1. due funding payments are settled on open positions
+ *  2. the candle is pushed (positions whose liquidation price is crossed by
+ *     the candle high / low are liquidated)
+ *  3. open positions are checked against the take-profit rule at the close
+ *  4. the entry strategy is evaluated on the closed candles and entries are opened
+ *
+ * Positions use ISOLATED margin so the take-profit target is measured on
+ * POSITION_USDT of margin, as intended by the manager.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { extname, join } from 'node:path';
+import { createSimulatedExchange } from './simulated_exchange.js';
+import { loadStrategy } from './strategies/index.js';
+import { shouldTakeProfit } from './exit_rules.js';
+
+const ONE_MINUTE = 60 * 1000;
+const FUNDING_INTERVAL = 8 * 60 * 60 * 1000;
+
+// ────────────────────────────────────────────────
+// Data loading
+// ────────────────────────────────────────────────
+
+/**
+ * Split a CSV file into numeric rows, skipping a header line if present
+ * @param {string} text
+ * @returns {number[][]}
+ */
+const parseCsv = (text) => text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !Number.isNaN(Number(line.split(',')[0])))
+    .map(line => line.split(',').map(Number));
+
+/**
+ * Load 1m candles from CSV (timestamp,open,high,low,close,volume — Binance kline
+ * dumps work as-is) or JSON (ccxt OHLCV arrays or candle objects)
+ * @param {string} file
+ * @returns {Promise<Array<{timestamp:number, open:number, high:number, low:number, close:number, volume:number}>>}
+ */
+export const loadCandles = async (file) => {
+    const text = await readFile(file, 'utf8');
+    const rows = extname(file) === '.json' ? JSON.parse(text) : parseCsv(text);
+    return rows
+        .map(row => Array.isArray(row)
+            ? { timestamp: Number(row[0]), open: Number(row[1]), high: Number(row[2]), low: Number(row[3]), close: Number(row[4]), volume: Number(row[5] || 0) }
+            : { timestamp: Number(row.timestamp), open: Number(row.open), high: Number(row.high), low: Number(row.low), close: Number(row.close), volume: Number(row.volume || 0) })
+        .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Load funding-rate history from CSV (first column time, last column rate —
+ * covers both fundingTime,fundingRate and Binance calc_time,…,last_funding_rate dumps)
+ * or JSON (rows of the /fapi/v1/fundingRate endpoint)
+ * @param {string} file
+ * @returns {Promise<Array<{fundingTime:number, fundingRate:number}>>}
+ */
+export const loadFundingRates = async (file) => {
+    const text = await readFile(file, 'utf8');
+    const rows = extname(file) === '.json'
+        ? JSON.parse(text).map(row => ({ fundingTime: Number(row.fundingTime), fundingRate: Number(row.fundingRate) }))
+        : parseCsv(text).map(row => ({ fundingTime: row[0], fundingRate: row[row.length - 1] }));
+    return rows.sort((a, b) => a.fundingTime - b.fundingTime);
+};
+
+/**
+ * Load every symbol of a recorded data directory:
+ * <SYMBOL>_1m.csv|json plus optional <SYMBOL>_funding.csv|json
+ * @param {string} dir
+ * @param {string[]} [symbols] restrict to these symbols
+ * @returns {Promise<Array<{symbol:string, candles:Object[], fundingRates:Object[]}>>}
+ */
+export const loadRecordedSeries = async (dir, symbols) => {
+    const files = await readdir(dir);
+    const series = [];
+    for (const file of files) {
+        const match = /^([A-Z0-9]+)_1m\.(csv|json)$/.exec(file);
+        if (!match || (symbols && !symbols.includes(match[1]))) continue;
+        const symbol = match[1];
+        const fundingFile = files.find(f => f === `${symbol}_funding.csv` || f === `${symbol}_funding.json`);
+        series.push({
+            symbol,
+            candles: await loadCandles(join(dir, file)),
+            fundingRates: fundingFile ? await loadFundingRates(join(dir, fundingFile)) : []
+        });
+    }
+    return series;
+};
+
+// ────────────────────────────────────────────────
+// Engine
+// ────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} BacktestOptions
+ * @property {Array<{symbol:string, candles:Object[], fundingRates?:Object[]}>} series
+ * @property {import('./strategies/index.js').Strategy} [strategy] defaults to rsi_extreme built from entryRules
+ * @property {import('./signals.js').EntryRules} [entryRules]
+ * @property {number} [balance=1000]
+ * @property {number} [leverage=3]
+ * @property {number} [positionUsdt=5]     margin per position
+ * @property {number} [takerFee=0.0005]
+ * @property {number} [profit=0.03]       take-profit as a fraction of margin
+ * @property {number} [rsiPeriod=5]
+ * @property {number} [rsiWindow=100]     closes fed to the RSI, as the scanner's fetchOHLCV limit
+ * @property {number} [candleWindow=500]  closed candles passed to the strategy, as the scanner's buffer
+ * @property {number} [maxActivePositions=1]
+ * @property {number} [fundingRate=0.0001] constant 8h rate for symbols without funding history
+ */
+
+/**
+ * Run a backtest
+ * @param {BacktestOptions} options
+ * @returns {Promise<{trades:Object[], openTrades:Object[], stats:Object}>}
+ */
+export const runBacktest = async ({
+    series,
+    strategy,
+    entryRules,
+    balance = 1000,
+    leverage = 3,
+    positionUsdt = 5,
+    takerFee = 0.0005,
+    profit = 0.03,
+    rsiPeriod = 5,
+    rsiWindow = 100,
+    candleWindow = 500,
+    maxActivePositions = 1,
+    fundingRate = 0.0001
+}) => {
+    strategy ??= await loadStrategy('rsi_extreme', { ...entryRules, rsiPeriod, rsiWindow });
+    const window = Math.max(candleWindow, strategy.warmup);
+
+    let clock = 0;
+    const exchange = createSimulatedExchange({ balance, takerFee, now: () => clock });
+
+    const openTrades = new Map();
+    const trades = [];
+    let fundingPaid = 0;
+    let fees = 0;
+
+    exchange.on('order', (order) => {
+        if (order.status !== 'FILLED') return;
+        const key = `${order.symbol}:${order.positionSide}`;
+        fees += order.commission;
+        if (!order.reduceOnly) {
+            openTrades.set(key, {
+                symbol: order.symbol,
+                side: order.positionSide,
+                entryTime: clock,
+                entryPrice: Number(order.avgPrice),
+                quantity: Number(order.executedQty),
+                fees: order.commission,
+                funding: 0
+            });
+            return;
+        }
+        const trade = openTrades.get(key);
+        if (!trade) return;
+        openTrades.delete(key);
+        trade.fees += order.commission;
+        trades.push({
+            ...trade,
+            exitTime: clock,
+            exitPrice: Number(order.avgPrice),
+            reason: order.type === 'STOP_MARKET' ? 'stop-loss' : 'take-profit',
+            pnl: order.realizedPnl - trade.fees - trade.funding
+        });
+    });
+
+    exchange.on('funding', ({ symbol, positionSide, payment }) => {
+        fundingPaid += payment;
+        const trade = openTrades.get(`${symbol}:${positionSide}`);
+        if (trade) trade.funding += payment;
+    });
+
+    exchange.on('liquidation', ({ symbol, positionSide, price, loss }) => {
+        const key = `${symbol}:${positionSide}`;
+        const trade = openTrades.get(key);
+        if (!trade) return;
+        openTrades.delete(key);
+        trades.push({
+            ...trade,
+            exitTime: clock,
+            exitPrice: price,
+            reason: 'liquidation',
+            pnl: -loss - trade.fees - trade.funding
+        });
+    });
+
+    // Build one merged timeline across all symbols
+    const timeline = new Map();
+    const history = new Map();
+    const fundingQueues = new Map();
+    const lastFunding = new Map();
+    for (const { symbol, candles, fundingRates = [] } of series) {
+        if (candles.length === 0) continue;
+        const firstFunding = Math.ceil(candles[0].timestamp / FUNDING_INTERVAL) * FUNDING_INTERVAL;
+        exchange.setMarket(symbol, {
+            marginType: 'ISOLATED',
+            leverage,
+            fundingRate: fundingRates.length ? 0 : fundingRate,
+            // With funding history the settlements are driven from the history instead
+            nextFundingTime: fundingRates.length ? Infinity : firstFunding
+        });
+        fundingQueues.set(symbol, [...fundingRates]);
+        history.set(symbol, []);
+        if (!fundingRates.length) lastFunding.set(symbol, { fundingRate, nextFundingTime: firstFunding });
+        for (const candle of candles) {
+            if (!timeline.has(candle.timestamp)) timeline.set(candle.timestamp, []);
+            timeline.get(candle.timestamp).push({ symbol, candle });
+        }
+    }
+
+    let peakEquity = balance;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+
+    for (const timestamp of [...timeline.keys()].sort((a, b) => a - b)) {
+        const step = timeline.get(timestamp);
+
+        // 1. Funding settlements due before this candle opens
+        clock = timestamp;
+        for (const { symbol } of step) {
+            const queue = fundingQueues.get(symbol);
+            while (queue.length && queue[0].fundingTime <= timestamp) {
+                const { fundingTime, fundingRate: rate } = queue.shift();
+                exchange.settleFunding(symbol, rate);
+                lastFunding.set(symbol, { fundingRate: rate, nextFundingTime: fundingTime + FUNDING_INTERVAL });
+            }
+        }
+
+        // 2. Candle close
+        clock = timestamp + ONE_MINUTE - 1;
+        for (const { symbol, candle } of step) {
+            exchange.pushCandle(symbol, candle);
+            const candles = history.get(symbol);
+            candles.push(candle);
+            if (candles.length > window) candles.shift();
+        }
+
+        // 3. Position manager: take profit
+        const positions = (await exchange.getPositions()).filter(p => Number(p.positionAmt) !== 0);
+        for (const position of positions) {
+            if (!shouldTakeProfit(position, profit)) continue;
+            const amount = Number(position.positionAmt);
+            await exchange.createOrder({
+                symbol: position.symbol,
+                side: amount > 0 ? 'SELL' : 'BUY',
+                quantity: Math.abs(amount),
+                positionSide: position.positionSide,
+                reduceOnly: true
+            });
+        }
+
+        // 4. Scanner: entries
+        for (const { symbol, candle } of step) {
+            const candles = history.get(symbol);
+            if (candles.length < strategy.warmup) continue;
+            const decision = await strategy.evaluate({
+                symbol,
+                candles,
+                funding: lastFunding.get(symbol) || null,
+                ticker: { price: candle.close }
+            });
+            if (decision.signal === 'none') continue;
+            const side = decision.signal === 'long' ? 'buy' : 'sell';
+
+            const open = (await exchange.getPositions()).filter(p => Number(p.positionAmt) !== 0);
+            if (open.length >= maxActivePositions) continue;
+            if (open.some(p => p.symbol === symbol)) continue;
+            if (await exchange.getBalance() < positionUsdt) continue;
+
+            try {
+                await exchange.createOrder({
+                    symbol,
+                    side: side.toUpperCase(),
+                    quantity: positionUsdt * leverage / candle.close,
+                    positionSide: side === 'buy' ? 'LONG' : 'SHORT'
+                });
+            } catch (error) {
+                // Not enough margin left for fees — same outcome as a rejected live order
+            }
+        }
+
+        // Equity curve for drawdown
+        const rows = await exchange.getPositions();
+        const equity = await exchange.getBalance() + rows.reduce((sum, p) => sum + Number(p.isolatedWallet) + Number(p.unRealizedProfit), 0);
+        peakEquity = Math.max(peakEquity, equity);
+        maxDrawdown = Math.max(maxDrawdown, peakEquity - equity);
+        maxDrawdownPct = Math.max(maxDrawdownPct, peakEquity > 0 ? (peakEquity - equity) / peakEquity : 0);
+    }
+
+    const rows = await exchange.getPositions();
+    const endEquity = await exchange.getBalance() + rows.reduce((sum, p) => sum + Number(p.isolatedWallet) + Number(p.unRealizedProfit), 0);
+    const wins = trades.filter(trade => trade.pnl > 0).length;
+
+    return {
+        trades,
+        openTrades: [...openTrades.values()],
+        stats: {
+            totalTrades: trades.length,
+            wins,
+            losses: trades.length - wins,
+            winRate: trades.length ? wins / trades.length : 0,
+            netPnl: trades.reduce((sum, trade) => sum + trade.pnl, 0),
+            fees,
+            fundingPaid,
+            liquidations: trades.filter(trade => trade.reason === 'liquidation').length,
+            maxDrawdown,
+            maxDrawdownPct,
+            startBalance: balance,
+            endEquity
+        }
+    };
+};
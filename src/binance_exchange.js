@@ -0,0 +1,332 @@
+/**
+ * Live Binance USDT-M futures implementation of the exchange adapter
+ *
+ * Market data (balance, tickers, OHLCV, funding) goes through ccxt, account
+ * and order endpoints through node-binance-api — the same split the bots
+ * used before the adapter existed.
+ *
+ * Both clients report every response's status and headers to options.onResponse
+ * (the request scheduler's usage tracking), and failed calls carry status (HTTP),
+ * apiCode (Binance error code), transient (no answer) and retryUntil (end of an
+ * IP ban) for src/request_scheduler.js to act on.
+ *
+ * @requires ccxt, node-binance-api
+ */
+
+import ccxt from 'ccxt';
+import Binance from 'node-binance-api';
+import { toBinanceSymbol, toMarketSymbol } from './exchange.js';
+
+// Order types Binance serves from the algo-order endpoint
+const CONDITIONAL_TYPES = ['STOP_MARKET', 'TAKE_PROFIT_MARKET'];
+
+/**
+ * Attach what the request scheduler reads to an error of either client
+ * @param {Error} error
+ * @returns {Error} the same error
+ */
+const describeError = (error) => {
+    // Both clients keep Binance's JSON answer in the message
+    const code = /"code":\s*(-?\d+)/.exec(error.message);
+    if (code) error.apiCode ??= Number(code[1]);
+    const banned = /banned until (\d+)/.exec(error.message);
+    if (banned) error.retryUntil = Number(banned[1]);
+    // ccxt raises either class for a 429 or a 418; the ban's end comes from the message
+    if (error instanceof ccxt.RateLimitExceeded || error instanceof ccxt.DDoSProtection) error.status ??= 429;
+    else if (error instanceof ccxt.NetworkError && !(error instanceof ccxt.InvalidNonce)) error.transient = true;
+    // node-binance-api: fetch failures and its own request timeout
+    else if (error instanceof TypeError || error.message.startsWith('Request timeout')) error.transient = true;
+    return error;
+};
+
+/**
+ * Create the live Binance adapter
+ * @param {Object} options
+ * @param {string} options.apiKey
+ * @param {string} options.secret
+ * @param {(response:{status:number, headers:Object<string, string>}) => void} [options.onResponse]
+ *        called with every REST response, header names in lower case
+ * @returns {import('./exchange.js').ExchangeAdapter}
+ */
+export const createBinanceExchange = ({ apiKey, secret, onResponse }) => {
+    const binance = new ccxt.binance({
+        apiKey,
+        secret,
+        enableRateLimit: true,
+        options: {
+            defaultType: 'future'
+        }
+    });
+
+    const binanceOptions = new Binance().options({
+        APIKEY: apiKey,
+        APISECRET: secret,
+        useServerTime: true,
+        test: false
+    });
+
+    /**
+     * Pass a response's status and headers on to options.onResponse
+     * @param {number} status
+     * @param {Iterable<[string, string]>|Object<string, string>} headers
+     */
+    const report = (status, headers) => {
+        if (!onResponse) return;
+        const entries = typeof headers[Symbol.iterator] === 'function' ? [...headers] : Object.entries(headers);
+        onResponse({ status, headers: Object.fromEntries(entries.map(([name, value]) => [name.toLowerCase(), value])) });
+    };
+
+    // ccxt hands every response to this hook before its error handling
+    binance.onRestResponse = (status, statusText, url, method, headers, body) => {
+        report(status, headers);
+        return body.trim();
+    };
+
+    // The library's handler reads the headers as a plain object, which fetch's are not, and drops the status
+    binanceOptions.reqHandler = async (response) => {
+        report(response.status, response.headers);
+        if (response.status !== 200) {
+            const error = new Error(await response.text());
+            error.status = response.status;
+            throw error;
+        }
+    };
+
+    /**
+     * Set both clients' clock offset from the futures server time
+     * @returns {Promise<number>} server time minus local time, in ms
+     */
+    const syncTime = async () => {
+        const sent = Date.now();
+        const serverTime = await binanceOptions.futuresTime();
+        // The server stamped its time about halfway through the round trip
+        const offsetMs = Math.round(serverTime - (sent + Date.now()) / 2);
+        binanceOptions.timeOffset = offsetMs;
+        binance.options.timeDifference = -offsetMs;
+        return offsetMs;
+    };
+
+    const getBalance = async () => {
+        const balance = await binance.fetchBalance();
+        return balance.free?.USDT || 0;
+    };
+
+    const getPositions = async (symbol) => {
+        const positions = await binanceOptions.futuresPositionRisk(symbol ? { symbol: toBinanceSymbol(symbol) } : {});
+        return positions;
+    };
+
+    const getTicker = async (symbol) => {
+        const ticker = await binance.fetchTicker(toMarketSymbol(symbol));
+        return {
+            symbol: toBinanceSymbol(symbol),
+            last: ticker.last || Number(ticker.info?.lastPrice),
+            bid: ticker.bid,
+            ask: ticker.ask,
+            timestamp: ticker.timestamp
+        };
+    };
+
+    const fetchOHLCV = async (symbol, timeframe, limit = 100) => {
+        return binance.fetchOHLCV(toMarketSymbol(symbol), timeframe, undefined, limit);
+    };
+
+    const fetchFundingRate = async (symbol) => {
+        const fundingRate = await binance.fetchFundingRate(toMarketSymbol(symbol));
+        return {
+            symbol: toBinanceSymbol(symbol),
+            fundingRate: fundingRate.fundingRate,
+            nextFundingTime: Number(fundingRate.info.nextFundingTime),
+            timestamp: fundingRate.timestamp
+        };
+    };
+
+    const getPremiumIndex = async () => {
+        const [rows, intervals] = await Promise.all([
+            binance.fapiPublicGetPremiumIndex(),
+            binance.fapiPublicGetFundingInfo()
+        ]);
+        // fundingInfo lists only the contracts whose interval or caps were adjusted; the rest settle every 8 h
+        const hours = new Map(intervals.map(row => [row.symbol, Number(row.fundingIntervalHours)]));
+        return rows.map(row => ({
+            symbol: row.symbol,
+            markPrice: Number(row.markPrice),
+            indexPrice: Number(row.indexPrice),
+            fundingRate: Number(row.lastFundingRate),
+            interestRate: Number(row.interestRate),
+            nextFundingTime: Number(row.nextFundingTime),
+            fundingIntervalHours: hours.get(row.symbol) || 8
+        }));
+    };
+
+    const get24hTickers = async () => {
+        const rows = await binance.fapiPublicGetTicker24hr();
+        return rows.map(row => ({
+            symbol: row.symbol,
+            last: Number(row.lastPrice),
+            priceChangePercent: Number(row.priceChangePercent),
+            quoteVolume: Number(row.quoteVolume)
+        }));
+    };
+
+    const getOpenInterest = async (symbol) => {
+        const row = await binance.fapiPublicGetOpenInterest({ symbol: toBinanceSymbol(symbol) });
+        return { symbol: row.symbol, openInterest: Number(row.openInterest), timestamp: Number(row.time) };
+    };
+
+    const getBookTickers = async () => {
+        const rows = await binance.fapiPublicGetTickerBookTicker();
+        return rows.map(row => ({ symbol: row.symbol, bid: Number(row.bidPrice), ask: Number(row.askPrice) }));
+    };
+
+    const getExchangeInfo = async () => binanceOptions.futuresExchangeInfo();
+
+    const setLeverage = async (symbol, leverage) => {
+        await binanceOptions.futuresLeverage(toBinanceSymbol(symbol), leverage);
+    };
+
+    const setMarginType = async (symbol, marginType) => {
+        await binanceOptions.futuresMarginType(toBinanceSymbol(symbol), marginType);
+    };
+
+    const isHedgeMode = async () => {
+        const positionSideMode = await binanceOptions.futuresPositionSideDual();
+        return positionSideMode.dualSidePosition;
+    };
+
+    /**
+     * Conditional orders live on the algo-order endpoint; map them to the regular order shape
+     * @param {Object} row algoOrder response / algoOpenOrders row
+     * @returns {import('./exchange.js').Order}
+     */
+    const normalizeAlgoOrder = (row) => ({
+        orderId: row.algoId,
+        clientOrderId: row.clientAlgoId,
+        symbol: row.symbol,
+        side: row.side,
+        positionSide: row.positionSide,
+        type: row.orderType,
+        status: row.algoStatus,
+        origQty: row.quantity,
+        executedQty: '0',
+        avgPrice: '0',
+        stopPrice: row.triggerPrice,
+        closePosition: row.closePosition,
+        reduceOnly: row.reduceOnly,
+        workingType: row.workingType,
+        conditional: true,
+        updateTime: row.updateTime
+    });
+
+    const createOrder = async ({ symbol, side, type = 'MARKET', quantity, positionSide, reduceOnly, stopPrice, closePosition, workingType, clientOrderId }) => {
+        const params = {};
+        // Conditional orders go to the algo-order endpoint, which names the client id differently
+        if (clientOrderId) params[CONDITIONAL_TYPES.includes(type) ? 'clientAlgoId' : 'newClientOrderId'] = clientOrderId;
+        if (positionSide) params.positionSide = positionSide;
+        // Binance rejects reduceOnly in hedge mode; positionSide already implies it there
+        if (reduceOnly && !closePosition && (!positionSide || positionSide === 'BOTH')) params.reduceOnly = true;
+        if (stopPrice) params.stopPrice = stopPrice;
+        if (closePosition) params.closePosition = true;
+        if (workingType) params.workingType = workingType;
+        const order = await binanceOptions.futuresOrder(type, side, toBinanceSymbol(symbol), closePosition ? undefined : quantity, undefined, params);
+        return order.algoId ? normalizeAlgoOrder(order) : order;
+    };
+
+    const getOrder = async (symbol, { orderId, clientOrderId, conditional }) => {
+        const id = toBinanceSymbol(symbol);
+        if (conditional) {
+            const row = await binanceOptions.futuresAlgoOrderStatus(id, clientOrderId ? { clientAlgoId: clientOrderId } : { algoId: orderId });
+            return normalizeAlgoOrder(row);
+        }
+        return binanceOptions.futuresOrderStatus(id, clientOrderId ? { origClientOrderId: clientOrderId } : { orderId });
+    };
+
+    const getOpenOrders = async (symbol) => {
+        const id = symbol ? toBinanceSymbol(symbol) : undefined;
+        const [orders, algoOrders] = await Promise.all([
+            binanceOptions.futuresOpenOrders(id),
+            binanceOptions.futuresOpenAlgoOrders(id)
+        ]);
+        const algoRows = Array.isArray(algoOrders) ? algoOrders : algoOrders.orders || [];
+        return [...orders, ...algoRows.map(normalizeAlgoOrder)];
+    };
+
+    const cancelOrder = async (order) => {
+        if (order.conditional) {
+            // futuresCancel() sends 'algoid'; the endpoint expects 'algoId'
+            await binanceOptions.privateFuturesRequest('v1/algoOrder', { symbol: toBinanceSymbol(order.symbol), algoId: order.orderId }, 'DELETE');
+            return { ...order, status: 'CANCELED' };
+        }
+        return binanceOptions.futuresCancel(toBinanceSymbol(order.symbol), order.orderId);
+    };
+
+    const getLeverageBrackets = async (symbol) => {
+        const response = await binanceOptions.futuresLeverageBracket(toBinanceSymbol(symbol));
+        // An object when a symbol is sent, a one-element list on some API versions
+        const entry = Array.isArray(response) ? response.find(row => row.symbol === toBinanceSymbol(symbol)) : response;
+        if (!entry?.brackets) throw new Error(entry?.msg || `No leverage brackets for ${symbol}`);
+        return entry.brackets;
+    };
+
+    const getAllLeverageBrackets = async () => {
+        const response = await binanceOptions.futuresLeverageBracket();
+        if (!Array.isArray(response)) throw new Error(response?.msg || 'No leverage brackets');
+        return new Map(response.map(entry => [entry.symbol, entry.brackets]));
+    };
+
+    const addPositionMargin = async (symbol, amount, positionSide) => {
+        const params = {};
+        if (positionSide) params.positionSide = positionSide;
+        return binanceOptions.futuresPositionMargin(toBinanceSymbol(symbol), amount, 1, params);
+    };
+
+    const getUserTrades = async (symbol, limit = 1000) => {
+        return binanceOptions.futuresUserTrades(toBinanceSymbol(symbol), { limit });
+    };
+
+    const createListenKey = async () => {
+        const response = await binanceOptions.futuresGetDataStream();
+        return response.listenKey;
+    };
+
+    const keepAliveListenKey = async () => binanceOptions.futuresKeepDataStream();
+
+    const closeListenKey = async () => binanceOptions.futuresCloseDataStream();
+
+    const methods = {
+        getBalance,
+        getPositions,
+        getTicker,
+        fetchOHLCV,
+        fetchFundingRate,
+        getPremiumIndex,
+        get24hTickers,
+        getOpenInterest,
+        getBookTickers,
+        getExchangeInfo,
+        getLeverageBrackets,
+        getAllLeverageBrackets,
+        setLeverage,
+        setMarginType,
+        isHedgeMode,
+        createOrder,
+        getOrder,
+        getOpenOrders,
+        cancelOrder,
+        addPositionMargin,
+        getUserTrades,
+        createListenKey,
+        keepAliveListenKey,
+        closeListenKey
+    };
+
+    const described = Object.fromEntries(Object.entries(methods).map(([method, call]) => [method, async (...args) => {
+        try {
+            return await call(...args);
+        } catch (error) {
+            throw describeError(error);
+        }
+    }]));
+
+    return { name: 'binance', ...described, syncTime };
+};
@@ -0,0 +1,527 @@
+/**
+ * Shared bot configuration
+ *
+ * Both bots read their trading parameters from one JSON file (config.json, or
+ * the path in BOT_CONFIG). The file is validated against CONFIG_SCHEMA at
+ * startup, with every problem listed at once, and watched while the bots run:
+ * a valid edit takes effect on the next loop, an invalid one is reported and
+ * the previous configuration stays active.
+ *
+ * Any key of the scanner / manager / brackets sections can be overridden for a
+ * single contract under "symbols", e.g. { "symbols": { "DOGEUSDT": { "scanner": { "leverage": 5 } } } }.
+ *
+ * updateConfigFile() writes validated edits back to the file (Telegram /pause,
+ * /exclude, /set …); the watchers of both bots pick them up like a manual edit.
+ */
+
+import { EventEmitter } from 'node:events';
+import { readFileSync, renameSync, unwatchFile, watchFile, writeFileSync } from 'node:fs';
+import { BRACKET_CONFIG } from './protective_orders.js';
+
+export const DEFAULT_CONFIG_FILE = './config.json';
+
+// Keys read only once at startup; changing them while running needs a restart
+export const RESTART_REQUIRED = ['scanner.timeframe', 'scanner.candleBuffer', 'telegram.commands', 'http', 'screener.schedule'];
+
+// ────────────────────────────────────────────────
+// Schema
+// ────────────────────────────────────────────────
+
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'integer', min, max });
+const boolean = { type: 'boolean' };
+const symbolList = { type: 'array', items: { type: 'string', pattern: /^[A-Z0-9]+USDT$/ } };
+const timeframe = { type: 'string', enum: ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h'] };
+
+const SECTIONS = {
+    scanner: {
+        type: 'object',
+        properties: {
+            paused: boolean,
+            positionUsdt: number(0.01),
+            leverage: integer(1, 125),
+            marginType: { type: 'string', enum: ['ISOLATED', 'CROSSED'] },
+            sizing: {
+                type: 'object',
+                properties: {
+                    mode: { type: 'string', enum: ['fixed', 'equity', 'risk'] },
+                    equityPct: number(0, 1),
+                    riskPct: number(0, 1)
+                }
+            },
+            timeframe,
+            candleBuffer: integer(50, 1500),
+            confirmation: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    optional: ['period', 'sellRsiThreshold', 'buyRsiThreshold'],
+                    properties: {
+                        timeframe,
+                        type: { type: 'string', enum: ['ema_trend', 'rsi'] },
+                        period: integer(2, 500),
+                        sellRsiThreshold: number(0, 100),
+                        buyRsiThreshold: number(0, 100)
+                    }
+                }
+            },
+            strategy: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    options: { type: 'object', additional: true }
+                }
+            }
+        }
+    },
+    manager: {
+        type: 'object',
+        properties: {
+            profit: number(0),
+            exitProfile: { type: 'string', enum: ['fixed', 'ladder', 'trailing'] },
+            unknownPositions: { type: 'string', enum: ['adopt', 'flag'] },
+            maxHoldingMinutes: number(0),
+            support: {
+                type: 'object',
+                properties: {
+                    enabled: boolean,
+                    marginRatio: number(0, 1),
+                    liquidationDistancePct: number(0, 1),
+                    amountPct: number(0, 10),
+                    maxTopUps: integer(0),
+                    maxTotalUsdt: number(0),
+                    cooldownMinutes: number(0)
+                }
+            },
+            funding: {
+                type: 'object',
+                properties: {
+                    enabled: boolean,
+                    netOfFunding: boolean,
+                    holdWindowMinutes: number(0, 480),
+                    exitWindowMinutes: number(0, 480),
+                    exitRate: number(0),
+                    reduceFraction: number(0, 1)
+                }
+            },
+            loopIntervalMs: integer(500),
+            reconcileIntervalMs: integer(5000)
+        }
+    },
+    brackets: {
+        type: 'object',
+        properties: {
+            enabled: boolean,
+            mode: { type: 'string', enum: ['margin', 'atr'] },
+            stopLossPct: number(0),
+            takeProfit: boolean,
+            takeProfitPct: number(0),
+            atrPeriod: integer(1),
+            atrTimeframe: timeframe,
+            stopLossAtr: number(0),
+            takeProfitAtr: number(0),
+            workingType: { type: 'string', enum: ['MARK_PRICE', 'CONTRACT_PRICE'] }
+        }
+    }
+};
+
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        ...SECTIONS,
+        risk: {
+            type: 'object',
+            properties: {
+                maxOpenPositions: integer(1),
+                maxTotalNotionalUsdt: number(0),
+                maxMarginUsagePct: number(0, 1),
+                maxSymbolNotionalUsdt: number(0),
+                maxDailyLossUsdt: number(0),
+                maxConsecutiveLosses: integer(0),
+                cooldownMinutes: number(0)
+            }
+        },
+        universe: {
+            type: 'object',
+            properties: {
+                refreshMinutes: number(1),
+                allowSymbols: symbolList,
+                denySymbols: symbolList,
+                unmanagedSymbols: symbolList,
+                minQuoteVolumeUsdt: number(0),
+                minOpenInterestUsdt: number(0),
+                maxSpreadPct: number(0, 1),
+                minListingAgeDays: number(0),
+                minBracketLeverage: integer(1, 125)
+            }
+        },
+        telegram: { type: 'object', properties: { enabled: boolean, commands: boolean } },
+        http: {
+            type: 'object',
+            properties: {
+                enabled: boolean,
+                host: { type: 'string' },
+                scannerPort: integer(1, 65535),
+                managerPort: integer(1, 65535)
+            }
+        },
+        screener: {
+            type: 'object',
+            properties: {
+                schedule: { type: 'string' },
+                top: integer(1, 100),
+                minQuoteVolumeUsdt: number(0),
+                openInterestTop: integer(0, 500),
+                extremeRate: number(0),
+                outlierZScore: number(0)
+            }
+        },
+        supervisor: { type: 'object', properties: { heartbeatTimeoutMs: integer(10000), shutdownTimeoutMs: integer(1000) } },
+        rateLimit: {
+            type: 'object',
+            properties: {
+                weightPerMinute: integer(100, 2400),
+                reservePct: number(0, 0.9),
+                ordersPer10s: integer(1, 300),
+                ordersPerMinute: integer(1, 1200),
+                maxRetries: integer(0, 10),
+                retryBaseMs: integer(100)
+            }
+        },
+        orders: { type: 'object', properties: { resendAttempts: integer(0, 5), statusChecks: integer(1, 20), statusIntervalMs: integer(100) } },
+        symbols: {
+            type: 'map',
+            keyPattern: /^[A-Z0-9]+USDT$/,
+            values: { type: 'object', properties: SECTIONS, partial: true }
+        }
+    }
+};
+
+// Settings that moved, so old config files get a pointer instead of a bare "not a known setting"
+const MOVED_SETTINGS = {
+    'scanner.maxActivePositions': 'risk.maxOpenPositions',
+    'scanner.excludedSymbols': 'universe.denySymbols',
+    'manager.excludedSymbols': 'universe.unmanagedSymbols',
+    'manager.supportPerPosition': 'manager.support.amountPct'
+};
+
+export const DEFAULT_CONFIG = {
+    scanner: {
+        paused: false,
+        positionUsdt: 5,
+        leverage: 3,
+        marginType: 'ISOLATED',
+        sizing: { mode: 'fixed', equityPct: 0.01, riskPct: 0.005 },
+        timeframe: '1m',
+        candleBuffer: 500,
+        confirmation: [],
+        strategy: {
+            name: 'rsi_extreme',
+            options: { rsiPeriod: 5, sellRsiThreshold: 80, buyRsiThreshold: 10, maxPrice: 1, short: true, long: false }
+        }
+    },
+    manager: {
+        profit: 0.03,
+        exitProfile: 'fixed',
+        unknownPositions: 'adopt',
+        maxHoldingMinutes: 0,
+        support: { enabled: false, marginRatio: 0.8, liquidationDistancePct: 0.03, amountPct: 0.10, maxTopUps: 3, maxTotalUsdt: 10, cooldownMinutes: 5 },
+        funding: { enabled: true, netOfFunding: true, holdWindowMinutes: 15, exitWindowMinutes: 10, exitRate: 0.001, reduceFraction: 1 },
+        loopIntervalMs: 3000,
+        reconcileIntervalMs: 60 * 1000
+    },
+    brackets: { ...BRACKET_CONFIG },
+    risk: {
+        maxOpenPositions: 1,
+        maxTotalNotionalUsdt: 100,
+        maxMarginUsagePct: 0.5,
+        maxSymbolNotionalUsdt: 50,
+        maxDailyLossUsdt: 10,
+        maxConsecutiveLosses: 3,
+        cooldownMinutes: 60
+    },
+    universe: {
+        refreshMinutes: 15,
+        allowSymbols: [],
+        denySymbols: ['USDCUSDT'],
+        unmanagedSymbols: [],
+        minQuoteVolumeUsdt: 5000000,
+        minOpenInterestUsdt: 1000000,
+        maxSpreadPct: 0.001,
+        minListingAgeDays: 7,
+        minBracketLeverage: 1
+    },
+    telegram: { enabled: true, commands: true },
+    http: { enabled: true, host: '127.0.0.1', scannerPort: 8081, managerPort: 8082 },
+    screener: { schedule: '5 0,8,16 * * *', top: 10, minQuoteVolumeUsdt: 1000000, openInterestTop: 30, extremeRate: 0.001, outlierZScore: 3 },
+    supervisor: { heartbeatTimeoutMs: 3 * 60 * 1000, shutdownTimeoutMs: 30 * 1000 },
+    rateLimit: { weightPerMinute: 1800, reservePct: 0.25, ordersPer10s: 250, ordersPerMinute: 1000, maxRetries: 3, retryBaseMs: 1000 },
+    orders: { resendAttempts: 2, statusChecks: 5, statusIntervalMs: 1000 },
+    symbols: {}
+};
+
+/**
+ * Validate a value against a schema node, collecting every error
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path dotted path for messages
+ * @param {string[]} errors
+ * @param {boolean} [partial] missing object keys are allowed (symbol overrides)
+ */
+const validate = (value, schema, path, errors, partial = false) => {
+    const where = path || 'config';
+    switch (schema.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || Number.isNaN(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+                errors.push(`${where} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}`);
+            } else if (schema.min !== undefined && value < schema.min) {
+                errors.push(`${where} must be ≥ ${schema.min}, got ${value}`);
+            } else if (schema.max !== undefined && value > schema.max) {
+                errors.push(`${where} must be ≤ ${schema.max}, got ${value}`);
+            }
+            return;
+        case 'boolean':
+            if (typeof value !== 'boolean') errors.push(`${where} must be true or false, got ${JSON.stringify(value)}`);
+            return;
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(`${where} must be a string, got ${JSON.stringify(value)}`);
+            } else if (schema.enum && !schema.enum.includes(value)) {
+                errors.push(`${where} must be one of ${schema.enum.join(', ')}, got "${value}"`);
+            } else if (schema.pattern && !schema.pattern.test(value)) {
+                errors.push(`${where} "${value}" is not a Binance USDT-M symbol (e.g. DOGEUSDT)`);
+            }
+            return;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${where} must be an array`);
+                return;
+            }
+            value.forEach((item, index) => validate(item, schema.items, `${where}[${index}]`, errors));
+            return;
+        case 'map':
+        case 'object': {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+            if (schema.type === 'map') {
+                for (const [key, item] of Object.entries(value)) {
+                    if (!schema.keyPattern.test(key)) errors.push(`${where}.${key} is not a Binance USDT-M symbol (e.g. DOGEUSDT)`);
+                    validate(item, schema.values, `${path}.${key}`, errors, true);
+                }
+                return;
+            }
+            if (schema.additional) return;
+            for (const key of Object.keys(value)) {
+                if (schema.properties[key]) continue;
+                const keyPath = path ? `${path}.${key}` : key;
+                const movedTo = MOVED_SETTINGS[keyPath.replace(/^symbols\.[A-Z0-9]+\./, '')];
+                errors.push(movedTo ? `${keyPath} moved to ${movedTo}` : `${keyPath} is not a known setting`);
+            }
+            for (const [key, child] of Object.entries(schema.properties)) {
+                const childPath = path ? `${path}.${key}` : key;
+                if (value[key] === undefined) {
+                    if (!partial && !schema.partial && !schema.optional?.includes(key)) errors.push(`${childPath} is missing`);
+                    continue;
+                }
+                validate(value[key], child, childPath, errors, partial || schema.partial);
+            }
+            return;
+        }
+    }
+};
+
+/**
+ * Deep merge plain objects; arrays and scalars of the override replace the base
+ * @param {Object} base
+ * @param {Object} [override]
+ * @returns {Object}
+ */
+export const mergeConfig = (base, override = {}) => {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject && base[key] && typeof base[key] === 'object' ? mergeConfig(base[key], value) : value;
+    }
+    return merged;
+};
+
+// ────────────────────────────────────────────────
+// Loading
+// ────────────────────────────────────────────────
+
+/**
+ * Parse a configuration file without defaults
+ * @param {string} file
+ * @returns {Object}
+ */
+const readConfigFile = (file) => {
+    try {
+        return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read config ${file}: ${error.message}`);
+    }
+};
+
+/**
+ * Apply the defaults to a parsed file and validate the result
+ * @param {Object} raw
+ * @param {string} file for messages
+ * @returns {typeof DEFAULT_CONFIG}
+ */
+const resolveConfig = (raw, file) => {
+    const config = mergeConfig(DEFAULT_CONFIG, raw);
+    const errors = [];
+    validate(config, CONFIG_SCHEMA, '', errors);
+    if (errors.length > 0) {
+        throw new Error(`Invalid config ${file}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return config;
+};
+
+/**
+ * Read, default and validate a configuration file
+ * @param {string} [file]
+ * @returns {typeof DEFAULT_CONFIG}
+ */
+export const loadConfig = (file = process.env.BOT_CONFIG || DEFAULT_CONFIG_FILE) => resolveConfig(readConfigFile(file), file);
+
+/**
+ * Edit the configuration file; the edit is validated first and written atomically
+ * @param {(raw:Object) => void} update mutates the parsed file (without defaults)
+ * @param {string} [file]
+ * @returns {typeof DEFAULT_CONFIG} the new configuration
+ */
+export const updateConfigFile = (update, file = process.env.BOT_CONFIG || DEFAULT_CONFIG_FILE) => {
+    const raw = readConfigFile(file);
+    update(raw);
+    const config = resolveConfig(raw, file);
+    // A rename never leaves the watchers a half-written file
+    writeFileSync(`${file}.tmp`, `${JSON.stringify(raw, null, 4)}\n`);
+    renameSync(`${file}.tmp`, file);
+    return config;
+};
+
+/**
+ * Effective configuration of one contract: the global sections with its "symbols" override applied
+ * @param {typeof DEFAULT_CONFIG} config
+ * @param {string} symbol Binance id
+ * @returns {{scanner:Object, manager:Object, brackets:Object}}
+ */
+export const resolveSymbolConfig = (config, symbol) => {
+    const { symbols, telegram, risk, universe, http, screener, ...sections } = config;
+    return mergeConfig(sections, symbols[symbol]);
+};
+
+/**
+ * Loaded configuration that follows edits of the file
+ * @param {Object} [options]
+ * @param {string} [options.file]
+ * @param {(config:typeof DEFAULT_CONFIG, previous:typeof DEFAULT_CONFIG) => void} [options.onChange]
+ * @param {(error:Error) => void} [options.onError] invalid edit; the previous config stays active
+ * @param {number} [options.intervalMs=2000] file polling interval
+ * @returns {{get:() => typeof DEFAULT_CONFIG, forSymbol:(symbol:string) => {scanner:Object, manager:Object, brackets:Object},
+ *           update:(change:(raw:Object) => void) => typeof DEFAULT_CONFIG, on:(event:'change', listener:Function) => void, close:() => void}}
+ */
+export const createConfigStore = ({ file = process.env.BOT_CONFIG || DEFAULT_CONFIG_FILE, onChange, onError, intervalMs = 2000 } = {}) => {
+    const events = new EventEmitter();
+    let config = loadConfig(file);
+
+    /**
+     * Switch to a new configuration and tell the listeners
+     * @param {typeof DEFAULT_CONFIG} next
+     */
+    const apply = (next) => {
+        const old = config;
+        config = next;
+        onChange?.(next, old);
+        events.emit('change', next, old);
+    };
+
+    // watchFile polls the mtime, so it survives editors that replace the file on save
+    watchFile(file, { interval: intervalMs }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        try {
+            apply(loadConfig(file));
+        } catch (error) {
+            onError?.(error);
+        }
+    });
+
+    return {
+        get: () => config,
+        forSymbol: (symbol) => resolveSymbolConfig(config, symbol),
+        // Own edits apply at once instead of on the next poll of the file
+        update: (change) => {
+            apply(updateConfigFile(change, file));
+            return config;
+        },
+        on: (event, listener) => events.on(event, listener),
+        close: () => unwatchFile(file)
+    };
+};
+
+/**
+ * Read a dotted path such as 'scanner.timeframe'
+ * @param {Object} config
+ * @param {string} path
+ * @returns {*}
+ */
+export const getConfigValue = (config, path) => path.split('.').reduce((value, key) => value?.[key], config);
+
+/**
+ * Write a dotted path, creating the objects on the way
+ * @param {Object} config
+ * @param {string} path
+ * @param {*} value
+ */
+export const setConfigValue = (config, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let target = config;
+    for (const key of keys) {
+        if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+        target = target[key];
+    }
+    target[last] = value;
+};
+
+/**
+ * Paths of the global settings a short name may refer to ('profit' → ['manager.profit'])
+ * @param {string} name a key or a full dotted path
+ * @returns {string[]}
+ */
+export const findSettingPaths = (name) => {
+    const paths = [];
+    const walk = (schema, path) => {
+        if (schema.type !== 'object' || schema.additional) {
+            if (path === name || path.endsWith(`.${name}`)) paths.push(path);
+            return;
+        }
+        for (const [key, child] of Object.entries(schema.properties)) walk(child, path ? `${path}.${key}` : key);
+    };
+    const { symbols, ...sections } = CONFIG_SCHEMA.properties;
+    walk({ type: 'object', properties: sections }, '');
+    return paths;
+};
+
+// ────────────────────────────────────────────────
+// Environment
+// ────────────────────────────────────────────────
+
+/**
+ * Check that the .env keys the current setup needs are present
+ * @param {typeof DEFAULT_CONFIG} config
+ * @param {string} [mode] EXCHANGE backend
+ */
+export const assertEnv = (config, mode = process.env.EXCHANGE || 'binance') => {
+    const required = [];
+    if (mode === 'binance') required.push('API_KEY', 'API_SECRET');
+    if (config.telegram.enabled) required.push('TELEGRAM_TOKEN', 'TELEGRAM_CHAT_ID');
+    const missing = required.filter(key => !process.env[key]);
+    if (missing.length > 0) {
+        throw new Error(`Missing .env keys: ${missing.join(', ')}${config.telegram.enabled ? ' (set telegram.enabled to false in the config to run without Telegram)' : ''}`);
+    }
+};
@@ -0,0 +1,126 @@
+/**
+ * Multi-timeframe confirmation of entry signals
+ *
+ * The strategy decides on the scanner's timeframe; scanner.confirmation lists
+ * rules on other timeframes that must agree before the signal is traded:
+ *  • ema_trend  close above EMA(period, default 50) for a LONG, below for a SHORT
+ *  • rsi        RSI(period, default 14) ≥ sellRsiThreshold (default 50) for a SHORT,
+ *               ≤ buyRsiThreshold (default 50) for a LONG
+ * e.g. [{ "timeframe": "1h", "type": "ema_trend" }] = "1m RSI extreme and 1h EMA trend agrees".
+ *
+ * Higher-timeframe candles are fetched over REST only when a signal needs them
+ * and cached until that timeframe's next candle closes; the candle still
+ * forming is dropped for every interval (toClosedCandles).
+ */
+
+import { TIMEFRAME_MS, toClosedCandles } from './market_stream.js';
+import { calculateLatestEMA, calculateLatestRSI } from './signals.js';
+
+const RSI_WINDOW = 100;
+
+/**
+ * @typedef {Object} ConfirmationRule
+ * @property {string} timeframe
+ * @property {'ema_trend'|'rsi'} type
+ * @property {number} [period]
+ * @property {number} [sellRsiThreshold]
+ * @property {number} [buyRsiThreshold]
+ */
+
+/**
+ * Closed candles a rule needs (EMA gets three periods to settle)
+ * @param {ConfirmationRule} rule
+ * @returns {number}
+ */
+const candlesNeeded = (rule) => rule.type === 'ema_trend'
+    ? Math.min(1499, (rule.period ?? 50) * 3)
+    : Math.max(RSI_WINDOW, (rule.period ?? 14) + 1);
+
+/**
+ * Cache of closed candles per symbol and timeframe, valid until the next close
+ * @param {import('./exchange.js').ExchangeAdapter} exchange
+ * @returns {{get:(symbol:string, timeframe:string, count:number) => Promise<import('./market_stream.js').Candle[]>, clear:() => void}}
+ */
+export const createCandleCache = (exchange) => {
+    const cache = new Map();
+
+    return {
+        get: async (symbol, timeframe, count) => {
+            const key = `${symbol}:${timeframe}`;
+            const cached = cache.get(key);
+            const now = Date.now();
+            if (cached && cached.count >= count && now < cached.validUntil) return cached.candles;
+            // One extra row: the last one returned is usually still forming
+            const candles = toClosedCandles(await exchange.fetchOHLCV(symbol, timeframe, count + 1), timeframe, now);
+            const last = candles[candles.length - 1];
+            const intervalMs = TIMEFRAME_MS[timeframe];
+            cache.set(key, { candles, count, validUntil: last ? last.timestamp + 2 * intervalMs : now + intervalMs });
+            return candles;
+        },
+        clear: () => cache.clear()
+    };
+};
+
+/**
+ * Check one rule for a signal
+ * @param {ConfirmationRule} rule
+ * @param {'long'|'short'} signal
+ * @param {import('./market_stream.js').Candle[]} candles closed candles of rule.timeframe
+ * @returns {Promise<{confirmed:boolean, reason:string, indicators:Object<string, number>}>}
+ */
+export const checkRule = async (rule, signal, candles) => {
+    const closes = candles.map(candle => candle.close);
+    const side = signal.toUpperCase();
+    if (rule.type === 'ema_trend') {
+        const period = rule.period ?? 50;
+        if (closes.length < period) return { confirmed: false, reason: `${rule.timeframe} EMA${period} needs ${period} candles, got ${closes.length}`, indicators: {} };
+        const ema = calculateLatestEMA(closes, period);
+        const close = closes[closes.length - 1];
+        const trend = close > ema ? 'up' : 'down';
+        const confirmed = (signal === 'long') === (trend === 'up');
+        return {
+            confirmed,
+            reason: `${rule.timeframe} EMA${period} trend ${trend}${confirmed ? '' : ` against the ${side}`}`,
+            indicators: { [`${rule.timeframe} EMA${period}`]: ema }
+        };
+    }
+    if (rule.type === 'rsi') {
+        const period = rule.period ?? 14;
+        if (closes.length <= period) return { confirmed: false, reason: `${rule.timeframe} RSI${period} needs ${period + 1} candles, got ${closes.length}`, indicators: {} };
+        const rsi = calculateLatestRSI(closes.slice(-RSI_WINDOW), period);
+        const confirmed = signal === 'short' ? rsi >= (rule.sellRsiThreshold ?? 50) : rsi <= (rule.buyRsiThreshold ?? 50);
+        const limit = signal === 'short' ? `≥ ${rule.sellRsiThreshold ?? 50}` : `≤ ${rule.buyRsiThreshold ?? 50}`;
+        return {
+            confirmed,
+            reason: `${rule.timeframe} RSI${period} ${rsi.toFixed(2)}${confirmed ? ` ${limit}` : ` not ${limit}`}`,
+            indicators: { [`${rule.timeframe} RSI${period}`]: rsi }
+        };
+    }
+    throw new Error(`Unknown confirmation rule type: ${rule.type}`);
+};
+
+/**
+ * Check every rule of scanner.confirmation; the first failing rule explains a rejection
+ * @param {Object} input
+ * @param {string} input.symbol
+ * @param {'long'|'short'} input.signal
+ * @param {ConfirmationRule[]} input.rules
+ * @param {ReturnType<typeof createCandleCache>} input.candles
+ * @returns {Promise<{confirmed:boolean, reason:string, indicators:Object<string, number>}>}
+ */
+export const confirmSignal = async ({ symbol, signal, rules, candles }) => {
+    const indicators = {};
+    const reasons = [];
+    for (const rule of rules) {
+        let result;
+        try {
+            result = await checkRule(rule, signal, await candles.get(symbol, rule.timeframe, candlesNeeded(rule)));
+        } catch (error) {
+            return { confirmed: false, reason: `${rule.timeframe} ${rule.type} unavailable (${error.message})`, indicators };
+        }
+        Object.assign(indicators, result.indicators);
+        if (!result.confirmed) return { confirmed: false, reason: result.reason, indicators };
+        reasons.push(result.reason);
+    }
+    return { confirmed: true, reason: reasons.join(' · '), indicators };
+};
@@ -0,0 +1,209 @@
+/**
+ * Exchange execution adapter
+ *
+ * Both bots talk to the exchange only through the interface below, so the
+ * scanner and the position manager run unchanged against live Binance
+ * USDT-M futures or against the in-memory simulated exchange.
+ *
+ * Symbols may be passed in any of the formats used across the bots
+ * (BTCUSDT, BTC/USDT, BTC/USDT:USDT); every adapter normalizes them.
+ *
+ * Select the backend with the EXCHANGE environment variable:
+ *  • binance   (default) — live Binance futures via ccxt + node-binance-api
+ *  • simulated           — offline in-memory exchange, no network required
+ *  • paper               — live (or recorded, PAPER_MARKET_DATA=<dir>) market data,
+ *                          orders settled on a persisted virtual ledger (PAPER_LEDGER_FILE)
+ */
+
+// ────────────────────────────────────────────────
+// Interface
+// ────────────────────────────────────────────────
+
+/**
+ * Position row, shaped like Binance futuresPositionRisk() (numeric fields as strings)
+ * @typedef {Object} Position
+ * @property {string} symbol            e.g. BTCUSDT
+ * @property {'LONG'|'SHORT'|'BOTH'} positionSide
+ * @property {string} positionAmt       signed size, negative for shorts
+ * @property {string} entryPrice
+ * @property {string} markPrice
+ * @property {string} unRealizedProfit
+ * @property {string} isolatedWallet    isolated margin ('0' when cross)
+ * @property {string} [initialMargin]
+ * @property {string} liquidationPrice
+ * @property {string} [maintMargin]     maintenance margin at the row's notional
+ * @property {string} [notional]
+ */
+
+/**
+ * Order result, shaped like the Binance futures order response
+ * @typedef {Object} Order
+ * @property {number} orderId
+ * @property {string} clientOrderId
+ * @property {string} symbol
+ * @property {'BUY'|'SELL'} side
+ * @property {'LONG'|'SHORT'|'BOTH'} positionSide
+ * @property {string} type
+ * @property {string} status
+ * @property {string} origQty
+ * @property {string} executedQty
+ * @property {string} avgPrice
+ * @property {boolean} reduceOnly
+ * @property {string} [stopPrice]        trigger price of conditional orders
+ * @property {boolean} [closePosition]   conditional order closes the whole position
+ * @property {boolean} [conditional]     STOP_MARKET / TAKE_PROFIT_MARKET (Binance algo order)
+ */
+
+/**
+ * Leverage tier, shaped like a /fapi/v1/leverageBracket entry
+ * @typedef {Object} LeverageBracket
+ * @property {number} bracket
+ * @property {number} initialLeverage  max leverage inside this tier
+ * @property {number} notionalCap
+ * @property {number} notionalFloor
+ * @property {number} maintMarginRatio
+ */
+
+/**
+ * Funding state of one perpetual, shaped like a /fapi/v1/premiumIndex row
+ * @typedef {Object} PremiumIndex
+ * @property {string} symbol
+ * @property {number} markPrice
+ * @property {number} indexPrice
+ * @property {number} fundingRate          rate of the next settlement as a fraction
+ * @property {number} interestRate
+ * @property {number} nextFundingTime
+ * @property {number} fundingIntervalHours 8 on most contracts, 4 or 1 on adjusted ones
+ */
+
+/**
+ * Rolling 24 h statistics, shaped like a /fapi/v1/ticker/24hr row
+ * @typedef {Object} Ticker24h
+ * @property {string} symbol
+ * @property {number} last
+ * @property {number} priceChangePercent
+ * @property {number} quoteVolume  USDT traded over the last 24 h
+ */
+
+/**
+ * Best bid / ask, shaped like a /fapi/v1/ticker/bookTicker row
+ * @typedef {Object} BookTicker
+ * @property {string} symbol
+ * @property {number} bid
+ * @property {number} ask
+ */
+
+/**
+ * @typedef {Object} ExchangeAdapter
+ * @property {string} name
+ * @property {() => Promise<number>} getBalance free USDT in the futures wallet
+ * @property {(symbol?:string) => Promise<Position[]>} getPositions position rows as returned by /fapi/v3/positionRisk
+ * @property {(symbol:string) => Promise<{symbol:string, last:number, bid:number, ask:number, timestamp:number}>} getTicker
+ * @property {(symbol:string, timeframe:string, limit?:number) => Promise<number[][]>} fetchOHLCV [timestamp, open, high, low, close, volume] rows, oldest first
+ * @property {(symbol:string) => Promise<{symbol:string, fundingRate:number, nextFundingTime:number, timestamp:number}>} fetchFundingRate rate as a fraction (0.0001 = 0.01%)
+ * @property {() => Promise<PremiumIndex[]>} getPremiumIndex every perpetual in one request
+ * @property {() => Promise<Ticker24h[]>} get24hTickers every contract in one request
+ * @property {(symbol:string) => Promise<{symbol:string, openInterest:number, timestamp:number}>} getOpenInterest open contracts (base asset units)
+ * @property {() => Promise<BookTicker[]>} getBookTickers top of the order book of every contract in one request
+ * @property {() => Promise<{symbols:Object[]}>} getExchangeInfo futuresExchangeInfo() payload
+ * @property {(symbol:string) => Promise<LeverageBracket[]>} getLeverageBrackets notional tiers of a symbol, lowest first
+ * @property {() => Promise<Map<string, LeverageBracket[]>>} getAllLeverageBrackets tiers of every symbol in one request
+ * @property {(symbol:string, leverage:number) => Promise<void>} setLeverage
+ * @property {(symbol:string, marginType:'ISOLATED'|'CROSSED') => Promise<void>} setMarginType
+ * @property {() => Promise<boolean>} isHedgeMode
+ * @property {(order:{symbol:string, side:'BUY'|'SELL', type?:'MARKET'|'STOP_MARKET'|'TAKE_PROFIT_MARKET', quantity?:number, positionSide?:string, reduceOnly?:boolean, stopPrice?:number, closePosition?:boolean, workingType?:'MARK_PRICE'|'CONTRACT_PRICE', clientOrderId?:string}) => Promise<Order>} createOrder
+ *           clientOrderId (≤ 36 of [.A-Za-z0-9:/_-]) is reused by resends, so the exchange never takes one order twice
+ * @property {(symbol:string, query:{orderId?:number|string, clientOrderId?:string, conditional?:boolean}) => Promise<Order>} getOrder
+ *           current state of an order, also after it left the book; throws -2013 when the exchange never took it
+ * @property {(symbol?:string) => Promise<Order[]>} getOpenOrders regular and conditional open orders
+ * @property {(order:Order) => Promise<Order>} cancelOrder cancel an order returned by getOpenOrders / createOrder
+ * @property {(symbol:string, amount:number, positionSide?:string) => Promise<Object>} addPositionMargin
+ * @property {(symbol:string, limit?:number) => Promise<Object[]>} getUserTrades futuresUserTrades() rows
+ * @property {() => Promise<string>} [createListenKey] binance only: user-data stream listenKey
+ * @property {() => Promise<Object>} [keepAliveListenKey] binance only
+ * @property {() => Promise<Object>} [closeListenKey] binance only
+ * @property {() => Promise<number>} [syncTime] binance only: resync the request clock, returns server minus local time in ms
+ * @property {(event:'order'|'liquidation'|'funding'|'margin', listener:Function) => void} [on] simulated / paper only: ledger events
+ */
+
+// ────────────────────────────────────────────────
+// Symbol helpers
+// ────────────────────────────────────────────────
+
+/**
+ * Convert any symbol format to the Binance id: BTC/USDT:USDT → BTCUSDT
+ * @param {string} symbol
+ * @returns {string}
+ */
+export const toBinanceSymbol = (symbol) => symbol.replace(':USDT', '').replace('/', '');
+
+/**
+ * Convert any symbol format to the ccxt unified futures symbol: BTCUSDT → BTC/USDT:USDT
+ * @param {string} symbol
+ * @returns {string}
+ */
+export const toMarketSymbol = (symbol) => {
+    const id = toBinanceSymbol(symbol);
+    const base = id.endsWith('USDT') ? id.slice(0, -4) : id;
+    return `${base}/USDT:USDT`;
+};
+
+// ────────────────────────────────────────────────
+// Factory
+// ────────────────────────────────────────────────
+
+/**
+ * Create the exchange adapter selected by EXCHANGE (or options.mode)
+ * @param {Object} [options]
+ * @param {'binance'|'simulated'|'paper'} [options.mode]
+ * @param {ReturnType<import('./request_scheduler.js').createRequestScheduler>} [options.scheduler] paces and retries the requests sent to Binance
+ * @returns {Promise<ExchangeAdapter>}
+ */
+export const createExchange = async (options = {}) => {
+    const mode = options.mode || process.env.EXCHANGE || 'binance';
+    switch (mode) {
+        case 'binance': {
+            const { createBinanceExchange } = await import('./binance_exchange.js');
+            const exchange = createBinanceExchange({
+                apiKey: process.env.API_KEY,
+                secret: process.env.API_SECRET,
+                onResponse: options.scheduler?.observe,
+                ...options
+            });
+            if (!options.scheduler) return exchange;
+            const { withRequestScheduler } = await import('./request_scheduler.js');
+            return withRequestScheduler(exchange, options.scheduler);
+        }
+        case 'simulated': {
+            const { createSimulatedExchange, createRandomWalkFeed } = await import('./simulated_exchange.js');
+            const exchange = createSimulatedExchange({
+                balance: Number(process.env.SIM_BALANCE) || 1000,
+                ...options
+            });
+            createRandomWalkFeed(exchange, { symbols: (process.env.SIM_SYMBOLS || 'DOGEUSDT,XRPUSDT,ADAUSDT').split(',') });
+            return exchange;
+        }
+        case 'paper': {
+            const { createPaperExchange } = await import('./paper_exchange.js');
+            const source = process.env.PAPER_MARKET_DATA || 'binance';
+            let marketData;
+            if (source === 'binance') {
+                marketData = await createExchange({ mode: 'binance', scheduler: options.scheduler });
+            } else {
+                // Recorded candles, replayed in real time
+                const { createSimulatedExchange, createReplayFeed } = await import('./simulated_exchange.js');
+                const { loadRecordedSeries } = await import('./backtest.js');
+                marketData = createSimulatedExchange();
+                createReplayFeed(marketData, await loadRecordedSeries(source), { speed: Number(process.env.PAPER_REPLAY_SPEED) || 1 });
+            }
+            return createPaperExchange({
+                marketData,
+                ledgerFile: process.env.PAPER_LEDGER_FILE || './data/paper_ledger.json',
+                balance: Number(process.env.PAPER_BALANCE) || 1000,
+                ...options
+            });
+        }
+        default:
+            throw new Error(`Unknown exchange mode: ${mode}`);
+    }
+};
@@ -0,0 +1,115 @@
+/**
+ * Exit rules shared by the position manager and the backtester
+ *
+ * Profit levels are fractions of the position margin (0.03 = +3% of margin),
+ * the same unit as the manager's `profit` target. Because unrealized PnL and
+ * margin shrink together on partial closes, the ratio stays comparable across
+ * the whole life of a position.
+ */
+
+/**
+ * @typedef {Object} ExitProfile
+ * @property {number|null} takeProfit   close everything at this PnL; null disables
+ * @property {Array<{at:number, fraction:number}>} ladder partial closes; fraction of the size first seen
+ * @property {{activateAt:number, giveBack:number}|null} trailing arm at activateAt, close the rest
+ *           once PnL falls giveBack below its peak; null disables
+ */
+
+/**
+ * Built-in exit profiles
+ * @param {number} profit the manager's fixed take-profit target
+ * @returns {Object<string, ExitProfile>}
+ */
+export const buildExitProfiles = (profit) => ({
+    // Original behaviour: close the whole position at +profit
+    fixed: { takeProfit: profit, ladder: [], trailing: null },
+    // 50% at +3%, 25% at +6%, runner protected by a trailing stop armed at +6%
+    ladder: {
+        takeProfit: null,
+        ladder: [{ at: 0.03, fraction: 0.5 }, { at: 0.06, fraction: 0.25 }],
+        trailing: { activateAt: 0.06, giveBack: 0.02 }
+    },
+    // Let winners run: no fixed target, trailing stop armed at +3%
+    trailing: { takeProfit: null, ladder: [], trailing: { activateAt: 0.03, giveBack: 0.015 } }
+});
+
+/**
+ * Take-profit check used by listOpenFuturesPositions: close once the
+ * unrealized PnL reaches `profit` (fraction) of the isolated margin
+ * @param {{isolatedWallet:string|number, unRealizedProfit:string|number}} position futuresPositionRisk() row
+ * @param {number} profit e.g. 0.03 for 3%
+ * @returns {boolean}
+ */
+export const shouldTakeProfit = (position, profit) => {
+    const calculatedProfit = Number(position.isolatedWallet) * profit;
+    const unRealizedProfit = Number(position.unRealizedProfit);
+    return unRealizedProfit >= calculatedProfit;
+};
+
+/**
+ * Per-position exit state: peak PnL, ladder progress and trailing arm,
+ * keyed by symbol and position side
+ * @returns {Map<string, {initialQty:number, peak:number, nextStep:number, armed:boolean}>}
+ */
+export const createExitState = () => new Map();
+
+/**
+ * Key of a position in the exit state
+ * @param {{symbol:string, positionSide:string}} position
+ * @returns {string}
+ */
+export const exitStateKey = (position) => `${position.symbol}:${position.positionSide}`;
+
+/**
+ * Drop the state of positions that are no longer open
+ * @param {ReturnType<typeof createExitState>} state
+ * @param {Object[]} openPositions
+ */
+export const pruneExitState = (state, openPositions) => {
+    const open = new Set(openPositions.map(exitStateKey));
+    for (const key of state.keys()) {
+        if (!open.has(key)) state.delete(key);
+    }
+};
+
+/**
+ * Decide the next exit action for a position under an exit profile
+ * @param {Object} position futuresPositionRisk() row
+ * @param {ExitProfile} profile
+ * @param {ReturnType<typeof createExitState>} state updated in place
+ * @returns {{action:'none'}|{action:'close', quantity:number, reason:string, pnlPct:number}}
+ */
+export const evaluateExit = (position, profile, state) => {
+    const quantity = Math.abs(Number(position.positionAmt));
+    const margin = Number(position.isolatedWallet) || Number(position.initialMargin);
+    const unRealizedProfit = Number(position.unRealizedProfit);
+    const pnlPct = margin > 0 ? unRealizedProfit / margin : 0;
+
+    const key = exitStateKey(position);
+    if (!state.has(key)) state.set(key, { initialQty: quantity, peak: pnlPct, nextStep: 0, armed: false });
+    const entry = state.get(key);
+    entry.peak = Math.max(entry.peak, pnlPct);
+
+    // Legacy check kept identical to shouldTakeProfit (cross margin → margin of 0)
+    if (profile.takeProfit !== null && unRealizedProfit >= Number(position.isolatedWallet) * profile.takeProfit) {
+        return { action: 'close', quantity, reason: 'take-profit', pnlPct };
+    }
+
+    if (profile.trailing) {
+        if (!entry.armed && pnlPct >= profile.trailing.activateAt) entry.armed = true;
+        if (entry.armed && pnlPct <= entry.peak - profile.trailing.giveBack) {
+            return { action: 'close', quantity, reason: 'trailing-stop', pnlPct };
+        }
+    }
+
+    const step = profile.ladder[entry.nextStep];
+    if (step && pnlPct >= step.at) {
+        entry.nextStep++;
+        const stepQty = Math.min(quantity, entry.initialQty * step.fraction);
+        // Without a trailing stop, the last rung closes whatever is left
+        const last = entry.nextStep === profile.ladder.length && !profile.trailing;
+        return { action: 'close', quantity: last ? quantity : stepQty, reason: `ladder ${entry.nextStep}/${profile.ladder.length}`, pnlPct };
+    }
+
+    return { action: 'none' };
+};
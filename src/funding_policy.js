@@ -0,0 +1,98 @@
+/**
+ * Funding-aware exit policy of the position manager
+ *
+ * Funding is settled on the positions open at each funding timestamp (every
+ * 8 h on most contracts): longs pay shorts when the rate is positive, shorts
+ * pay longs when it is negative. Settings come from manager.funding:
+ *  • hold     a position about to receive funding is not closed by the profit
+ *             exits (target, ladder, trailing) during the last holdWindowMinutes,
+ *             so it collects the payment first
+ *  • reduce   a position about to pay |rate| ≥ exitRate is reduced by
+ *             reduceFraction (1 = closed) during the last exitWindowMinutes,
+ *             once per funding timestamp
+ *  • net      with netOfFunding the profit target is measured on the unrealized
+ *             PnL minus the funding paid so far (journal)
+ * Exchange-side stop-loss orders are not affected.
+ */
+
+import { exitStateKey } from './exit_rules.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Whether a position receives or pays at a funding rate
+ * @param {{positionSide:string, positionAmt:string|number}} position
+ * @param {number} fundingRate fraction
+ * @returns {'receive'|'pay'|'none'}
+ */
+export const getFundingDirection = (position, fundingRate) => {
+    if (!fundingRate) return 'none';
+    const short = position.positionSide === 'SHORT' || Number(position.positionAmt) < 0;
+    return short === fundingRate > 0 ? 'receive' : 'pay';
+};
+
+/**
+ * Funding timestamps a position was already reduced for, keyed like the exit
+ * state (pruneExitState() drops closed positions)
+ * @returns {Map<string, number>}
+ */
+export const createFundingState = () => new Map();
+
+/**
+ * Copy of a position whose unrealized PnL is net of the funding paid so far
+ * @param {Object} position futuresPositionRisk() row
+ * @param {number} fundingPaid > 0 paid, < 0 received
+ * @returns {Object}
+ */
+export const netOfFunding = (position, fundingPaid) => ({
+    ...position,
+    unRealizedProfit: String(Number(position.unRealizedProfit) - fundingPaid)
+});
+
+/**
+ * @typedef {Object} FundingDecision
+ * @property {'hold'|'reduce'|'none'} action
+ * @property {'receive'|'pay'|'none'} direction
+ * @property {number} minutesToFunding
+ * @property {number} estimatedPayment  USDT at the next timestamp, > 0 paid
+ * @property {number} [quantity]        to close (reduce)
+ * @property {string} [reason]
+ */
+
+/**
+ * Decide what the funding policy wants done with a position
+ * @param {Object} input
+ * @param {Object} input.position futuresPositionRisk() row
+ * @param {{fundingRate:number, nextFundingTime:number}} input.funding
+ * @param {{holdWindowMinutes:number, exitWindowMinutes:number, exitRate:number, reduceFraction:number}} input.settings manager.funding
+ * @param {ReturnType<typeof createFundingState>} input.state updated in place
+ * @param {number} [input.now]
+ * @returns {FundingDecision}
+ */
+export const evaluateFunding = ({ position, funding, settings, state, now = Date.now() }) => {
+    const rate = Number(funding.fundingRate);
+    const quantity = Math.abs(Number(position.positionAmt));
+    const direction = getFundingDirection(position, rate);
+    const minutesToFunding = (Number(funding.nextFundingTime) - now) / MINUTE;
+    const payment = quantity * Number(position.markPrice) * Math.abs(rate);
+    const decision = { action: 'none', direction, minutesToFunding, estimatedPayment: direction === 'pay' ? payment : -payment };
+    // A timestamp in the past means the schedule has not been refreshed yet
+    if (direction === 'none' || !(minutesToFunding > 0)) return decision;
+
+    if (direction === 'receive' && minutesToFunding <= settings.holdWindowMinutes) {
+        return { ...decision, action: 'hold', reason: `receiving ${(rate * 100).toFixed(4)}% funding in ${Math.ceil(minutesToFunding)} min` };
+    }
+
+    const key = exitStateKey(position);
+    if (direction === 'pay' && Math.abs(rate) >= settings.exitRate && minutesToFunding <= settings.exitWindowMinutes
+        && state.get(key) !== Number(funding.nextFundingTime)) {
+        state.set(key, Number(funding.nextFundingTime));
+        return {
+            ...decision,
+            action: 'reduce',
+            quantity: quantity * settings.reduceFraction,
+            reason: settings.reduceFraction >= 1 ? 'funding-exit' : 'funding-reduce'
+        };
+    }
+    return decision;
+};
@@ -0,0 +1,211 @@
+/**
+ * Funding-rate screener
+ *
+ * Pulls the premium index and 24 h tickers of every USDT perpetual in two bulk
+ * requests, plus open interest for the contracts with the largest funding
+ * (one request each, screener.openInterestTop of them), and builds one row per
+ * contract:
+ *  • fundingRate     rate of the next settlement as published by Binance
+ *  • predictedRate   rate implied by the current premium: premium + clamp(interest − premium, ±0.05%),
+ *                    the settlement formula applied to the instant premium instead of its average
+ *  • annualizedRate  fundingRate × settlements per year (8 h, 4 h or 1 h intervals)
+ *  • openInterestUsdt, quoteVolume (24 h), priceChangePercent (24 h)
+ *
+ * Outliers: |rate| ≥ extremeRate (per 8 h, so 1 h contracts are compared fairly)
+ * or a z-score ≥ outlierZScore against all screened contracts.
+ * Contracts trading less than minQuoteVolumeUsdt in 24 h are left out.
+ */
+
+const INTEREST_CLAMP = 0.0005;
+const HOURS_PER_YEAR = 24 * 365;
+
+// --sort values and the row field they rank by (largest absolute value first)
+export const SORT_FIELDS = {
+    funding: 'fundingRate',
+    predicted: 'predictedRate',
+    annualized: 'annualizedRate',
+    oi: 'openInterestUsdt',
+    volume: 'quoteVolume'
+};
+
+/**
+ * @typedef {Object} FundingRow
+ * @property {string} symbol
+ * @property {number} markPrice
+ * @property {number} fundingRate
+ * @property {number} predictedRate
+ * @property {number} annualizedRate
+ * @property {number} intervalHours
+ * @property {number} nextFundingTime
+ * @property {number|null} openInterestUsdt null when not fetched (outside openInterestTop)
+ * @property {number} quoteVolume
+ * @property {number} priceChangePercent
+ * @property {number} zScore       of the 8 h equivalent rate
+ * @property {string[]} flags      'extreme' | 'z-score'
+ */
+
+/**
+ * Funding rate implied by the current premium
+ * @param {import('./exchange.js').PremiumIndex} row
+ * @returns {number}
+ */
+export const predictFundingRate = ({ markPrice, indexPrice, interestRate }) => {
+    const premium = (markPrice - indexPrice) / indexPrice;
+    return premium + Math.min(Math.max(interestRate - premium, -INTEREST_CLAMP), INTEREST_CLAMP);
+};
+
+/**
+ * Rate per settlement interval expressed per year
+ * @param {number} rate fraction per interval
+ * @param {number} intervalHours
+ * @returns {number}
+ */
+export const annualizeRate = (rate, intervalHours) => rate * HOURS_PER_YEAR / intervalHours;
+
+/**
+ * Build, filter and flag the screener rows
+ * @param {Object} input
+ * @param {import('./exchange.js').PremiumIndex[]} input.premiumIndex
+ * @param {import('./exchange.js').Ticker24h[]} input.tickers
+ * @param {Map<string, number>} [input.openInterest] contracts by symbol
+ * @param {Set<string>} [input.listed] trading USDT perpetuals; other premium index rows are dropped
+ * @param {{minQuoteVolumeUsdt:number, extremeRate:number, outlierZScore:number}} input.settings
+ * @returns {FundingRow[]}
+ */
+export const buildFundingRows = ({ premiumIndex, tickers, openInterest = new Map(), listed, settings }) => {
+    const tickerBySymbol = new Map(tickers.map(ticker => [ticker.symbol, ticker]));
+    const rows = premiumIndex
+        .filter(row => (!listed || listed.has(row.symbol)) && tickerBySymbol.has(row.symbol) && Number.isFinite(row.fundingRate))
+        .map(row => {
+            const ticker = tickerBySymbol.get(row.symbol);
+            const contracts = openInterest.get(row.symbol);
+            return {
+                symbol: row.symbol,
+                markPrice: row.markPrice,
+                fundingRate: row.fundingRate,
+                predictedRate: predictFundingRate(row),
+                annualizedRate: annualizeRate(row.fundingRate, row.fundingIntervalHours),
+                intervalHours: row.fundingIntervalHours,
+                nextFundingTime: row.nextFundingTime,
+                openInterestUsdt: contracts === undefined ? null : contracts * row.markPrice,
+                quoteVolume: ticker.quoteVolume,
+                priceChangePercent: ticker.priceChangePercent
+            };
+        })
+        .filter(row => row.quoteVolume >= settings.minQuoteVolumeUsdt);
+
+    // Outliers are judged on the 8 h equivalent so every interval shares one scale
+    const per8h = rows.map(row => row.fundingRate * 8 / row.intervalHours);
+    const mean = per8h.reduce((sum, rate) => sum + rate, 0) / (per8h.length || 1);
+    const deviation = Math.sqrt(per8h.reduce((sum, rate) => sum + (rate - mean) ** 2, 0) / (per8h.length || 1));
+    return rows.map((row, index) => {
+        const zScore = deviation > 0 ? (per8h[index] - mean) / deviation : 0;
+        const flags = [];
+        if (Math.abs(per8h[index]) >= settings.extremeRate) flags.push('extreme');
+        if (settings.outlierZScore > 0 && Math.abs(zScore) >= settings.outlierZScore) flags.push('z-score');
+        return { ...row, zScore, flags };
+    });
+};
+
+/**
+ * Rows ordered by the absolute value of a field, largest first
+ * @param {FundingRow[]} rows
+ * @param {keyof typeof SORT_FIELDS} [sort='funding']
+ * @returns {FundingRow[]}
+ */
+export const rankFundingRows = (rows, sort = 'funding') => {
+    const field = SORT_FIELDS[sort];
+    if (!field) throw new Error(`Unknown sort ${sort} (${Object.keys(SORT_FIELDS).join(', ')})`);
+    return [...rows].sort((a, b) => Math.abs(b[field] ?? -1) - Math.abs(a[field] ?? -1));
+};
+
+/**
+ * Fetch everything the screener needs and build the rows
+ * @param {import('./exchange.js').ExchangeAdapter} exchange
+ * @param {{minQuoteVolumeUsdt:number, openInterestTop:number, extremeRate:number, outlierZScore:number}} settings config screener section
+ * @returns {Promise<{time:number, rows:FundingRow[]}>}
+ */
+export const runFundingScreener = async (exchange, settings) => {
+    let premiumIndex, tickers, info;
+    try {
+        [premiumIndex, tickers, info] = await Promise.all([exchange.getPremiumIndex(), exchange.get24hTickers(), exchange.getExchangeInfo()]);
+    } catch (error) {
+        throw new Error(`Failed to fetch funding data: ${error.message}`);
+    }
+    const listed = new Set(info.symbols
+        .filter(s => s.contractType === 'PERPETUAL' && s.quoteAsset === 'USDT' && s.status === 'TRADING')
+        .map(s => s.symbol));
+    const candidates = rankFundingRows(buildFundingRows({ premiumIndex, tickers, listed, settings }))
+        .slice(0, settings.openInterestTop);
+
+    // Open interest has no bulk endpoint; a failed symbol only loses its column
+    const openInterest = new Map();
+    for (const { symbol } of candidates) {
+        try {
+            openInterest.set(symbol, (await exchange.getOpenInterest(symbol)).openInterest);
+        } catch {
+            // left as null
+        }
+    }
+    return { time: Date.now(), rows: buildFundingRows({ premiumIndex, tickers, openInterest, listed, settings }) };
+};
+
+// ────────────────────────────────────────────────
+// Output
+// ────────────────────────────────────────────────
+
+/**
+ * Rates as percentages, sizes rounded – one row per line of the console table and the exports
+ * @param {FundingRow} row
+ * @returns {Object}
+ */
+export const formatFundingRow = (row) => ({
+    symbol: row.symbol,
+    fundingPct: Number((row.fundingRate * 100).toFixed(4)),
+    predictedPct: Number((row.predictedRate * 100).toFixed(4)),
+    annualizedPct: Number((row.annualizedRate * 100).toFixed(2)),
+    intervalH: row.intervalHours,
+    nextFunding: new Date(row.nextFundingTime).toISOString().slice(11, 16),
+    openInterestUsdt: row.openInterestUsdt === null ? null : Math.round(row.openInterestUsdt),
+    volume24hUsdt: Math.round(row.quoteVolume),
+    change24hPct: Number(row.priceChangePercent.toFixed(2)),
+    zScore: Number(row.zScore.toFixed(2)),
+    flags: row.flags.join(' ')
+});
+
+const CSV_COLUMNS = ['symbol', 'fundingPct', 'predictedPct', 'annualizedPct', 'intervalH', 'nextFunding',
+    'openInterestUsdt', 'volume24hUsdt', 'change24hPct', 'zScore', 'flags'];
+
+/**
+ * CSV export of formatted rows
+ * @param {FundingRow[]} rows
+ * @returns {string}
+ */
+export const toFundingCsv = (rows) => {
+    const formatted = rows.map(formatFundingRow);
+    const escape = (value) => value === null ? '' : /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    return [CSV_COLUMNS.join(','), ...formatted.map(row => CSV_COLUMNS.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+};
+
+/**
+ * Telegram digest: the most positive and most negative rates plus the outliers
+ * @param {{time:number, rows:FundingRow[]}} report
+ * @param {number} top rows per list
+ * @returns {string}
+ */
+export const formatFundingDigest = ({ time, rows }, top) => {
+    const line = (row) => `${row.symbol} ${(row.fundingRate * 100).toFixed(4)}% (${(row.annualizedRate * 100).toFixed(1)}% APR${row.intervalHours !== 8 ? ` · ${row.intervalHours}h` : ''})`;
+    const list = (selected) => selected.length ? selected.slice(0, top).map(line) : ['none'];
+    const byRate = [...rows].sort((a, b) => b.fundingRate - a.fundingRate);
+    const outliers = rows.filter(row => row.flags.length > 0);
+    return [
+        `💹 Funding screener – ${new Date(time).toISOString().slice(0, 16).replace('T', ' ')} UTC – ${rows.length} contracts`,
+        '',
+        '🔺 Longs pay most',
+        ...list(byRate.filter(row => row.fundingRate > 0)),
+        '',
+        '🔻 Shorts pay most',
+        ...list(byRate.filter(row => row.fundingRate < 0).reverse()),
+        ...(outliers.length ? ['', `⚠️ Outliers: ${outliers.map(row => `${row.symbol} (${row.flags.join(' ')})`).join(' · ')}`] : [])
+    ].join('\n');
+};
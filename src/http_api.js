@@ -0,0 +1,274 @@
+/**
+ * Local HTTP control API and dashboard
+ *
+ * Each bot embeds one server (node:http, no framework):
+ *  • GET  /                  browser dashboard (src/dashboard.html)
+ *  • GET  /api/…             JSON read endpoints registered by the bot
+ *  • GET  /api/events        Server-Sent Events: every publish() is pushed to the open dashboards
+ *  • GET  /api/log           the last published 'log' events (the console is redrawn, this is the scrollback)
+ *  • POST /api/…             control endpoints; they need "Authorization: Bearer <HTTP_API_TOKEN>"
+ *                            and are refused altogether when no token is configured
+ *
+ * The server binds to 127.0.0.1 unless http.host says otherwise – put it behind a
+ * reverse proxy with TLS before exposing it.
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { timingSafeEqual } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { setConfigValue } from './config.js';
+
+const DASHBOARD_FILE = new URL('./dashboard.html', import.meta.url);
+const LOG_SIZE = 200;
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Error with the HTTP status a handler wants to answer with
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error & {status:number}}
+ */
+export const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Compare a bearer token in constant time
+ * @param {string} expected
+ * @param {string|undefined} header Authorization header
+ * @returns {boolean}
+ */
+const isAuthorized = (expected, header) => {
+    const [scheme, given] = String(header || '').split(' ');
+    if (scheme !== 'Bearer' || !given) return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(given);
+    return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {import('node:http').IncomingMessage} request
+ * @returns {Promise<Object>}
+ */
+const readJsonBody = (request) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    request.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(httpError(413, 'request body too large'));
+            request.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (!text) return resolve({});
+        try {
+            resolve(JSON.parse(text));
+        } catch {
+            reject(httpError(400, 'request body is not valid JSON'));
+        }
+    });
+    request.on('error', reject);
+});
+
+/**
+ * @param {Object} options
+ * @param {string} options.name bot name shown by the dashboard ('scanner' | 'manager')
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {string} [options.token] bearer token of the control endpoints (HTTP_API_TOKEN)
+ * @returns {{get:Function, post:Function, publish:(event:string, data:*) => void, log:(message:string) => void,
+ *           start:() => Promise<void>, stop:() => Promise<void>, on:(event:string, listener:Function) => void}}
+ */
+export const createHttpApi = ({ name, host, port, token }) => {
+    const events = new EventEmitter();
+    const routes = new Map();
+    const clients = new Set();
+    const logLines = [];
+    let server = null;
+
+    /**
+     * Forward errors to listeners; an EventEmitter without 'error' listeners would throw
+     * @param {Error} error
+     */
+    const emitError = (error) => {
+        if (events.listenerCount('error') > 0) events.emit('error', error);
+    };
+
+    /**
+     * @param {import('node:http').ServerResponse} response
+     * @param {number} status
+     * @param {*} body
+     */
+    const sendJson = (response, status, body) => {
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+        response.end(JSON.stringify(body));
+    };
+
+    /**
+     * Push an event to every connected dashboard
+     * @param {string} event
+     * @param {*} data JSON-serializable
+     */
+    const publish = (event, data) => {
+        const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const client of clients) client.write(frame);
+    };
+
+    /**
+     * Keep a line for /api/log and push it live
+     * @param {string} message
+     */
+    const log = (message) => {
+        const entry = { time: Date.now(), message };
+        logLines.push(entry);
+        if (logLines.length > LOG_SIZE) logLines.shift();
+        publish('log', entry);
+    };
+
+    /**
+     * Open a Server-Sent Events stream
+     * @param {import('node:http').IncomingMessage} request
+     * @param {import('node:http').ServerResponse} response
+     */
+    const openEventStream = (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+        response.write(`retry: 3000\n\n`);
+        clients.add(response);
+        request.on('close', () => clients.delete(response));
+    };
+
+    /**
+     * @param {import('node:http').IncomingMessage} request
+     * @param {import('node:http').ServerResponse} response
+     */
+    const handle = async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            if (request.method === 'GET' && url.pathname === '/') {
+                response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                response.end(readFileSync(DASHBOARD_FILE));
+                return;
+            }
+            if (request.method === 'GET' && url.pathname === '/api/events') return openEventStream(request, response);
+            if (request.method === 'GET' && url.pathname === '/api/log') return sendJson(response, 200, logLines);
+
+            const route = routes.get(`${request.method} ${url.pathname}`);
+            if (!route) throw httpError(404, `no route ${request.method} ${url.pathname}`);
+            if (route.control) {
+                if (!token) throw httpError(403, 'control endpoints are disabled – set HTTP_API_TOKEN');
+                if (!isAuthorized(token, request.headers.authorization)) throw httpError(401, 'missing or wrong bearer token');
+            }
+            const body = request.method === 'POST' ? await readJsonBody(request) : undefined;
+            const result = await route.handler({ query: Object.fromEntries(url.searchParams), body });
+            sendJson(response, 200, result ?? { ok: true });
+        } catch (error) {
+            if (!error.status) emitError(new Error(`HTTP ${request.method} ${url.pathname} failed: ${error.message}`));
+            sendJson(response, error.status || 500, { error: error.message });
+        }
+    };
+
+    // Comments keep proxies from closing idle event streams
+    let heartbeat = null;
+
+    return {
+        /**
+         * Register a read endpoint
+         * @param {string} path
+         * @param {(request:{query:Object}) => *} handler
+         */
+        get: (path, handler) => routes.set(`GET ${path}`, { handler, control: false }),
+        /**
+         * Register a token-protected control endpoint
+         * @param {string} path
+         * @param {(request:{query:Object, body:Object}) => *} handler
+         */
+        post: (path, handler) => routes.set(`POST ${path}`, { handler, control: true }),
+        publish,
+        log,
+        start: () => new Promise((resolve, reject) => {
+            routes.set('GET /api', { handler: () => ({ bot: name, control: Boolean(token), routes: [...routes.keys()] }), control: false });
+            server = createServer((request, response) => handle(request, response));
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.off('error', reject);
+                server.on('error', emitError);
+                heartbeat = setInterval(() => {
+                    for (const client of clients) client.write(': ping\n\n');
+                }, 25 * 1000);
+                resolve();
+            });
+        }),
+        stop: () => new Promise((resolve) => {
+            clearInterval(heartbeat);
+            for (const client of clients) client.end();
+            clients.clear();
+            if (!server) return resolve();
+            server.close(() => resolve());
+        }),
+        on: (event, listener) => events.on(event, listener)
+    };
+};
+
+/**
+ * Parse a time filter given as ms or as a date string
+ * @param {string} [value]
+ * @returns {number|undefined}
+ */
+const parseTime = (value) => {
+    if (!value) return undefined;
+    const time = Number(value) || Date.parse(value);
+    if (Number.isNaN(time)) throw httpError(400, `invalid time ${value}`);
+    return time;
+};
+
+/**
+ * Endpoints both bots serve: status, health, trade history, config and the entry pause switch
+ * @param {ReturnType<typeof createHttpApi>} api
+ * @param {Object} context
+ * @param {string} context.exchangeName
+ * @param {ReturnType<import('./config.js').createConfigStore>} context.config
+ * @param {ReturnType<import('./journal.js').openJournal>} context.journal
+ * @param {ReturnType<import('./risk_manager.js').createRiskManager>} context.risk
+ * @param {ReturnType<import('./supervisor.js').createSupervisor>} context.supervisor
+ * @param {ReturnType<import('./request_scheduler.js').createRequestScheduler>} context.scheduler
+ * @returns {{getStatus:() => Promise<Object>}}
+ */
+export const addCommonRoutes = (api, { exchangeName, config, journal, risk, supervisor, scheduler }) => {
+    /**
+     * Whether new entries are paused (config) or halted (risk limits), and today's PnL
+     * @returns {Promise<{exchange:string, paused:boolean, halted:string|null, daily:Object}>}
+     */
+    const getStatus = async () => {
+        const status = await risk.getStatus();
+        return { exchange: exchangeName, paused: config.get().scanner.paused, halted: status.allowed ? null : status.reason, daily: status.daily };
+    };
+
+    /**
+     * Flip scanner.paused in the config file and push the new status
+     * @param {boolean} paused
+     * @returns {Promise<Object>}
+     */
+    const setPaused = async (paused) => {
+        config.update(raw => setConfigValue(raw, 'scanner.paused', paused));
+        const status = await getStatus();
+        api.publish('status', status);
+        api.log(paused ? '⏸️ New entries paused (HTTP API)' : '▶️ New entries resumed (HTTP API)');
+        return status;
+    };
+
+    config.on('change', (next) => api.publish('config', next));
+    api.get('/api/status', getStatus);
+    api.get('/api/health', () => ({ components: supervisor.getHealth(), requests: scheduler.getUsage() }));
+    api.get('/api/config', () => config.get());
+    api.get('/api/trades', ({ query }) => {
+        const table = query.type === 'exits' ? 'trade_exits' : 'trades';
+        return journal.query(table, { symbol: query.symbol?.toUpperCase(), from: parseTime(query.from), to: parseTime(query.to), limit: Number(query.limit) || 100 });
+    });
+    api.post('/api/pause', () => setPaused(true));
+    api.post('/api/resume', () => setPaused(false));
+    return { getStatus };
+};
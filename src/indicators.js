@@ -0,0 +1,378 @@
+/**
+ * Technical indicators shared by the scanner, the manager, the confirmation
+ * rules and the backtester
+ *
+ * Every indicator is a factory returning { update(input), value }: update()
+ * takes the next close (a candle for ATR / VWAP / ADX) and returns the latest
+ * value, or null while the indicator is still warming up. The callers keep no
+ * instances between scans: each decision replays its candle window through a
+ * fresh one (indicatorSeries / latestIndicator). The windows are a few hundred
+ * candles at most, and a decision that depends only on its window is the same
+ * live and in a backtest, whatever candles a reconnect or backfill replaced.
+ *
+ * Conventions (TA-Lib / tulind):
+ *  • SMA        mean of the last period values
+ *  • EMA        α = 2 / (period + 1), seeded with the SMA of the first period values
+ *  • RSI        Wilder: average gain / loss seeded with the mean of the first period
+ *               changes, then (previous × (period − 1) + change) / period; 50 on a flat series
+ *  • ATR        Wilder average of the true range, the first candle's being high − low
+ *  • Bollinger  SMA ± stdDev × population standard deviation
+ *  • MACD       EMA(fast) − EMA(slow), signal = EMA(signalPeriod) of that line
+ *  • VWAP       Σ typical price × volume / Σ volume, restarted every sessionMs (UTC days by default)
+ *  • ADX        Wilder's DMI: +DM / −DM / TR smoothed over period, ADX = Wilder average of DX
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} Indicator
+ * @property {(input:any) => any} update feed the next close or candle, returns the latest value or null
+ * @property {any} value latest value, null while warming up
+ */
+
+/**
+ * @typedef {Object} IndicatorCandle
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} [volume]    VWAP only
+ * @property {number} [timestamp] VWAP sessions only
+ */
+
+/**
+ * Reject periods that would silently produce garbage
+ * @param {string} name
+ * @param {number} period
+ */
+const assertPeriod = (name, period) => {
+    if (!Number.isInteger(period) || period < 1) throw new Error(`Invalid ${name} period: ${period}`);
+};
+
+/**
+ * Sliding window of the last period values with their running mean and sum of
+ * squared deviations (Welford), so neither needs a pass over the window
+ * @param {number} period
+ * @returns {{push:(value:number) => void, full:() => boolean, mean:() => number, variance:() => number}}
+ */
+const createWindow = (period) => {
+    const values = new Array(period);
+    let count = 0;
+    let next = 0;
+    let mean = 0;
+    let m2 = 0;
+
+    return {
+        push: (value) => {
+            if (count < period) {
+                count += 1;
+                const delta = value - mean;
+                mean += delta / count;
+                m2 += delta * (value - mean);
+            } else {
+                const dropped = values[next];
+                const previousMean = mean;
+                mean += (value - dropped) / period;
+                m2 += (value - dropped) * (value - mean + dropped - previousMean);
+            }
+            values[next] = value;
+            next = (next + 1) % period;
+        },
+        full: () => count === period,
+        mean: () => mean,
+        // Rounding can leave a tiny negative on a flat window
+        variance: () => Math.max(0, m2 / count)
+    };
+};
+
+// ────────────────────────────────────────────────
+// Close-based indicators
+// ────────────────────────────────────────────────
+
+/**
+ * Simple moving average
+ * @param {number} period
+ * @returns {Indicator}
+ */
+export const createSMA = (period) => {
+    assertPeriod('SMA', period);
+    const window = createWindow(period);
+    let value = null;
+    return {
+        update: (close) => {
+            window.push(close);
+            value = window.full() ? window.mean() : null;
+            return value;
+        },
+        get value() { return value; }
+    };
+};
+
+/**
+ * Exponential moving average, seeded with the SMA of the first period closes
+ * @param {number} period
+ * @returns {Indicator}
+ */
+export const createEMA = (period) => {
+    assertPeriod('EMA', period);
+    const alpha = 2 / (period + 1);
+    let count = 0;
+    let sum = 0;
+    let value = null;
+    return {
+        update: (close) => {
+            if (value !== null) {
+                value += alpha * (close - value);
+            } else {
+                count += 1;
+                sum += close;
+                if (count === period) value = sum / period;
+            }
+            return value;
+        },
+        get value() { return value; }
+    };
+};
+
+/**
+ * Relative strength index with Wilder smoothing; the first value needs period + 1 closes
+ * @param {number} period
+ * @returns {Indicator}
+ */
+export const createRSI = (period) => {
+    assertPeriod('RSI', period);
+    let previous = null;
+    let count = 0;
+    let gain = 0;
+    let loss = 0;
+    let value = null;
+    return {
+        update: (close) => {
+            if (previous === null) {
+                previous = close;
+                return value;
+            }
+            const change = close - previous;
+            previous = close;
+            const up = Math.max(change, 0);
+            const down = Math.max(-change, 0);
+            if (count < period) {
+                count += 1;
+                gain += up;
+                loss += down;
+                if (count < period) return value;
+                gain /= period;
+                loss /= period;
+            } else {
+                gain = (gain * (period - 1) + up) / period;
+                loss = (loss * (period - 1) + down) / period;
+            }
+            value = gain + loss > 0 ? 100 * gain / (gain + loss) : 50;
+            return value;
+        },
+        get value() { return value; }
+    };
+};
+
+/**
+ * Bollinger bands
+ * @param {number} [period=20]
+ * @param {number} [stdDev=2] band width in standard deviations
+ * @returns {Indicator} value {lower, middle, upper}
+ */
+export const createBollinger = (period = 20, stdDev = 2) => {
+    assertPeriod('Bollinger', period);
+    const window = createWindow(period);
+    let value = null;
+    return {
+        update: (close) => {
+            window.push(close);
+            if (!window.full()) return value;
+            const middle = window.mean();
+            const width = stdDev * Math.sqrt(window.variance());
+            value = { lower: middle - width, middle, upper: middle + width };
+            return value;
+        },
+        get value() { return value; }
+    };
+};
+
+/**
+ * Moving average convergence / divergence; the first value needs slowPeriod + signalPeriod − 1 closes
+ * @param {number} [fastPeriod=12]
+ * @param {number} [slowPeriod=26]
+ * @param {number} [signalPeriod=9]
+ * @returns {Indicator} value {macd, signal, histogram}
+ */
+export const createMACD = (fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) => {
+    if (fastPeriod >= slowPeriod) throw new Error(`MACD fast period ${fastPeriod} must be below the slow period ${slowPeriod}`);
+    const fast = createEMA(fastPeriod);
+    const slow = createEMA(slowPeriod);
+    const signalLine = createEMA(signalPeriod);
+    let value = null;
+    return {
+        update: (close) => {
+            const fastValue = fast.update(close);
+            const slowValue = slow.update(close);
+            if (slowValue === null) return value;
+            const macd = fastValue - slowValue;
+            const signal = signalLine.update(macd);
+            if (signal === null) return value;
+            value = { macd, signal, histogram: macd - signal };
+            return value;
+        },
+        get value() { return value; }
+    };
+};
+
+// ────────────────────────────────────────────────
+// Candle-based indicators
+// ────────────────────────────────────────────────
+
+/**
+ * True range of a candle against the previous close
+ * @param {IndicatorCandle} candle
+ * @param {number|null} previousClose
+ * @returns {number}
+ */
+const trueRange = ({ high, low }, previousClose) => previousClose === null
+    ? high - low
+    : Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+
+/**
+ * Average true range with Wilder smoothing; the first value needs period candles
+ * @param {number} period
+ * @returns {Indicator}
+ */
+export const createATR = (period) => {
+    assertPeriod('ATR', period);
+    let previousClose = null;
+    let count = 0;
+    let sum = 0;
+    let value = null;
+    return {
+        update: (candle) => {
+            const range = trueRange(candle, previousClose);
+            previousClose = candle.close;
+            if (value !== null) {
+                value = (value * (period - 1) + range) / period;
+            } else {
+                count += 1;
+                sum += range;
+                if (count === period) value = sum / period;
+            }
+            return value;
+        },
+        get value() { return value; }
+    };
+};
+
+/**
+ * Volume-weighted average price of the typical price (high + low + close) / 3
+ * @param {Object} [options]
+ * @param {number} [options.sessionMs=86400000] restart when a candle opens in a new session (UTC-aligned); 0 never restarts
+ * @returns {Indicator}
+ */
+export const createVWAP = ({ sessionMs = DAY } = {}) => {
+    let session = null;
+    let priceVolume = 0;
+    let volume = 0;
+    let value = null;
+    return {
+        update: (candle) => {
+            const current = sessionMs > 0 && candle.timestamp !== undefined ? Math.floor(candle.timestamp / sessionMs) : null;
+            if (current !== session) {
+                session = current;
+                priceVolume = 0;
+                volume = 0;
+                value = null;
+            }
+            priceVolume += (candle.high + candle.low + candle.close) / 3 * candle.volume;
+            volume += candle.volume;
+            if (volume > 0) value = priceVolume / volume;
+            return value;
+        },
+        get value() { return value; }
+    };
+};
+
+/**
+ * Average directional index; +DI / −DI need period candles, the ADX 2 × period − 1
+ * @param {number} [period=14]
+ * @returns {Indicator} value {adx, plusDI, minusDI}
+ */
+export const createADX = (period = 14) => {
+    assertPeriod('ADX', period);
+    let previous = null;
+    let count = 0;
+    let range = 0;
+    let plusDM = 0;
+    let minusDM = 0;
+    let dxCount = 0;
+    let dxSum = 0;
+    let adx = null;
+    let value = null;
+    return {
+        update: (candle) => {
+            if (previous === null) {
+                previous = candle;
+                return value;
+            }
+            const upMove = candle.high - previous.high;
+            const downMove = previous.low - candle.low;
+            const currentRange = trueRange(candle, previous.close);
+            const currentPlus = upMove > downMove && upMove > 0 ? upMove : 0;
+            const currentMinus = downMove > upMove && downMove > 0 ? downMove : 0;
+            previous = candle;
+
+            // Wilder sums: the first period − 1 moves are added up, every later one smooths
+            if (count < period - 1) {
+                count += 1;
+                range += currentRange;
+                plusDM += currentPlus;
+                minusDM += currentMinus;
+                if (count < period - 1) return value;
+            } else {
+                range = range - range / period + currentRange;
+                plusDM = plusDM - plusDM / period + currentPlus;
+                minusDM = minusDM - minusDM / period + currentMinus;
+            }
+
+            const plusDI = range > 0 ? 100 * plusDM / range : 0;
+            const minusDI = range > 0 ? 100 * minusDM / range : 0;
+            const dx = plusDI + minusDI > 0 ? 100 * Math.abs(plusDI - minusDI) / (plusDI + minusDI) : 0;
+            if (adx !== null) {
+                adx = (adx * (period - 1) + dx) / period;
+            } else {
+                dxCount += 1;
+                dxSum += dx;
+                if (dxCount === period) adx = dxSum / period;
+            }
+            value = { adx, plusDI, minusDI };
+            return value;
+        },
+        get value() { return value; }
+    };
+};
+
+// ────────────────────────────────────────────────
+// Batch helpers
+// ────────────────────────────────────────────────
+
+/**
+ * Every value of an indicator over a history, null during the warmup
+ * @param {Indicator} indicator a fresh instance
+ * @param {Array<number|IndicatorCandle>} inputs oldest first
+ * @returns {Array<any>}
+ */
+export const indicatorSeries = (indicator, inputs) => inputs.map(input => indicator.update(input));
+
+/**
+ * Value of an indicator after a whole history, null when it is too short
+ * @param {Indicator} indicator a fresh instance
+ * @param {Array<number|IndicatorCandle>} inputs oldest first
+ * @returns {any}
+ */
+export const latestIndicator = (indicator, inputs) => {
+    for (const input of inputs) indicator.update(input);
+    return indicator.value;
+};
@@ -0,0 +1,427 @@
+/**
+ * Persistent trade journal (SQLite)
+ *
+ * Records every signal, order, fill, close, margin add and funding payment of
+ * both bots, with the indicators and prices at decision time. Entries and
+ * exits are linked through the trades table: a trade is opened by the
+ * scanner's entry order and closed (possibly in several partial exits) by the
+ * manager, a protective order, a liquidation or — when the position vanished
+ * while nobody was watching — reconciliation. Orders are keyed by their client
+ * order id and follow the order's state, fill price, fees and slippage.
+ *
+ * The scanner and the manager write to the same file from two processes, so
+ * the database runs in WAL mode with a busy timeout.
+ *
+ * @requires better-sqlite3
+ */
+
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import Database from 'better-sqlite3';
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS signals (
+    id INTEGER PRIMARY KEY,
+    time INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    strategy TEXT,
+    signal TEXT NOT NULL,
+    reason TEXT,
+    price REAL,
+    rsi REAL,
+    ema20 REAL,
+    funding_rate REAL,
+    indicators TEXT
+);
+CREATE TABLE IF NOT EXISTS trades (
+    id INTEGER PRIMARY KEY,
+    symbol TEXT NOT NULL,
+    position_side TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open',
+    signal_id INTEGER REFERENCES signals(id),
+    opened_at INTEGER NOT NULL,
+    entry_price REAL,
+    quantity REAL,
+    remaining REAL,
+    rsi REAL,
+    ema20 REAL,
+    funding_rate REAL,
+    closed_at INTEGER,
+    exit_price REAL,
+    realized_pnl REAL NOT NULL DEFAULT 0,
+    funding_paid REAL NOT NULL DEFAULT 0,
+    margin_added REAL NOT NULL DEFAULT 0,
+    close_reason TEXT,
+    origin TEXT NOT NULL DEFAULT 'scanner',
+    exit_state TEXT
+);
+CREATE TABLE IF NOT EXISTS trade_exits (
+    id INTEGER PRIMARY KEY,
+    trade_id INTEGER NOT NULL REFERENCES trades(id),
+    time INTEGER NOT NULL,
+    quantity REAL,
+    price REAL,
+    pnl REAL,
+    reason TEXT,
+    rsi REAL,
+    ema20 REAL,
+    funding_rate REAL
+);
+CREATE TABLE IF NOT EXISTS orders (
+    id INTEGER PRIMARY KEY,
+    time INTEGER NOT NULL,
+    trade_id INTEGER REFERENCES trades(id),
+    symbol TEXT NOT NULL,
+    side TEXT,
+    position_side TEXT,
+    type TEXT,
+    purpose TEXT,
+    quantity REAL,
+    price REAL,
+    order_id TEXT,
+    status TEXT,
+    client_order_id TEXT,
+    updated_at INTEGER,
+    filled_quantity REAL,
+    avg_price REAL,
+    commission REAL,
+    slippage REAL
+);
+CREATE TABLE IF NOT EXISTS fills (
+    id INTEGER PRIMARY KEY,
+    time INTEGER NOT NULL,
+    trade_id INTEGER REFERENCES trades(id),
+    symbol TEXT NOT NULL,
+    side TEXT,
+    position_side TEXT,
+    type TEXT,
+    quantity REAL,
+    price REAL,
+    realized_pnl REAL,
+    commission REAL,
+    order_id TEXT
+);
+CREATE TABLE IF NOT EXISTS margin_adds (
+    id INTEGER PRIMARY KEY,
+    time INTEGER NOT NULL,
+    trade_id INTEGER REFERENCES trades(id),
+    symbol TEXT NOT NULL,
+    position_side TEXT,
+    amount REAL
+);
+CREATE TABLE IF NOT EXISTS funding_payments (
+    id INTEGER PRIMARY KEY,
+    time INTEGER NOT NULL,
+    trade_id INTEGER REFERENCES trades(id),
+    symbol TEXT,
+    position_side TEXT,
+    rate REAL,
+    payment REAL
+);
+CREATE INDEX IF NOT EXISTS trades_symbol ON trades (symbol, opened_at);
+CREATE INDEX IF NOT EXISTS trades_open ON trades (symbol, position_side, status);
+`;
+
+// Columns added after the first release, created on journals that predate them
+const ADDED_COLUMNS = {
+    trades: {
+        origin: `TEXT NOT NULL DEFAULT 'scanner'`,
+        exit_state: 'TEXT'
+    },
+    orders: {
+        client_order_id: 'TEXT',
+        updated_at: 'INTEGER',
+        filled_quantity: 'REAL',
+        avg_price: 'REAL',
+        commission: 'REAL',
+        slippage: 'REAL'
+    }
+};
+
+// Tables the query() helper may read, with the column their date range applies to
+export const JOURNAL_TABLES = {
+    trades: 'opened_at',
+    trade_exits: 'time',
+    signals: 'time',
+    orders: 'time',
+    fills: 'time',
+    margin_adds: 'time',
+    funding_payments: 'time'
+};
+
+/**
+ * Default journal file of an exchange backend; paper and simulated runs never mix with live trading
+ * @param {string} exchangeName
+ * @returns {string}
+ */
+export const defaultJournalFile = (exchangeName) => process.env.JOURNAL_FILE
+    || (exchangeName === 'binance' ? './data/journal.db' : `./data/journal_${exchangeName}.db`);
+
+/**
+ * Open (creating if needed) a trade journal
+ * @param {Object} options
+ * @param {string} options.file SQLite file
+ * @param {(error:Error) => void} [options.onError] write failures are reported here instead of thrown,
+ *        so a journal problem never interrupts trading
+ * @param {() => number} [options.now]
+ */
+export const openJournal = ({ file, onError = () => {}, now = Date.now }) => {
+    mkdirSync(dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(SCHEMA);
+    for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+        const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+        for (const [name, definition] of Object.entries(columns)) {
+            if (!existing.has(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+        }
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS orders_client ON orders (client_order_id)');
+
+    /**
+     * Run a write, reporting (not throwing) failures
+     * @template T
+     * @param {string} what
+     * @param {() => T} write
+     * @returns {T|undefined}
+     */
+    const guard = (what, write) => {
+        try {
+            return write();
+        } catch (error) {
+            onError(new Error(`Failed to journal ${what}: ${error.message}`));
+            return undefined;
+        }
+    };
+
+    const findOpenTrade = db.prepare(`SELECT * FROM trades WHERE symbol = ? AND (? = 'BOTH' OR position_side = ?) AND status = 'open' ORDER BY opened_at DESC LIMIT 1`);
+
+    /**
+     * Latest open trade of a position; one-way mode reports positionSide BOTH, which matches either side
+     * @param {string} symbol
+     * @param {string} positionSide
+     * @returns {Object|undefined}
+     */
+    const getOpenTrade = (symbol, positionSide) => findOpenTrade.get(symbol, positionSide, positionSide);
+
+    /**
+     * Record an exit of (part of) a trade and close it once nothing is left
+     */
+    const exitTrade = db.transaction(({ symbol, positionSide, quantity, price, pnl, reason, rsi, ema20, fundingRate, full }) => {
+        const trade = getOpenTrade(symbol, positionSide);
+        if (!trade) return undefined;
+        const time = now();
+        db.prepare(`INSERT INTO trade_exits (trade_id, time, quantity, price, pnl, reason, rsi, ema20, funding_rate) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+            .run(trade.id, time, quantity ?? trade.remaining, price, pnl, reason, rsi, ema20, fundingRate);
+        const remaining = full || quantity === undefined ? 0 : Math.max(0, trade.remaining - quantity);
+        const closed = remaining <= trade.quantity * 1e-9;
+        db.prepare(`UPDATE trades SET remaining = ?, realized_pnl = realized_pnl + ?, status = ?, closed_at = ?, exit_price = ?, close_reason = ? WHERE id = ?`)
+            .run(closed ? 0 : remaining, pnl ?? 0, closed ? 'closed' : 'open', closed ? time : null, closed ? price : null, closed ? reason : null, trade.id);
+        return trade.id;
+    });
+
+    return {
+        /**
+         * A strategy decision that led (or may lead) to an entry
+         * @param {{symbol:string, strategy:string, signal:string, reason:string, price:number, rsi?:number, ema20?:number, fundingRate?:number, indicators?:Object}} signal
+         * @returns {number|undefined} signal id
+         */
+        recordSignal: ({ symbol, strategy, signal, reason, price, rsi, ema20, fundingRate, indicators }) => guard('signal', () => Number(db.prepare(
+            `INSERT INTO signals (time, symbol, strategy, signal, reason, price, rsi, ema20, funding_rate, indicators) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).run(now(), symbol, strategy, signal, reason, price, rsi, ema20, fundingRate, indicators ? JSON.stringify(indicators) : null).lastInsertRowid)),
+
+        /**
+         * An order sent by one of the bots; price is the reference (ticker) price it was sized with
+         * @param {{symbol:string, side:string, positionSide:string, type:string, purpose:'entry'|'close'|'partial-close'|'stop-loss'|'take-profit', quantity?:number, price?:number, orderId?:string|number, status?:string, tradeId?:number, clientOrderId?:string}} order
+         * @returns {number|undefined}
+         */
+        recordOrder: ({ symbol, side, positionSide, type, purpose, quantity, price, orderId, status, tradeId, clientOrderId }) => guard('order', () => Number(db.prepare(
+            `INSERT INTO orders (time, trade_id, symbol, side, position_side, type, purpose, quantity, price, order_id, status, client_order_id, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).run(now(), tradeId ?? getOpenTrade(symbol, positionSide)?.id ?? null, symbol, side, positionSide, type, purpose, quantity, price, orderId === undefined ? null : String(orderId), status, clientOrderId ?? null, now()).lastInsertRowid)),
+
+        /**
+         * Update an order recorded with a client order id: its state and what it executed
+         * @param {string} clientOrderId
+         * @param {{status?:string, orderId?:string|number, filledQuantity?:number, avgPrice?:number, commission?:number, slippage?:number, tradeId?:number}} changes
+         */
+        updateOrder: (clientOrderId, { status, orderId, filledQuantity, avgPrice, commission, slippage, tradeId }) => guard('order update', () => {
+            const order = db.prepare(`SELECT * FROM orders WHERE client_order_id = ? ORDER BY id DESC LIMIT 1`).get(clientOrderId);
+            if (!order) return;
+            db.prepare(`UPDATE orders SET status = ?, order_id = ?, filled_quantity = ?, avg_price = ?, commission = ?, slippage = ?, trade_id = ?, updated_at = ? WHERE id = ?`).run(
+                status ?? order.status,
+                orderId === undefined ? order.order_id : String(orderId),
+                filledQuantity ?? order.filled_quantity,
+                avgPrice ?? order.avg_price,
+                commission ?? order.commission,
+                slippage ?? order.slippage,
+                tradeId ?? order.trade_id,
+                now(),
+                order.id
+            );
+        }),
+
+        /**
+         * Latest order recorded with a client order id
+         * @param {string} clientOrderId
+         * @returns {Object|undefined}
+         */
+        getOrder: (clientOrderId) => db.prepare(`SELECT * FROM orders WHERE client_order_id = ? ORDER BY id DESC LIMIT 1`).get(clientOrderId),
+
+        /**
+         * A fill reported by the exchange (user-data stream)
+         * @param {{symbol:string, side:string, positionSide:string, type:string, quantity:number, price:number, realizedPnl?:number, commission?:number, orderId?:string|number}} fill
+         * @returns {number|undefined}
+         */
+        recordFill: ({ symbol, side, positionSide, type, quantity, price, realizedPnl, commission, orderId }) => guard('fill', () => Number(db.prepare(
+            `INSERT INTO fills (time, trade_id, symbol, side, position_side, type, quantity, price, realized_pnl, commission, order_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).run(now(), getOpenTrade(symbol, positionSide)?.id ?? null, symbol, side, positionSide, type, quantity, price, realizedPnl, commission, orderId === undefined ? null : String(orderId)).lastInsertRowid)),
+
+        /**
+         * A new position: opened by the scanner, or found on the exchange by the manager
+         * ('adopted' = managed like the scanner's, 'manual' = left alone). The fills of the entry
+         * order are linked to it here: the user-data stream usually reports them before the trade exists
+         * @param {{symbol:string, positionSide:string, quantity:number, entryPrice:number, signalId?:number, rsi?:number, ema20?:number, fundingRate?:number,
+         *          origin?:'scanner'|'adopted'|'manual', openedAt?:number, orderId?:string|number}} trade
+         * @returns {number|undefined} trade id
+         */
+        openTrade: ({ symbol, positionSide, quantity, entryPrice, signalId, rsi, ema20, fundingRate, origin = 'scanner', openedAt, orderId }) => guard('trade', () => {
+            const tradeId = Number(db.prepare(
+                `INSERT INTO trades (symbol, position_side, signal_id, opened_at, entry_price, quantity, remaining, rsi, ema20, funding_rate, origin) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+            ).run(symbol, positionSide, signalId ?? null, openedAt ?? now(), entryPrice, quantity, quantity, rsi, ema20, fundingRate, origin).lastInsertRowid);
+            if (orderId !== undefined && orderId !== null) {
+                db.prepare(`UPDATE fills SET trade_id = ? WHERE order_id = ? AND trade_id IS NULL`).run(tradeId, String(orderId));
+            }
+            return tradeId;
+        }),
+
+        /**
+         * Update the open trade of a position: its origin, the size left (changed outside the
+         * bots) or the exit-rule state the manager resumes after a restart
+         * @param {string} symbol
+         * @param {string} positionSide
+         * @param {{origin?:string, remaining?:number, exitState?:Object}} changes
+         */
+        updateOpenTrade: (symbol, positionSide, { origin, remaining, exitState }) => guard('trade update', () => {
+            const trade = getOpenTrade(symbol, positionSide);
+            if (!trade) return;
+            db.prepare(`UPDATE trades SET origin = ?, remaining = ?, exit_state = ? WHERE id = ?`).run(
+                origin ?? trade.origin,
+                remaining ?? trade.remaining,
+                exitState === undefined ? trade.exit_state : JSON.stringify(exitState),
+                trade.id
+            );
+        }),
+
+        /**
+         * Close (part of) the open trade of a position
+         * @param {{symbol:string, positionSide:string, quantity?:number, price?:number, pnl?:number, reason:string, rsi?:number, ema20?:number, fundingRate?:number, full?:boolean}} exit
+         *        quantity omitted or full=true closes whatever is left
+         * @returns {number|undefined} trade id
+         */
+        closeTrade: (exit) => guard('close', () => exitTrade(exit)),
+
+        /**
+         * Margin added to a position
+         * @param {{symbol:string, positionSide:string, amount:number}} margin
+         */
+        recordMarginAdd: ({ symbol, positionSide, amount }) => guard('margin add', () => {
+            const trade = getOpenTrade(symbol, positionSide);
+            db.prepare(`INSERT INTO margin_adds (time, trade_id, symbol, position_side, amount) VALUES (?, ?, ?, ?, ?)`)
+                .run(now(), trade?.id ?? null, symbol, positionSide, amount);
+            if (trade) db.prepare(`UPDATE trades SET margin_added = margin_added + ? WHERE id = ?`).run(amount, trade.id);
+        }),
+
+        /**
+         * Margin adds of the open trade of a position
+         * @param {string} symbol
+         * @param {string} positionSide
+         * @returns {{count:number, total:number, lastAt:number}}
+         */
+        getMarginAdds: (symbol, positionSide) => {
+            const trade = getOpenTrade(symbol, positionSide);
+            if (!trade) return { count: 0, total: 0, lastAt: 0 };
+            return db.prepare(`SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total, COALESCE(MAX(time), 0) AS lastAt FROM margin_adds WHERE trade_id = ?`).get(trade.id);
+        },
+
+        /**
+         * Funding settled on a position (positive payment = paid, negative = received)
+         * @param {{symbol?:string, positionSide?:string, rate?:number, payment:number}} funding
+         */
+        recordFunding: ({ symbol, positionSide, rate, payment }) => guard('funding', () => {
+            const trade = symbol && positionSide ? getOpenTrade(symbol, positionSide) : undefined;
+            db.prepare(`INSERT INTO funding_payments (time, trade_id, symbol, position_side, rate, payment) VALUES (?, ?, ?, ?, ?, ?)`)
+                .run(now(), trade?.id ?? null, symbol ?? null, positionSide ?? null, rate ?? null, payment);
+            if (trade) db.prepare(`UPDATE trades SET funding_paid = funding_paid + ? WHERE id = ?`).run(payment, trade.id);
+        }),
+
+        /**
+         * Close journal trades whose position no longer exists on the exchange
+         * @param {Array<{symbol:string, positionSide:string}>} openPositions
+         * @param {number} [asOf] when openPositions was read; younger trades may not be in it yet
+         * @returns {number} trades closed
+         */
+        reconcile: (openPositions, asOf = now()) => guard('reconciliation', () => {
+            const held = new Set(openPositions.map(position => `${position.symbol}:${position.positionSide}`));
+            const stale = db.prepare(`SELECT symbol, position_side FROM trades WHERE status = 'open' AND opened_at < ?`).all(asOf)
+                .filter(trade => !held.has(`${trade.symbol}:${trade.position_side}`) && !held.has(`${trade.symbol}:BOTH`));
+            for (const trade of stale) {
+                exitTrade({ symbol: trade.symbol, positionSide: trade.position_side, reason: 'closed externally', full: true });
+            }
+            return stale.length;
+        }) ?? 0,
+
+        getOpenTrade,
+
+        /**
+         * Realized PnL since a point in time: exits minus funding paid
+         * @param {number} since ms
+         * @returns {number} USDT
+         */
+        getRealizedPnl: (since) => {
+            const { pnl } = db.prepare(`SELECT COALESCE(SUM(pnl), 0) AS pnl FROM trade_exits WHERE time >= ?`).get(since);
+            const { funding } = db.prepare(`SELECT COALESCE(SUM(payment), 0) AS funding FROM funding_payments WHERE time >= ?`).get(since);
+            return pnl - funding;
+        },
+
+        /**
+         * Most recently closed trades, newest first
+         * @param {number} limit
+         * @returns {Object[]}
+         */
+        getClosedTrades: (limit) => db.prepare(`SELECT * FROM trades WHERE status = 'closed' ORDER BY closed_at DESC LIMIT ?`).all(limit),
+
+        /**
+         * Rows of a journal table, newest first
+         * @param {keyof typeof JOURNAL_TABLES} table
+         * @param {{symbol?:string, from?:number, to?:number, limit?:number}} [filter] from / to in ms, inclusive
+         * @returns {Object[]}
+         */
+        query: (table, { symbol, from, to, limit = 1000 } = {}) => {
+            const timeColumn = JOURNAL_TABLES[table];
+            if (!timeColumn) throw new Error(`Unknown journal table: ${table}`);
+            const conditions = [];
+            const params = [];
+            if (symbol && table !== 'trade_exits') {
+                conditions.push('symbol = ?');
+                params.push(symbol);
+            }
+            if (symbol && table === 'trade_exits') {
+                conditions.push('trade_id IN (SELECT id FROM trades WHERE symbol = ?)');
+                params.push(symbol);
+            }
+            if (from !== undefined) {
+                conditions.push(`${timeColumn} >= ?`);
+                params.push(from);
+            }
+            if (to !== undefined) {
+                conditions.push(`${timeColumn} <= ?`);
+                params.push(to);
+            }
+            const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+            return db.prepare(`SELECT * FROM ${table} ${where} ORDER BY ${timeColumn} DESC LIMIT ?`).all(...params, limit);
+        },
+
+        close: () => db.close()
+    };
+};
@@ -0,0 +1,122 @@
+/**
+ * Margin support (averaging) policy of the position manager
+ *
+ * An isolated position close to liquidation gets more margin, which moves its
+ * liquidation price away from the mark price. Settings come from manager.support:
+ *  • triggers   margin ratio (maintenance margin / margin balance, as shown by
+ *               Binance) ≥ marginRatio, or the mark price within
+ *               liquidationDistancePct of the liquidation price (0 turns a trigger off)
+ *  • amount     amountPct of the position's isolated wallet per top-up
+ *  • limits     at most maxTopUps top-ups and maxTotalUsdt per position, the last
+ *               top-up cut to what is left; cooldownMinutes between two top-ups so
+ *               the exchange reports the new liquidation price first
+ * Cross-margin positions are never topped up: they already share the wallet.
+ */
+
+import { exitStateKey } from './exit_rules.js';
+
+const MINUTE = 60 * 1000;
+// Binance rejects margin changes below one cent
+const MIN_TOP_UP = 0.01;
+
+/**
+ * Top-ups done per position, keyed like the exit state (pruneExitState() drops
+ * closed positions); the manager seeds new entries from the journal
+ * @returns {Map<string, {count:number, total:number, lastAt:number}>}
+ */
+export const createSupportState = () => new Map();
+
+/**
+ * Maintenance margin / margin balance of an isolated position; the maintenance
+ * margin is rescaled to the current mark price when the row carries its notional
+ * @param {Object} position futuresPositionRisk() row
+ * @returns {number|null} null without a maintenance margin
+ */
+export const getMarginRatio = (position) => {
+    const maintMargin = Number(position.maintMargin);
+    if (!(maintMargin > 0)) return null;
+    const notional = Math.abs(Number(position.notional));
+    const current = Math.abs(Number(position.positionAmt) * Number(position.markPrice));
+    const maintenance = notional > 0 ? maintMargin * current / notional : maintMargin;
+    const balance = Number(position.isolatedWallet) + Number(position.unRealizedProfit);
+    return balance > 0 ? maintenance / balance : Infinity;
+};
+
+/**
+ * Distance from the mark price to the liquidation price as a fraction of the mark price
+ * @param {Object} position futuresPositionRisk() row
+ * @returns {number|null} null without a liquidation price
+ */
+export const getLiquidationDistance = (position) => {
+    const liquidationPrice = Number(position.liquidationPrice);
+    const markPrice = Number(position.markPrice);
+    if (!(liquidationPrice > 0) || !(markPrice > 0)) return null;
+    return Math.abs(markPrice - liquidationPrice) / markPrice;
+};
+
+/**
+ * Whether the liquidation price moved away from the mark price after a top-up
+ * @param {Object} before position row read before the top-up
+ * @param {Object} after position row read after it
+ * @returns {boolean}
+ */
+export const liquidationMovedAway = (before, after) => {
+    const previous = Number(before.liquidationPrice);
+    const next = Number(after.liquidationPrice);
+    const short = before.positionSide === 'SHORT' || Number(before.positionAmt) < 0;
+    return short ? next > previous : next < previous;
+};
+
+/**
+ * @typedef {Object} SupportDecision
+ * @property {'add'|'none'} action
+ * @property {number|null} marginRatio
+ * @property {number|null} liquidationDistance
+ * @property {number} [amount]  USDT to add
+ * @property {string} [reason] trigger of a top-up, or why a triggered one is skipped
+ */
+
+/**
+ * Decide whether a position needs more margin
+ * @param {Object} input
+ * @param {Object} input.position futuresPositionRisk() row
+ * @param {{enabled:boolean, marginRatio:number, liquidationDistancePct:number, amountPct:number,
+ *          maxTopUps:number, maxTotalUsdt:number, cooldownMinutes:number}} input.settings manager.support
+ * @param {ReturnType<typeof createSupportState>} input.state
+ * @param {number} [input.now]
+ * @returns {SupportDecision}
+ */
+export const evaluateSupport = ({ position, settings, state, now = Date.now() }) => {
+    const marginRatio = getMarginRatio(position);
+    const liquidationDistance = getLiquidationDistance(position);
+    const decision = { action: 'none', marginRatio, liquidationDistance };
+    if (!settings.enabled || !(Number(position.isolatedWallet) > 0)) return decision;
+
+    let trigger = null;
+    if (settings.marginRatio > 0 && marginRatio !== null && marginRatio >= settings.marginRatio) {
+        trigger = `margin ratio ${(marginRatio * 100).toFixed(1)}% ≥ ${(settings.marginRatio * 100).toFixed(1)}%`;
+    } else if (settings.liquidationDistancePct > 0 && liquidationDistance !== null && liquidationDistance <= settings.liquidationDistancePct) {
+        trigger = `liquidation ${(liquidationDistance * 100).toFixed(2)}% away (≤ ${(settings.liquidationDistancePct * 100).toFixed(2)}%)`;
+    }
+    if (!trigger) return decision;
+
+    const done = state.get(exitStateKey(position)) ?? { count: 0, total: 0, lastAt: 0 };
+    if (done.count >= settings.maxTopUps) return { ...decision, reason: `${trigger} – ${done.count} of ${settings.maxTopUps} top-ups used` };
+    if (now - done.lastAt < settings.cooldownMinutes * MINUTE) return { ...decision, reason: `${trigger} – cooling down after the last top-up` };
+    const amount = Math.floor(Math.min(Number(position.isolatedWallet) * settings.amountPct, settings.maxTotalUsdt - done.total) * 100) / 100;
+    if (amount < MIN_TOP_UP) return { ...decision, reason: `${trigger} – ${done.total.toFixed(2)} of ${settings.maxTotalUsdt} USDT used` };
+    return { ...decision, action: 'add', amount, reason: trigger };
+};
+
+/**
+ * Count a top-up that went through
+ * @param {ReturnType<typeof createSupportState>} state
+ * @param {Object} position
+ * @param {number} amount
+ * @param {number} [now]
+ */
+export const recordTopUp = (state, position, amount, now = Date.now()) => {
+    const key = exitStateKey(position);
+    const done = state.get(key) ?? { count: 0, total: 0, lastAt: 0 };
+    state.set(key, { count: done.count + 1, total: done.total + amount, lastAt: now });
+};
@@ -0,0 +1,339 @@
+/**
+ * Streaming market data for the entry scanner
+ *
+ * Keeps a rolling buffer of closed candles per symbol plus the latest mark
+ * price / funding rate, and emits a 'candle' event every time a candle closes,
+ * so signals are evaluated on fresh data instead of once per REST pass.
+ *
+ * Two transports:
+ *  • websocket — Binance futures combined streams (<symbol>@kline_<tf> and
+ *                !markPrice@arr@1s, which also carries funding rate and next
+ *                funding time). Connections reconnect with exponential backoff
+ *                and backfill the missed candles over REST once they are back.
+ *  • poll      — reads the adapter's fetchOHLCV / fetchFundingRate on an
+ *                interval; used with the simulated exchange and recorded data,
+ *                which have no websocket feed.
+ *
+ * @requires ws
+ */
+
+import { EventEmitter } from 'node:events';
+import WebSocket from 'ws';
+import { toBinanceSymbol } from './exchange.js';
+
+export const TIMEFRAME_MS = {
+    '1m': 60 * 1000,
+    '3m': 3 * 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '30m': 30 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '2h': 2 * 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000
+};
+
+/**
+ * @typedef {Object} Candle
+ * @property {number} timestamp open time
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume
+ */
+
+/**
+ * Closed candles of an OHLCV response: the last row is still forming until its
+ * interval has elapsed, whatever the timeframe
+ * @param {number[][]} rows [timestamp, open, high, low, close, volume], oldest first
+ * @param {string} timeframe
+ * @param {number} [now]
+ * @returns {Candle[]}
+ */
+export const toClosedCandles = (rows, timeframe, now = Date.now()) => {
+    const intervalMs = TIMEFRAME_MS[timeframe];
+    if (!intervalMs) throw new Error(`Unsupported timeframe: ${timeframe}`);
+    return rows
+        .map(([timestamp, open, high, low, close, volume]) => ({ timestamp, open, high, low, close, volume }))
+        .filter(candle => candle.timestamp + intervalMs <= now);
+};
+
+/**
+ * Merge candles into a sorted buffer (same open time replaces), trimmed to size
+ * @param {Candle[]} buffer updated in place
+ * @param {Candle[]} candles
+ * @param {number} size
+ * @returns {number} number of candles that were not in the buffer before
+ */
+export const mergeCandles = (buffer, candles, size) => {
+    let added = 0;
+    for (const candle of candles) {
+        const last = buffer[buffer.length - 1];
+        if (!last || candle.timestamp > last.timestamp) {
+            buffer.push(candle);
+            added++;
+            continue;
+        }
+        const index = buffer.findIndex(c => c.timestamp >= candle.timestamp);
+        if (buffer[index].timestamp === candle.timestamp) {
+            buffer[index] = candle;
+        } else {
+            buffer.splice(index, 0, candle);
+            added++;
+        }
+    }
+    if (buffer.length > size) buffer.splice(0, buffer.length - size);
+    return added;
+};
+
+/**
+ * Create a market data stream
+ * @param {import('./exchange.js').ExchangeAdapter} exchange used for REST backfill (and polling)
+ * @param {Object} options
+ * @param {string[]} options.symbols Binance ids
+ * @param {string} [options.timeframe='1m']
+ * @param {number} [options.bufferSize=500] closed candles kept per symbol
+ * @param {'websocket'|'poll'} [options.transport='websocket']
+ * @param {string} [options.baseUrl='wss://fstream.binance.com']
+ * @param {number} [options.streamsPerConnection=200] Binance caps combined streams per connection
+ * @param {number} [options.pollIntervalMs=5000]
+ * @param {number} [options.staleAfterMs=60000] reconnect a socket that has been silent this long
+ * @param {number} [options.maxReconnectDelayMs=60000]
+ * @returns {{start:() => Promise<void>, stop:() => void, on:(event:string, listener:Function) => void,
+ *            getCandles:(symbol:string) => Candle[], getMarkPrice:(symbol:string) => ({markPrice:number, fundingRate:number, nextFundingTime:number, timestamp:number}|undefined)}}
+ */
+export const createMarketStream = (exchange, {
+    symbols,
+    timeframe = '1m',
+    bufferSize = 500,
+    transport = 'websocket',
+    baseUrl = 'wss://fstream.binance.com',
+    streamsPerConnection = 200,
+    pollIntervalMs = 5000,
+    staleAfterMs = 60 * 1000,
+    maxReconnectDelayMs = 60 * 1000
+}) => {
+    const intervalMs = TIMEFRAME_MS[timeframe];
+    if (!intervalMs) throw new Error(`Unsupported timeframe: ${timeframe}`);
+
+    const events = new EventEmitter();
+    const ids = symbols.map(toBinanceSymbol);
+    const buffers = new Map(ids.map(id => [id, []]));
+    const markPrices = new Map();
+    const ready = new Set();
+    const connections = [];
+    let pollTimer = null;
+    let stopped = false;
+
+    /**
+     * Forward errors to listeners; an EventEmitter without 'error' listeners would throw
+     * @param {Error} error
+     */
+    const emitError = (error) => {
+        if (events.listenerCount('error') > 0) events.emit('error', error);
+    };
+
+    /**
+     * Emit the latest closed candle of a symbol
+     * @param {string} symbol
+     */
+    const emitCandle = (symbol) => {
+        const candles = buffers.get(symbol);
+        events.emit('candle', { symbol, candle: candles[candles.length - 1], candles });
+    };
+
+    /**
+     * Fill a symbol's buffer over REST (initial history and gaps after a disconnect)
+     * @param {string} symbol
+     * @returns {Promise<number>} candles added
+     */
+    const backfill = async (symbol) => {
+        const buffer = buffers.get(symbol);
+        const last = buffer[buffer.length - 1];
+        const missing = last ? Math.ceil((Date.now() - last.timestamp) / intervalMs) + 1 : bufferSize + 1;
+        const rows = await exchange.fetchOHLCV(symbol, timeframe, Math.min(bufferSize + 1, Math.max(missing, 2)));
+        const closed = toClosedCandles(rows, timeframe);
+        const previous = last?.timestamp;
+        const added = mergeCandles(buffer, closed, bufferSize);
+        ready.add(symbol);
+        if (added > 0 && previous !== undefined && buffer[buffer.length - 1].timestamp > previous) {
+            events.emit('backfill', { symbol, added });
+            emitCandle(symbol);
+        }
+        return added;
+    };
+
+    /**
+     * Backfill a list of symbols one after the other (REST weight stays low)
+     * @param {string[]} list
+     */
+    const backfillAll = async (list) => {
+        for (const symbol of list) {
+            if (stopped) return;
+            try {
+                await backfill(symbol);
+            } catch (error) {
+                emitError(new Error(`Failed to backfill ${symbol}: ${error.message}`));
+            }
+        }
+    };
+
+    // ────────────────────────────────────────────────
+    // WebSocket transport
+    // ────────────────────────────────────────────────
+
+    /**
+     * Handle one combined-stream payload
+     * @param {{stream:string, data:Object|Object[]}} message
+     */
+    const handleMessage = ({ stream, data }) => {
+        if (stream.startsWith('!markPrice')) {
+            for (const row of data) {
+                markPrices.set(row.s, {
+                    markPrice: Number(row.p),
+                    fundingRate: Number(row.r),
+                    nextFundingTime: Number(row.T),
+                    timestamp: Number(row.E)
+                });
+            }
+            return;
+        }
+        const kline = data.k;
+        if (!kline?.x || !buffers.has(data.s)) return; // only closed candles
+        mergeCandles(buffers.get(data.s), [{
+            timestamp: kline.t,
+            open: Number(kline.o),
+            high: Number(kline.h),
+            low: Number(kline.l),
+            close: Number(kline.c),
+            volume: Number(kline.v)
+        }], bufferSize);
+        if (ready.has(data.s)) emitCandle(data.s);
+    };
+
+    /**
+     * Open (and keep open) one combined-stream connection
+     * @param {string[]} streams stream names
+     * @param {string[]} streamSymbols symbols whose klines travel on this connection
+     */
+    const connect = (streams, streamSymbols) => {
+        const connection = { socket: null, attempts: 0, disconnectedAt: null, watchdog: null };
+        connections.push(connection);
+
+        const open = () => {
+            if (stopped) return;
+            const socket = new WebSocket(`${baseUrl}/stream?streams=${streams.join('/')}`);
+            connection.socket = socket;
+            let lastMessage = Date.now();
+
+            socket.on('open', () => {
+                connection.attempts = 0;
+                events.emit('connect', { streams: streams.length });
+                connection.watchdog = setInterval(() => {
+                    if (Date.now() - lastMessage > staleAfterMs) socket.terminate();
+                }, staleAfterMs / 4);
+                if (connection.disconnectedAt) {
+                    events.emit('reconnect', { streams: streams.length, gapMs: Date.now() - connection.disconnectedAt });
+                    connection.disconnectedAt = null;
+                    backfillAll(streamSymbols);
+                }
+            });
+            socket.on('message', (raw) => {
+                lastMessage = Date.now();
+                try {
+                    handleMessage(JSON.parse(raw));
+                } catch (error) {
+                    emitError(new Error(`Bad stream message: ${error.message}`));
+                }
+            });
+            socket.on('error', (error) => emitError(new Error(`Stream error: ${error.message}`)));
+            socket.on('close', () => {
+                clearInterval(connection.watchdog);
+                if (stopped) return;
+                connection.disconnectedAt ??= Date.now();
+                const delay = Math.min(maxReconnectDelayMs, 1000 * 2 ** connection.attempts++);
+                events.emit('disconnect', { streams: streams.length, retryInMs: delay });
+                setTimeout(open, delay);
+            });
+        };
+        open();
+    };
+
+    // ────────────────────────────────────────────────
+    // Poll transport
+    // ────────────────────────────────────────────────
+
+    /**
+     * One polling pass: new closed candles and funding for every symbol
+     */
+    const poll = async () => {
+        for (const symbol of ids) {
+            if (stopped) return;
+            try {
+                const [, funding, ticker] = await Promise.all([
+                    backfill(symbol),
+                    exchange.fetchFundingRate(symbol).catch(() => null),
+                    exchange.getTicker(symbol)
+                ]);
+                markPrices.set(symbol, {
+                    markPrice: ticker.last,
+                    fundingRate: funding?.fundingRate ?? 0,
+                    nextFundingTime: funding?.nextFundingTime ?? 0,
+                    timestamp: ticker.timestamp
+                });
+            } catch (error) {
+                emitError(new Error(`Failed to poll ${symbol}: ${error.message}`));
+            }
+        }
+    };
+
+    // ────────────────────────────────────────────────
+    // Lifecycle
+    // ────────────────────────────────────────────────
+
+    /**
+     * Load the initial history and start streaming
+     * @returns {Promise<void>}
+     */
+    const start = async () => {
+        stopped = false;
+        if (transport === 'poll') {
+            await poll();
+            const loop = async () => {
+                await poll();
+                if (!stopped) pollTimer = setTimeout(loop, pollIntervalMs);
+            };
+            pollTimer = setTimeout(loop, pollIntervalMs);
+            return;
+        }
+
+        // Sockets first so no close is lost while the history loads
+        connect(['!markPrice@arr@1s'], []);
+        for (let i = 0; i < ids.length; i += streamsPerConnection) {
+            const chunk = ids.slice(i, i + streamsPerConnection);
+            connect(chunk.map(id => `${id.toLowerCase()}@kline_${timeframe}`), chunk);
+        }
+        await backfillAll(ids);
+    };
+
+    /**
+     * Close every connection and stop polling
+     */
+    const stop = () => {
+        stopped = true;
+        clearTimeout(pollTimer);
+        for (const connection of connections) {
+            clearInterval(connection.watchdog);
+            connection.socket?.terminate();
+        }
+        connections.length = 0;
+    };
+
+    return {
+        start,
+        stop,
+        on: (event, listener) => events.on(event, listener),
+        getCandles: (symbol) => buffers.get(toBinanceSymbol(symbol)) || [],
+        getMarkPrice: (symbol) => markPrices.get(toBinanceSymbol(symbol))
+    };
+};
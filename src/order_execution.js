@@ -0,0 +1,216 @@
+/**
+ * Order submission with client order ids and status tracking
+ *
+ * Every order the bots send carries a client order id derived from what it is
+ * for – purpose, symbol, position side and the signal candle / trade it belongs
+ * to – so the same intent always gets the same id, after a restart too. Market
+ * entries and closes then go through submitOrder():
+ *  • ambiguous   a timeout, dropped connection or 5xx leaves the outcome unknown; the
+ *                order is looked up by its client id before anything is sent again,
+ *                and resent (same id) only when the exchange never took it
+ *  • repeated    an id the journal already holds is never sent blindly: executed →
+ *                refused, still pending / unknown → looked up first, refused /
+ *                canceled / expired → sent again
+ *  • states      submitted → new → partially-filled → filled, or canceled / rejected /
+ *                expired; every step is written to the journal's orders row, and an
+ *                order still open when the status checks run out is journaled
+ *                'pending' and left to reconciliation
+ *  • execution   filled quantity and average price from the exchange, fees from the
+ *                account trades of the order, and slippage against the ticker price
+ *                the order was sized with
+ * Settings come from the orders section: resendAttempts, statusChecks, statusIntervalMs.
+ */
+
+import { createHash } from 'node:crypto';
+import { classifyError } from './request_scheduler.js';
+
+// Binance accepts up to 36 of [.A-Za-z0-9:/_-]
+const MAX_CLIENT_ID = 36;
+
+const PURPOSE_TAGS = { entry: 'en', close: 'cl', 'partial-close': 'pc', 'stop-loss': 'sl', 'take-profit': 'tp' };
+
+// Order state → states it may move on to; the last four are final
+export const ORDER_TRANSITIONS = {
+    submitted: ['new', 'partially-filled', 'filled', 'canceled', 'rejected', 'expired'],
+    new: ['partially-filled', 'filled', 'canceled', 'rejected', 'expired'],
+    'partially-filled': ['partially-filled', 'filled', 'canceled', 'expired'],
+    filled: [],
+    canceled: [],
+    rejected: [],
+    expired: []
+};
+
+// Journal statuses of an order that may still be live on the exchange
+const UNSETTLED_STATUSES = ['submitted', 'new', 'partially-filled', 'pending', 'unknown'];
+
+// Binance order status → state
+const STATUS_STATES = {
+    NEW: 'new',
+    PARTIALLY_FILLED: 'partially-filled',
+    FILLED: 'filled',
+    CANCELED: 'canceled',
+    REJECTED: 'rejected',
+    EXPIRED: 'expired',
+    EXPIRED_IN_MATCH: 'expired'
+};
+
+/**
+ * Whether an order state is final
+ * @param {string} state
+ * @returns {boolean}
+ */
+export const isFinalState = (state) => ORDER_TRANSITIONS[state]?.length === 0;
+
+/**
+ * Client order id of an order intent: the same inputs always give the same id
+ * @param {Object} intent
+ * @param {keyof PURPOSE_TAGS} intent.purpose
+ * @param {string} intent.symbol
+ * @param {string} intent.positionSide
+ * @param {string|number} intent.key what makes the intent unique: signal id, trade id and size, …
+ * @returns {string} e.g. en-BTCUSDT-4f1c0a9e2b7d6c31
+ */
+export const createClientOrderId = ({ purpose, symbol, positionSide, key }) => {
+    const prefix = `${PURPOSE_TAGS[purpose] ?? 'ot'}-${symbol.slice(0, 20)}-`;
+    const digest = createHash('sha256').update(`${purpose}|${symbol}|${positionSide}|${key}`).digest('hex');
+    return prefix + digest.slice(0, MAX_CLIENT_ID - prefix.length);
+};
+
+/**
+ * Whether the exchange answered that it does not know the order
+ * @param {Error & {apiCode?:number}} error
+ * @returns {boolean}
+ */
+const isUnknownOrder = (error) => error.apiCode === -2013 || /-2013\b/.test(error.message);
+
+/**
+ * @typedef {Object} OrderExecution
+ * @property {string} clientOrderId
+ * @property {string|number} orderId
+ * @property {string} state          last state reached (final unless the status checks ran out)
+ * @property {number} executedQty    0 when nothing executed yet: the order may still fill later
+ * @property {number} avgPrice       0 when nothing executed
+ * @property {number|null} commission fees of the fills, null when the account trades could not be read
+ * @property {number|null} slippage  fill price against the reference price, positive = worse
+ * @property {import('./exchange.js').Order} order last order row read from the exchange
+ */
+
+/**
+ * Send an order under its client order id and follow it to a final state
+ * @param {Object} input
+ * @param {import('./exchange.js').ExchangeAdapter} input.exchange
+ * @param {ReturnType<import('./journal.js').openJournal>} [input.journal]
+ * @param {Object} input.order createOrder() argument
+ * @param {'entry'|'close'|'partial-close'} input.purpose
+ * @param {string} input.clientOrderId from createClientOrderId()
+ * @param {number} input.referencePrice ticker price the order was sized with
+ * @param {number} [input.tradeId]
+ * @param {{resendAttempts:number, statusChecks:number, statusIntervalMs:number}} input.settings orders section
+ * @param {(ms:number) => Promise<void>} [input.sleep]
+ * @returns {Promise<OrderExecution>} rejects when the order was refused, already executed, or its outcome stayed unknown
+ */
+export const submitOrder = async ({ exchange, journal, order, purpose, clientOrderId, referencePrice, tradeId, settings, sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)) }) => {
+    const { symbol, side, positionSide, type = 'MARKET', quantity } = order;
+    const previous = journal?.getOrder(clientOrderId);
+    if (previous?.filled_quantity > 0 || previous?.status === 'filled') {
+        throw new Error(`Order ${clientOrderId} was already executed (${previous.status})`);
+    }
+    let state = 'submitted';
+
+    /**
+     * Move to the state of an order row read from the exchange; answers older than the current state are ignored
+     * @param {import('./exchange.js').Order} row
+     */
+    const advance = (row) => {
+        const next = STATUS_STATES[row.status];
+        if (!next || (next !== state && !ORDER_TRANSITIONS[state].includes(next))) return;
+        state = next;
+        journal?.updateOrder(clientOrderId, {
+            status: state,
+            orderId: row.orderId,
+            filledQuantity: Number(row.executedQty) || 0,
+            avgPrice: Number(row.avgPrice) || undefined
+        });
+    };
+
+    /**
+     * Look the order up by its client id, waiting statusIntervalMs before every check
+     * @returns {Promise<import('./exchange.js').Order|null|undefined>} null when the exchange never took it, undefined when it could not tell
+     */
+    const lookup = async () => {
+        for (let check = 0; check < settings.statusChecks; check++) {
+            await sleep(settings.statusIntervalMs);
+            try {
+                return await exchange.getOrder(symbol, { clientOrderId });
+            } catch (error) {
+                if (isUnknownOrder(error)) return null;
+            }
+        }
+        return undefined;
+    };
+
+    let row;
+    if (UNSETTLED_STATUSES.includes(previous?.status)) {
+        // Sent before (a restart or retry of the same intent): its journal row is reused, and
+        // the order resent only when the exchange never took it
+        row = await lookup();
+        if (row === undefined) throw new Error(`Order ${clientOrderId} status unknown: sent before, lookup failed`);
+    } else {
+        journal?.recordOrder({ symbol, side, positionSide, type, purpose, quantity, price: referencePrice, status: state, tradeId, clientOrderId });
+    }
+    for (let attempt = 0; !row; attempt++) {
+        try {
+            row = await exchange.createOrder({ ...order, clientOrderId });
+        } catch (error) {
+            if (classifyError(error) !== 'transient') {
+                state = 'rejected';
+                journal?.updateOrder(clientOrderId, { status: state });
+                throw error;
+            }
+            // The exchange may have taken it before the answer got lost
+            const found = await lookup();
+            if (found) {
+                row = found;
+            } else if (found === undefined || attempt >= settings.resendAttempts) {
+                journal?.updateOrder(clientOrderId, { status: 'unknown' });
+                throw new Error(`Order ${clientOrderId} status unknown: ${error.message}`);
+            }
+        }
+    }
+    advance(row);
+
+    // Market orders are acknowledged as NEW and fill right after
+    for (let check = 0; !isFinalState(state) && check < settings.statusChecks; check++) {
+        await sleep(settings.statusIntervalMs);
+        try {
+            row = await exchange.getOrder(symbol, { clientOrderId });
+            advance(row);
+        } catch {
+            // Checked again on the next round
+        }
+    }
+
+    const executedQty = Number(row.executedQty) || 0;
+    if (executedQty === 0 && isFinalState(state)) {
+        throw new Error(`Order ${clientOrderId} ${state} without a fill`);
+    }
+    // Still open on the exchange: later fills are picked up by reconciliation, not counted here
+    if (!isFinalState(state)) journal?.updateOrder(clientOrderId, { status: 'pending' });
+    const avgPrice = Number(row.avgPrice) || 0;
+    let commission = null;
+    if (executedQty > 0) {
+        try {
+            const trades = await exchange.getUserTrades(symbol, 100);
+            commission = trades
+                .filter(trade => String(trade.orderId) === String(row.orderId))
+                .reduce((total, trade) => total + Number(trade.commission), 0);
+        } catch {
+            // Fees stay unknown; the fill itself is recorded
+        }
+    }
+    const slippage = avgPrice > 0 && referencePrice > 0
+        ? (side === 'BUY' ? avgPrice - referencePrice : referencePrice - avgPrice) / referencePrice
+        : null;
+    journal?.updateOrder(clientOrderId, { commission: commission ?? undefined, slippage: slippage ?? undefined });
+    return { clientOrderId, orderId: row.orderId, state, executedQty, avgPrice, commission, slippage, order: row };
+};
@@ -0,0 +1,190 @@
+/**
+ * Paper-trading exchange adapter
+ *
+ * Reads market data (tickers, candles, funding, exchange info) from a real
+ * source — live Binance or recorded candles — while orders, margin changes and
+ * funding settle on a simulated ledger. The ledger (virtual balance, open
+ * positions, fills and realized PnL) is persisted to a JSON file after every
+ * change and reloaded when another process (scanner vs. manager) wrote it,
+ * so both bots share one paper account and survive restarts.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, statSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { createSimulatedExchange } from './simulated_exchange.js';
+
+/**
+ * Create a paper-trading adapter
+ * @param {Object} options
+ * @param {import('./exchange.js').ExchangeAdapter} options.marketData adapter used for all market data reads
+ * @param {string} options.ledgerFile JSON file holding the paper account
+ * @param {number} [options.balance=1000] virtual USDT balance for a new ledger
+ * @param {number} [options.takerFee=0.0005]
+ * @returns {import('./exchange.js').ExchangeAdapter & {getLedgerSummary: () => Object}}
+ */
+export const createPaperExchange = ({ marketData, ledgerFile, balance = 1000, takerFee = 0.0005 }) => {
+    const ledger = createSimulatedExchange({ balance, takerFee });
+    let loadedAt = 0;
+    let initialBalance = balance;
+
+    // ────────────────────────────────────────────────
+    // Ledger persistence
+    // ────────────────────────────────────────────────
+
+    /**
+     * Reload the ledger if the file changed since we last read or wrote it
+     */
+    const load = () => {
+        if (!existsSync(ledgerFile)) return;
+        const { mtimeMs } = statSync(ledgerFile);
+        if (mtimeMs <= loadedAt) return;
+        const saved = JSON.parse(readFileSync(ledgerFile, 'utf8'));
+        initialBalance = saved.initialBalance;
+        ledger.importState(saved.state);
+        loadedAt = mtimeMs;
+    };
+
+    /**
+     * Write the ledger atomically (temp file + rename)
+     */
+    const save = () => {
+        mkdirSync(dirname(ledgerFile), { recursive: true });
+        const tempFile = `${ledgerFile}.tmp`;
+        writeFileSync(tempFile, JSON.stringify({ initialBalance, updatedAt: Date.now(), state: ledger.exportState() }, null, 2));
+        renameSync(tempFile, ledgerFile);
+        loadedAt = statSync(ledgerFile).mtimeMs;
+    };
+
+    ledger.on('funding', save);
+    ledger.on('liquidation', save);
+    // Resting stop / take-profit orders fill during price refreshes
+    ledger.on('order', (order) => {
+        if (order.conditional && order.status !== 'NEW') save();
+    });
+
+    /**
+     * Bring the ledger's mark price (and funding schedule) for a symbol up to date
+     * with the market data source. Funding that fell due since the last refresh is
+     * settled at the previously known rate before the new schedule is applied.
+     * @param {string} symbol
+     */
+    const refreshMarket = async (symbol) => {
+        const [ticker, funding] = await Promise.all([
+            marketData.getTicker(symbol),
+            marketData.fetchFundingRate(symbol).catch(() => null)
+        ]);
+        ledger.setMarket(symbol, { price: ticker.last });
+        if (funding) ledger.setMarket(symbol, { fundingRate: funding.fundingRate, nextFundingTime: funding.nextFundingTime });
+    };
+
+    /**
+     * Refresh every symbol that currently has an open paper position
+     */
+    const refreshOpenPositions = async () => {
+        const state = ledger.exportState();
+        const symbols = [...new Set(state.positions.map(position => position.symbol))];
+        await Promise.all(symbols.map(refreshMarket));
+    };
+
+    load();
+    if (!existsSync(ledgerFile)) save();
+
+    // ────────────────────────────────────────────────
+    // Adapter interface
+    // ────────────────────────────────────────────────
+
+    const ensureMarket = async (symbol) => {
+        if (!ledger.hasMarket(symbol)) await refreshMarket(symbol);
+    };
+
+    return {
+        name: 'paper',
+        getBalance: async () => {
+            load();
+            return ledger.getBalance();
+        },
+        getPositions: async (symbol) => {
+            load();
+            await refreshOpenPositions();
+            if (symbol) await ensureMarket(symbol);
+            return ledger.getPositions(symbol);
+        },
+        getTicker: (symbol) => marketData.getTicker(symbol),
+        fetchOHLCV: (symbol, timeframe, limit) => marketData.fetchOHLCV(symbol, timeframe, limit),
+        fetchFundingRate: (symbol) => marketData.fetchFundingRate(symbol),
+        getPremiumIndex: () => marketData.getPremiumIndex(),
+        get24hTickers: () => marketData.get24hTickers(),
+        getOpenInterest: (symbol) => marketData.getOpenInterest(symbol),
+        getBookTickers: () => marketData.getBookTickers(),
+        getExchangeInfo: () => marketData.getExchangeInfo(),
+        getLeverageBrackets: (symbol) => marketData.getLeverageBrackets(symbol),
+        getAllLeverageBrackets: () => marketData.getAllLeverageBrackets(),
+        setLeverage: async (symbol, leverage) => {
+            load();
+            await ensureMarket(symbol);
+            await ledger.setLeverage(symbol, leverage);
+            save();
+        },
+        setMarginType: async (symbol, marginType) => {
+            load();
+            await ensureMarket(symbol);
+            await ledger.setMarginType(symbol, marginType);
+            save();
+        },
+        isHedgeMode: () => ledger.isHedgeMode(),
+        createOrder: async (order) => {
+            load();
+            await refreshMarket(order.symbol);
+            const result = await ledger.createOrder(order);
+            save();
+            return result;
+        },
+        getOrder: async (symbol, query) => {
+            load();
+            return ledger.getOrder(symbol, query);
+        },
+        getOpenOrders: async (symbol) => {
+            load();
+            return ledger.getOpenOrders(symbol);
+        },
+        cancelOrder: async (order) => {
+            load();
+            const result = await ledger.cancelOrder(order);
+            save();
+            return result;
+        },
+        addPositionMargin: async (symbol, amount, positionSide) => {
+            load();
+            await refreshMarket(symbol);
+            const result = await ledger.addPositionMargin(symbol, amount, positionSide);
+            save();
+            return result;
+        },
+        getUserTrades: async (symbol, limit) => {
+            load();
+            return ledger.getUserTrades(symbol, limit);
+        },
+
+        /**
+         * Ledger events ('order', 'liquidation', 'funding', 'margin') of this process
+         * @param {string} event
+         * @param {Function} listener
+         */
+        on: (event, listener) => ledger.on(event, listener),
+
+        /**
+         * Virtual account overview for console / Telegram reporting
+         * @returns {{initialBalance:number, balance:number, realizedPnl:number, commission:number, funding:number, openPositions:number}}
+         */
+        getLedgerSummary: () => {
+            load();
+            const state = ledger.exportState();
+            return {
+                initialBalance,
+                balance: state.cash,
+                ...state.totals,
+                openPositions: state.positions.length
+            };
+        }
+    };
+};
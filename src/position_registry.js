@@ -0,0 +1,110 @@
+/**
+ * Position registry: the journal's open trades matched against the exchange
+ *
+ * The scanner records every position it opens with its entry context (signal,
+ * indicators, funding rate, open time – origin 'scanner'). At startup and at
+ * every reconciliation the manager matches the exchange positions against it:
+ *  • known     an open trade exists – exit logic resumes with the exit-rule state
+ *              persisted in the journal; a size changed outside the bots is synced
+ *  • unknown   no open trade (opened by hand, or while the journal was unavailable):
+ *              recorded with the open time rebuilt from the account trade history,
+ *              then adopted (managed like the scanner's) or flagged 'manual' and left
+ *              alone, per manager.unknownPositions
+ *  • vanished  open trades without a position are closed by journal.reconcile()
+ * Open regular orders on symbols without a position are reported, never canceled;
+ * orphaned stop-loss / take-profit orders are handled by src/protective_orders.js.
+ */
+
+// Positions younger than this may still be waiting for the scanner's journal entry
+const UNKNOWN_GRACE_MS = 60 * 1000;
+
+/**
+ * Rebuild when a position was opened from the account's trade history: walk back
+ * from the newest fill until the signed quantity is used up
+ * @param {Object[]} trades futuresUserTrades() rows
+ * @param {{positionSide:string, positionAmt:string|number}} position
+ * @returns {{openedAt:number, exact:boolean}|null} exact = false when the history ends first
+ */
+export const estimateOpenTime = (trades, position) => {
+    const fills = trades
+        .filter(trade => position.positionSide === 'BOTH' || trade.positionSide === position.positionSide)
+        .sort((a, b) => b.time - a.time);
+    if (fills.length === 0) return null;
+    const amount = Number(position.positionAmt);
+    let left = amount;
+    for (const fill of fills) {
+        left -= Number(fill.qty) * (fill.side === 'BUY' ? 1 : -1);
+        // Used up, or flipped through zero (one-way mode reversal)
+        if (Math.abs(left) <= Math.abs(amount) * 1e-9 || Math.sign(left) !== Math.sign(amount)) {
+            return { openedAt: fill.time, exact: true };
+        }
+    }
+    return { openedAt: fills[fills.length - 1].time, exact: false };
+};
+
+/**
+ * @typedef {Object} RegistryReport
+ * @property {Object[]} resumed     positions with an open trade: {position, trade}
+ * @property {Object[]} adopted     unknown positions taken over: {position, openedAt, exact}
+ * @property {Object[]} flagged     unknown positions left alone: {position, openedAt, exact}
+ * @property {Object[]} resized     {position, from, to} journal size synced to the exchange
+ * @property {Object[]} strayOrders open regular orders on symbols without a position
+ */
+
+/**
+ * Match the open positions against the journal, recording unknown ones
+ * @param {Object} input
+ * @param {import('./exchange.js').ExchangeAdapter} input.exchange
+ * @param {ReturnType<import('./journal.js').openJournal>} input.journal
+ * @param {Object[]} input.positions open futuresPositionRisk() rows
+ * @param {import('./exchange.js').Order[]} [input.openOrders]
+ * @param {'adopt'|'flag'} input.unknownPositions manager.unknownPositions
+ * @param {number} [input.now]
+ * @returns {Promise<RegistryReport>}
+ */
+export const reconcileRegistry = async ({ exchange, journal, positions, openOrders = [], unknownPositions, now = Date.now() }) => {
+    const report = { resumed: [], adopted: [], flagged: [], resized: [], strayOrders: [] };
+
+    for (const position of positions) {
+        const { symbol, positionSide } = position;
+        const quantity = Math.abs(Number(position.positionAmt));
+        const trade = journal.getOpenTrade(symbol, positionSide);
+
+        if (trade) {
+            if (trade.origin === 'manual' && unknownPositions === 'adopt') {
+                journal.updateOpenTrade(symbol, positionSide, { origin: 'adopted' });
+                report.adopted.push({ position, openedAt: trade.opened_at, exact: true });
+                continue;
+            }
+            if (Math.abs(trade.remaining - quantity) > quantity * 1e-9) {
+                journal.updateOpenTrade(symbol, positionSide, { remaining: quantity });
+                report.resized.push({ position, from: trade.remaining, to: quantity });
+            }
+            report.resumed.push({ position, trade });
+            continue;
+        }
+        if (now - Number(position.updateTime || 0) < UNKNOWN_GRACE_MS) continue;
+
+        let opened = null;
+        try {
+            opened = estimateOpenTime(await exchange.getUserTrades(symbol, 1000), position);
+        } catch {
+            // Recorded with the current time below
+        }
+        const origin = unknownPositions === 'adopt' ? 'adopted' : 'manual';
+        journal.openTrade({ symbol, positionSide, quantity, entryPrice: Number(position.entryPrice), origin, openedAt: opened?.openedAt ?? now });
+        report[origin === 'adopted' ? 'adopted' : 'flagged'].push({ position, openedAt: opened?.openedAt ?? now, exact: opened?.exact ?? false });
+    }
+
+    const held = new Set(positions.map(position => position.symbol));
+    report.strayOrders = openOrders.filter(order => !order.conditional && !held.has(order.symbol));
+    return report;
+};
+
+/**
+ * Whether the manager may act on a position: flagged manual positions are left alone
+ * @param {ReturnType<import('./journal.js').openJournal>} journal
+ * @param {{symbol:string, positionSide:string}} position
+ * @returns {boolean}
+ */
+export const isManaged = (journal, position) => journal.getOpenTrade(position.symbol, position.positionSide)?.origin !== 'manual';
@@ -0,0 +1,106 @@
+/**
+ * Position sizing for the entry scanner
+ *
+ * Sizing modes (scanner.sizing.mode):
+ *  • fixed   margin = scanner.positionUsdt (the original behaviour)
+ *  • equity  margin = equity × sizing.equityPct
+ *  • risk    quantity = equity × sizing.riskPct / stop distance, where the stop
+ *            distance is the ATR stop of the brackets (stopLossAtr × ATR), so a
+ *            stop-out loses about riskPct of equity
+ *
+ * Leverage is scanner.leverage, lowered when the position's notional falls in a
+ * leverage bracket that does not allow it. The quantity is rounded down to the
+ * symbol's stepSize and checked against minQty / maxQty / minNotional.
+ */
+
+import { roundToStep } from './symbol_metadata.js';
+
+/**
+ * @typedef {Object} QuantityFilters
+ * @property {number} stepSize
+ * @property {number} minQty
+ * @property {number} maxQty
+ * @property {number} minNotional
+ */
+
+/**
+ * Quantity filters of a market entry order
+ * @param {import('./symbol_metadata.js').SymbolMetadata} meta
+ * @returns {QuantityFilters}
+ */
+export const getQuantityFilters = (meta) => ({ ...meta.marketLot, minNotional: meta.minNotional });
+
+/**
+ * @typedef {Object} PositionSize
+ * @property {number} quantity  rounded order quantity
+ * @property {number} notional  quantity × price
+ * @property {number} margin    notional / leverage
+ * @property {number} leverage
+ * @property {number} [riskUsdt] loss at the stop (risk mode)
+ */
+
+/**
+ * Highest leverage the exchange allows for a notional
+ * @param {import('./exchange.js').LeverageBracket[]} brackets
+ * @param {number} notional
+ * @returns {number}
+ */
+export const maxLeverageFor = (brackets, notional) => {
+    const bracket = brackets.find(b => notional >= Number(b.notionalFloor) && notional < Number(b.notionalCap))
+        || brackets[brackets.length - 1];
+    return Number(bracket.initialLeverage);
+};
+
+/**
+ * Size a new position
+ * @param {Object} input
+ * @param {'fixed'|'equity'|'risk'} input.mode
+ * @param {number} input.price entry price
+ * @param {number} input.equity account equity in USDT (equity / risk modes)
+ * @param {number} input.leverage configured (maximum) leverage
+ * @param {number} [input.positionUsdt] margin of the fixed mode
+ * @param {number} [input.equityPct] margin fraction of the equity mode
+ * @param {number} [input.riskPct] equity fraction lost at the stop (risk mode)
+ * @param {number} [input.stopDistance] price distance to the stop (risk mode)
+ * @param {import('./exchange.js').LeverageBracket[]} input.brackets
+ * @param {QuantityFilters} input.filters
+ * @returns {PositionSize}
+ */
+export const computePositionSize = ({ mode, price, equity, leverage, positionUsdt, equityPct, riskPct, stopDistance, brackets, filters }) => {
+    let notional;
+    switch (mode) {
+        case 'fixed':
+            notional = positionUsdt * leverage;
+            break;
+        case 'equity':
+            notional = equity * equityPct * leverage;
+            break;
+        case 'risk':
+            if (!(stopDistance > 0)) throw new Error('no stop distance (ATR) for risk sizing');
+            notional = equity * riskPct / stopDistance * price;
+            break;
+        default:
+            throw new Error(`Unknown sizing mode: ${mode}`);
+    }
+
+    // Margin-based modes keep their margin and give up notional when the bracket caps the leverage
+    const allowed = Math.min(leverage, maxLeverageFor(brackets, notional));
+    if (mode !== 'risk' && allowed < leverage) notional = notional / leverage * allowed;
+
+    const quantity = roundToStep(Math.min(notional / price, filters.maxQty), filters.stepSize);
+    if (quantity <= 0 || quantity < filters.minQty) {
+        throw new Error(`quantity ${quantity} is below the minimum of ${filters.minQty}`);
+    }
+    const finalNotional = quantity * price;
+    if (finalNotional < filters.minNotional) {
+        throw new Error(`notional ${finalNotional.toFixed(2)} USDT is below the minimum of ${filters.minNotional}`);
+    }
+    const finalLeverage = Math.min(leverage, maxLeverageFor(brackets, finalNotional));
+    return {
+        quantity,
+        notional: finalNotional,
+        margin: finalNotional / finalLeverage,
+        leverage: finalLeverage,
+        ...(mode === 'risk' && { riskUsdt: quantity * stopDistance })
+    };
+};
@@ -0,0 +1,190 @@
+/**
+ * Protective stop-loss / take-profit brackets
+ *
+ * Every position gets two exchange-side conditional orders with closePosition
+ * semantics, so it stays protected even when the manager loop is slow or down:
+ *  • STOP_MARKET          at the configured loss
+ *  • TAKE_PROFIT_MARKET   at the configured gain
+ * Distances are either a percentage of the position margin or ATR multiples.
+ *
+ * The scanner places the brackets right after an entry fills; the manager
+ * re-places missing ones and cancels brackets left behind by closed positions.
+ */
+
+import { calculateLatestATR } from './signals.js';
+import { roundToTick } from './symbol_metadata.js';
+import { createClientOrderId } from './order_execution.js';
+
+export const BRACKET_CONFIG = {
+    enabled: true,
+    mode: 'margin',             // 'margin' → percentages of margin, 'atr' → ATR multiples
+    stopLossPct: 0.5,           // stop at −50% of the position margin
+    takeProfit: true,           // set false with the 'ladder' / 'trailing' exit profiles,
+                                // whose partial closes and runner a closePosition TP would cut short
+    takeProfitPct: 0.03,        // take profit at +3% of the margin (the manager's target)
+    atrPeriod: 14,
+    atrTimeframe: '1m',
+    stopLossAtr: 3,
+    takeProfitAtr: 2,
+    workingType: 'MARK_PRICE'
+};
+
+const BRACKET_TYPES = ['STOP_MARKET', 'TAKE_PROFIT_MARKET'];
+
+/**
+ * Bracket types enabled by a config
+ * @param {typeof BRACKET_CONFIG} config
+ * @returns {string[]}
+ */
+const enabledTypes = (config) => config.takeProfit === false ? ['STOP_MARKET'] : BRACKET_TYPES;
+
+// ────────────────────────────────────────────────
+// Price helpers
+// ────────────────────────────────────────────────
+
+/**
+ * Stop-loss and take-profit trigger prices for a position
+ * @param {{amount:number, entryPrice:number, margin:number, atr?:number}} position amount is signed (negative = short)
+ * @param {typeof BRACKET_CONFIG} config
+ * @returns {{stopLoss:number, takeProfit:number}}
+ */
+export const computeBracketPrices = ({ amount, entryPrice, margin, atr }, config) => {
+    const direction = Math.sign(amount);
+    const quantity = Math.abs(amount);
+    const [stopDistance, profitDistance] = config.mode === 'atr'
+        ? [atr * config.stopLossAtr, atr * config.takeProfitAtr]
+        : [margin * config.stopLossPct / quantity, margin * config.takeProfitPct / quantity];
+    return {
+        stopLoss: entryPrice - direction * stopDistance,
+        takeProfit: entryPrice + direction * profitDistance
+    };
+};
+
+/**
+ * Margin backing a futuresPositionRisk() row
+ * @param {Object} position
+ * @returns {number}
+ */
+const getPositionMargin = (position) => Number(position.isolatedWallet)
+    || Number(position.initialMargin)
+    || Math.abs(Number(position.notional || 0)) / Number(position.leverage || 1);
+
+// ────────────────────────────────────────────────
+// Bracket management
+// ────────────────────────────────────────────────
+
+/**
+ * Open conditional close orders that belong to a position
+ * @param {import('./exchange.js').Order[]} openOrders
+ * @param {{symbol:string, positionSide:string}} position
+ * @returns {{stopLoss?:Object, takeProfit?:Object}}
+ */
+export const findBrackets = (openOrders, position) => {
+    const own = openOrders.filter(order => order.symbol === position.symbol
+        && order.positionSide === position.positionSide
+        && (order.closePosition === true || order.closePosition === 'true' || order.reduceOnly === true || order.reduceOnly === 'true'));
+    return {
+        stopLoss: own.find(order => order.type === 'STOP_MARKET'),
+        takeProfit: own.find(order => order.type === 'TAKE_PROFIT_MARKET')
+    };
+};
+
+/**
+ * Place the missing stop-loss / take-profit orders of a position
+ * @param {import('./exchange.js').ExchangeAdapter} exchange
+ * @param {Object} position futuresPositionRisk() row
+ * @param {typeof BRACKET_CONFIG} config
+ * @param {Object} options
+ * @param {ReturnType<typeof import('./symbol_metadata.js').createSymbolMetadata>} options.symbolMetadata trigger prices are rounded to its tick size
+ * @param {string[]} [options.types] bracket types to place
+ * @returns {Promise<{stopLoss:number, takeProfit:number, orders:Object[]}>}
+ */
+export const placeBrackets = async (exchange, position, config, { symbolMetadata, types = enabledTypes(config) }) => {
+    const amount = Number(position.positionAmt);
+    let atr;
+    if (config.mode === 'atr') {
+        const ohlcv = await exchange.fetchOHLCV(position.symbol, config.atrTimeframe, config.atrPeriod * 3 + 1);
+        atr = calculateLatestATR(ohlcv.map(([, , high, low, close]) => ({ high, low, close })), config.atrPeriod);
+    }
+
+    const { tickSize } = await symbolMetadata.lookup(position.symbol);
+    const prices = computeBracketPrices({
+        amount,
+        entryPrice: Number(position.entryPrice),
+        margin: getPositionMargin(position),
+        atr
+    }, config);
+    const stopLoss = roundToTick(prices.stopLoss, tickSize);
+    const takeProfit = roundToTick(prices.takeProfit, tickSize);
+
+    const orders = [];
+    for (const type of types) {
+        const stopPrice = type === 'STOP_MARKET' ? stopLoss : takeProfit;
+        orders.push(await exchange.createOrder({
+            symbol: position.symbol,
+            side: amount > 0 ? 'SELL' : 'BUY',
+            type,
+            positionSide: position.positionSide,
+            stopPrice,
+            closePosition: true,
+            workingType: config.workingType,
+            // The same bracket of the same position is refused while the first one is still open
+            clientOrderId: createClientOrderId({
+                purpose: type === 'STOP_MARKET' ? 'stop-loss' : 'take-profit',
+                symbol: position.symbol,
+                positionSide: position.positionSide,
+                key: `${position.positionAmt}:${position.entryPrice}:${stopPrice}`
+            })
+        }));
+    }
+    return { stopLoss, takeProfit, orders };
+};
+
+/**
+ * Re-place brackets that are missing on open positions
+ * @param {import('./exchange.js').ExchangeAdapter} exchange
+ * @param {Object[]} openPositions non-zero futuresPositionRisk() rows
+ * @param {import('./exchange.js').Order[]} openOrders
+ * @param {typeof BRACKET_CONFIG|((position:Object) => typeof BRACKET_CONFIG)} config one config, or a per-position lookup
+ * @param {Object} options
+ * @param {ReturnType<typeof import('./symbol_metadata.js').createSymbolMetadata>} options.symbolMetadata
+ * @returns {Promise<Array<{position:Object, types:string[], stopLoss?:number, takeProfit?:number, error?:string}>>}
+ */
+export const ensureBrackets = async (exchange, openPositions, openOrders, config, { symbolMetadata }) => {
+    const configFor = typeof config === 'function' ? config : () => config;
+    const results = [];
+    for (const position of openPositions) {
+        const positionConfig = configFor(position);
+        if (!positionConfig.enabled) continue;
+        const { stopLoss, takeProfit } = findBrackets(openOrders, position);
+        const types = enabledTypes(positionConfig).filter(type => type === 'STOP_MARKET' ? !stopLoss : !takeProfit);
+        if (types.length === 0) continue;
+        try {
+            const placed = await placeBrackets(exchange, position, positionConfig, { symbolMetadata, types });
+            results.push({ position, types, stopLoss: placed.stopLoss, takeProfit: placed.takeProfit });
+        } catch (error) {
+            results.push({ position, types, error: error.message });
+        }
+    }
+    return results;
+};
+
+/**
+ * Cancel bracket orders whose position no longer exists
+ * @param {import('./exchange.js').ExchangeAdapter} exchange
+ * @param {Object[]} openPositions non-zero futuresPositionRisk() rows
+ * @param {import('./exchange.js').Order[]} openOrders
+ * @returns {Promise<Object[]>} canceled orders
+ */
+export const cancelOrphanedBrackets = async (exchange, openPositions, openOrders) => {
+    const held = new Set(openPositions.map(position => `${position.symbol}:${position.positionSide}`));
+    const canceled = [];
+    for (const order of openOrders) {
+        if (!BRACKET_TYPES.includes(order.type)) continue;
+        if (held.has(`${order.symbol}:${order.positionSide}`)) continue;
+        const { stopLoss, takeProfit } = findBrackets([order], order);
+        if (!stopLoss && !takeProfit) continue;
+        canceled.push(await exchange.cancelOrder(order));
+    }
+    return canceled;
+};
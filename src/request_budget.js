@@ -0,0 +1,143 @@
+/**
+ * Shared request budget of the Binance REST API
+ *
+ * Binance limits every IP to a request weight per minute (2400 on USDT-M
+ * futures) and every account to an order count per 10 seconds and per minute.
+ * The budget keeps the rolling count of what a process spent against them; the
+ * request scheduler (src/request_scheduler.js) decides which call goes next and
+ * asks the budget whether it fits:
+ *  • weightPerMinute   rolling one-minute cap, kept below the exchange limit for
+ *                      the websocket backfills and anything else on the same IP;
+ *                      raised to the X-MBX-USED-WEIGHT-1M header, which also
+ *                      counts the IP's other clients
+ *  • reservePct        share only critical calls (orders, account reads) may use, so
+ *                      a close never waits for a scan
+ *  • ordersPer10s / ordersPerMinute  new orders, raised to the X-MBX-ORDER-COUNT headers
+ */
+
+const MINUTE = 60 * 1000;
+const TEN_SECONDS = 10 * 1000;
+
+/**
+ * @typedef {Object} BudgetUsage
+ * @property {number} weight  weight used in the last minute (the higher of the local count and the header)
+ * @property {number} limit   rateLimit.weightPerMinute
+ * @property {{tenSeconds:number, minute:number}} orders new orders counted the same way
+ */
+
+/**
+ * Create a request budget
+ * @param {Object} options
+ * @param {() => {weightPerMinute:number, reservePct:number, ordersPer10s:number, ordersPerMinute:number}} options.getSettings
+ *        rateLimit section, read on every check
+ * @param {() => number} [options.now]
+ * @returns {{fits:(weight:number, options?:{critical?:boolean, orders?:number}) => boolean,
+ *            spend:(weight:number, orders?:number) => void, untilRelease:() => number,
+ *            report:(headers:Object<string, string>) => void, getUsage:() => BudgetUsage}}
+ */
+export const createRequestBudget = ({ getSettings, now = Date.now }) => {
+    // Weight and new orders spent inside the rolling windows, oldest first
+    const spent = [];
+    const placed = [];
+    // Last header values, for the window they were reported in
+    const reported = { weight: 0, weightWindow: -1, orders10s: 0, orders10sWindow: -1, orders1m: 0, orders1mWindow: -1 };
+    let used = 0;
+
+    /**
+     * Drop the requests that left their window
+     */
+    const prune = () => {
+        while (spent.length > 0 && now() - spent[0].at >= MINUTE) {
+            used -= spent.shift().weight;
+        }
+        while (placed.length > 0 && now() - placed[0] >= MINUTE) {
+            placed.shift();
+        }
+    };
+
+    /**
+     * Weight and orders in use: the local count, or the exchange's when higher
+     * @returns {{weight:number, orders10s:number, orders1m:number}}
+     */
+    const inUse = () => {
+        prune();
+        const at = now();
+        const current = (value, window, size) => (window === Math.floor(at / size) ? value : 0);
+        return {
+            weight: Math.max(used, current(reported.weight, reported.weightWindow, MINUTE)),
+            orders10s: Math.max(placed.filter(time => at - time < TEN_SECONDS).length, current(reported.orders10s, reported.orders10sWindow, TEN_SECONDS)),
+            orders1m: Math.max(placed.length, current(reported.orders1m, reported.orders1mWindow, MINUTE))
+        };
+    };
+
+    /**
+     * Whether a request fits the budget now
+     * @param {number} weight
+     * @param {Object} [options]
+     * @param {boolean} [options.critical=false] may use the reserved share
+     * @param {number} [options.orders=0] new orders the request places
+     * @returns {boolean}
+     */
+    const fits = (weight, { critical = false, orders = 0 } = {}) => {
+        const { weightPerMinute, reservePct, ordersPer10s, ordersPerMinute } = getSettings();
+        const usage = inUse();
+        const limit = critical ? weightPerMinute : weightPerMinute * (1 - reservePct);
+        // A request heavier than the whole budget still goes out on an empty window
+        const weightFits = usage.weight + weight <= limit || usage.weight === 0;
+        const ordersFit = orders === 0
+            || (usage.orders10s + orders <= ordersPer10s && usage.orders1m + orders <= ordersPerMinute);
+        return weightFits && ordersFit;
+    };
+
+    /**
+     * Count a request that goes out
+     * @param {number} weight
+     * @param {number} [orders=0]
+     */
+    const spend = (weight, orders = 0) => {
+        spent.push({ at: now(), weight });
+        used += weight;
+        for (let i = 0; i < orders; i++) placed.push(now());
+    };
+
+    /**
+     * Time until some budget frees up: the oldest local entry leaves its window or a
+     * reported window ends
+     * @returns {number}
+     */
+    const untilRelease = () => {
+        const at = now();
+        const candidates = [MINUTE - (at % MINUTE), TEN_SECONDS - (at % TEN_SECONDS)];
+        if (spent.length > 0) candidates.push(spent[0].at + MINUTE - at);
+        if (placed.length > 0) candidates.push(placed[0] + MINUTE - at);
+        return Math.min(...candidates);
+    };
+
+    /**
+     * Take the usage headers of a response
+     * @param {Object<string, string>} headers lower-case names
+     */
+    const report = (headers) => {
+        const at = now();
+        const take = (name, key, size) => {
+            const value = Number(headers[name]);
+            if (!Number.isFinite(value)) return;
+            reported[key] = value;
+            reported[`${key}Window`] = Math.floor(at / size);
+        };
+        take('x-mbx-used-weight-1m', 'weight', MINUTE);
+        take('x-mbx-order-count-10s', 'orders10s', TEN_SECONDS);
+        take('x-mbx-order-count-1m', 'orders1m', MINUTE);
+    };
+
+    return {
+        fits,
+        spend,
+        untilRelease,
+        report,
+        getUsage: () => {
+            const usage = inUse();
+            return { weight: usage.weight, limit: getSettings().weightPerMinute, orders: { tenSeconds: usage.orders10s, minute: usage.orders1m } };
+        }
+    };
+};
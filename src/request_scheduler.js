@@ -0,0 +1,284 @@
+/**
+ * Shared request scheduler of the Binance REST API
+ *
+ * Binance limits every IP to a request weight per minute (2400 on USDT-M
+ * futures) and every account to an order count per 10 seconds and per minute,
+ * answers 429 once a limit is crossed and bans the IP (418) when the requests
+ * keep coming. All adapter calls of a process go through one scheduler:
+ *  • budgets     weight and new orders counted by the request budget
+ *                (src/request_budget.js), from Binance's documented endpoint weights
+ *                and the X-MBX-USED-WEIGHT-1M / X-MBX-ORDER-COUNT headers
+ *  • priorities  queued calls go out orders first (closes, stops, margin), then
+ *                account reads, then market data; market data also stays out of the
+ *                reservePct share, so a close never queues behind a scan
+ *  • backoff     a 429 / 418 holds every call until Retry-After or the end of the
+ *                ban, without either for retryBaseMs doubled per repeated answer
+ *  • retries     idempotent calls (reads, settings, listen keys) are sent again up to
+ *                maxRetries times on network errors, 5xx and 429 / 418, after a
+ *                jittered exponential delay; orders, cancels and margin changes only
+ *                after answers proving they were not executed (429 / 418, -1021)
+ *  • clock       a -1021 (timestamp outside recvWindow) resyncs the adapter's clock
+ *                offset to the server time before the call is sent again
+ * Run the scanner and the manager in one process (binance_bot.js) for them to share
+ * the scheduler; started separately, each process schedules on its own.
+ */
+
+import { EventEmitter } from 'node:events';
+import { createRequestBudget } from './request_budget.js';
+
+const MINUTE = 60 * 1000;
+// Longest backoff without a Retry-After
+const MAX_BACKOFF_MS = 2 * MINUTE;
+
+// Lower goes first
+export const PRIORITIES = { order: 0, account: 1, market: 2 };
+
+// Binance codes of requests whose outcome is unknown (DISCONNECTED, TIMEOUT)
+const TRANSIENT_CODES = new Set([-1001, -1007]);
+
+/**
+ * Weight of a klines request by its limit
+ * @param {number} limit
+ * @returns {number}
+ */
+const klinesWeight = (limit) => {
+    if (limit < 100) return 1;
+    if (limit < 500) return 2;
+    if (limit <= 1000) return 5;
+    return 10;
+};
+
+/**
+ * @typedef {Object} RequestSpec
+ * @property {number|((...args:any[]) => number)} weight endpoint weight, a function of the call's arguments when it varies
+ * @property {'order'|'account'|'market'} priority
+ * @property {boolean} idempotent safe to send again when the outcome is unknown
+ * @property {number} [orders] new orders placed (order-count limits)
+ */
+
+// Adapter method → request spec
+export const REQUESTS = {
+    getBalance: { weight: 5, priority: 'account', idempotent: true },
+    getPositions: { weight: 5, priority: 'account', idempotent: true },
+    getTicker: { weight: 1, priority: 'market', idempotent: true },
+    fetchOHLCV: { weight: (symbol, timeframe, limit = 100) => klinesWeight(limit), priority: 'market', idempotent: true },
+    fetchFundingRate: { weight: 1, priority: 'market', idempotent: true },
+    getPremiumIndex: { weight: 11, priority: 'market', idempotent: true },
+    get24hTickers: { weight: 40, priority: 'market', idempotent: true },
+    getOpenInterest: { weight: 1, priority: 'market', idempotent: true },
+    getBookTickers: { weight: 5, priority: 'market', idempotent: true },
+    getExchangeInfo: { weight: 1, priority: 'market', idempotent: true },
+    getLeverageBrackets: { weight: 1, priority: 'market', idempotent: true },
+    getAllLeverageBrackets: { weight: 1, priority: 'market', idempotent: true },
+    setLeverage: { weight: 1, priority: 'account', idempotent: true },
+    setMarginType: { weight: 1, priority: 'account', idempotent: true },
+    isHedgeMode: { weight: 30, priority: 'account', idempotent: true },
+    // Regular and algo (conditional) open orders; 40 each without a symbol
+    getOpenOrders: { weight: (symbol) => (symbol ? 2 : 80), priority: 'account', idempotent: true },
+    createOrder: { weight: 1, priority: 'order', idempotent: false, orders: 1 },
+    cancelOrder: { weight: 1, priority: 'order', idempotent: false },
+    getOrder: { weight: 1, priority: 'order', idempotent: true },
+    addPositionMargin: { weight: 1, priority: 'order', idempotent: false },
+    getUserTrades: { weight: 5, priority: 'account', idempotent: true },
+    createListenKey: { weight: 1, priority: 'account', idempotent: true },
+    keepAliveListenKey: { weight: 1, priority: 'account', idempotent: true },
+    closeListenKey: { weight: 1, priority: 'account', idempotent: true }
+};
+
+/**
+ * Sort a failed call's error into what the scheduler does about it; adapters
+ * attach status (HTTP), apiCode (Binance code) and transient (no answer) to their errors
+ * @param {Error & {status?:number, apiCode?:number, transient?:boolean}} error
+ * @returns {'clock'|'rate'|'transient'|null} null for errors a retry would not fix
+ */
+export const classifyError = (error) => {
+    if (error.apiCode === -1021) return 'clock';
+    if (error.status === 429 || error.status === 418 || error.apiCode === -1003) return 'rate';
+    if (error.transient || error.status >= 500 || TRANSIENT_CODES.has(error.apiCode)) return 'transient';
+    return null;
+};
+
+/**
+ * @typedef {Object} SchedulerUsage
+ * @property {number} weight        weight used in the last minute (the higher of the local count and the header)
+ * @property {number} limit         rateLimit.weightPerMinute
+ * @property {{tenSeconds:number, minute:number}} orders new orders counted the same way
+ * @property {{order:number, account:number, market:number}} queued calls waiting per priority
+ * @property {number|null} pausedUntil end of a 429 / 418 backoff
+ * @property {number} retries       calls sent again since the start
+ * @property {number} clockOffsetMs server time minus local time at the last resync
+ */
+
+/**
+ * Create a request scheduler
+ * @param {Object} options
+ * @param {() => {weightPerMinute:number, reservePct:number, ordersPer10s:number, ordersPerMinute:number,
+ *                 maxRetries:number, retryBaseMs:number}} options.getSettings rateLimit section, read on every call
+ * @param {() => number} [options.now]
+ * @param {() => number} [options.random] jitter source in [0, 1)
+ * @returns {{acquire:(weight:number, options?:{priority?:'order'|'account'|'market', orders?:number}) => Promise<void>,
+ *            observe:(response:{status:number, headers:Object<string, string>}) => void,
+ *            pause:(until:number, reason:string) => void, retryDelay:(attempt:number) => number,
+ *            countRetry:() => void, clockSynced:(offsetMs:number) => void,
+ *            getUsage:() => SchedulerUsage, getSettings:Function, on:(event:string, listener:Function) => void}}
+ */
+export const createRequestScheduler = ({ getSettings, now = Date.now, random = Math.random }) => {
+    const events = new EventEmitter();
+    const budget = createRequestBudget({ getSettings, now });
+    // Calls waiting for their turn, by priority then arrival
+    const queue = [];
+    let pausedUntil = 0;
+    let backoffs = 0;
+    let retries = 0;
+    let clockOffsetMs = 0;
+    let timer = null;
+
+    /**
+     * Let the queued calls go out in order while they fit, then wait for the next release
+     */
+    const pump = () => {
+        clearTimeout(timer);
+        timer = null;
+        while (queue.length > 0) {
+            const { weight, priority, orders } = queue[0];
+            const waitMs = pausedUntil > now() ? pausedUntil - now()
+                : budget.fits(weight, { critical: priority !== 'market', orders }) ? 0 : budget.untilRelease();
+            if (waitMs > 0) {
+                timer = setTimeout(pump, Math.max(waitMs, 10));
+                return;
+            }
+            const request = queue.shift();
+            budget.spend(request.weight, request.orders);
+            request.resolve();
+        }
+    };
+
+    /**
+     * Wait for a call's turn, then spend its weight
+     * @param {number} weight
+     * @param {Object} [options]
+     * @param {'order'|'account'|'market'} [options.priority='market']
+     * @param {number} [options.orders=0] new orders the call places
+     * @returns {Promise<void>}
+     */
+    const acquire = (weight, { priority = 'market', orders = 0 } = {}) => new Promise(resolve => {
+        const request = { weight, priority, orders, resolve };
+        // Behind the calls of the same priority already waiting
+        const index = queue.findIndex(queued => PRIORITIES[queued.priority] > PRIORITIES[priority]);
+        queue.splice(index === -1 ? queue.length : index, 0, request);
+        pump();
+    });
+
+    /**
+     * Hold every call until the given time
+     * @param {number} until
+     * @param {string} reason reported with 'backoff'
+     */
+    const pause = (until, reason) => {
+        if (until <= pausedUntil) return;
+        pausedUntil = until;
+        events.emit('backoff', { until, reason });
+        pump();
+    };
+
+    /**
+     * Take the usage headers of a response, and back off on a 429 / 418
+     * @param {Object} response
+     * @param {number} response.status
+     * @param {Object<string, string>} response.headers lower-case names
+     */
+    const observe = ({ status, headers }) => {
+        budget.report(headers);
+
+        if (status !== 429 && status !== 418) {
+            if (status < 400) backoffs = 0;
+            return;
+        }
+        const retryAfter = Number(headers['retry-after']);
+        const waitMs = retryAfter > 0 ? retryAfter * 1000 : Math.min(getSettings().retryBaseMs * 2 ** backoffs, MAX_BACKOFF_MS);
+        backoffs += 1;
+        pause(now() + waitMs, status === 418 ? 'IP banned (418)' : 'rate limit hit (429)');
+    };
+
+    /**
+     * Delay before sending a call again: full jitter over an exponential ceiling
+     * @param {number} attempt 0 for the first retry
+     * @returns {number}
+     */
+    const retryDelay = (attempt) => Math.round(random() * Math.min(getSettings().retryBaseMs * 2 ** attempt, MAX_BACKOFF_MS));
+
+    return {
+        acquire,
+        observe,
+        pause,
+        retryDelay,
+        countRetry: () => { retries += 1; },
+        clockSynced: (offsetMs) => {
+            clockOffsetMs = offsetMs;
+            events.emit('resync', { offsetMs });
+        },
+        getSettings,
+        getUsage: () => {
+            const queued = { order: 0, account: 0, market: 0 };
+            for (const request of queue) queued[request.priority] += 1;
+            return {
+                ...budget.getUsage(),
+                queued,
+                pausedUntil: pausedUntil > now() ? pausedUntil : null,
+                retries,
+                clockOffsetMs
+            };
+        },
+        on: (event, listener) => events.on(event, listener)
+    };
+};
+
+/**
+ * Wrap an adapter so every call waits for its turn in the scheduler, is sent again
+ * when that is safe, and resyncs the clock on -1021
+ * @param {import('./exchange.js').ExchangeAdapter} adapter
+ * @param {ReturnType<typeof createRequestScheduler>} scheduler
+ * @returns {import('./exchange.js').ExchangeAdapter}
+ */
+export const withRequestScheduler = (adapter, scheduler) => {
+    let resyncing = null;
+
+    /**
+     * Resync the adapter's clock once for all the calls that hit -1021 together
+     * @returns {Promise<void>}
+     */
+    const resync = () => {
+        resyncing ??= (async () => {
+            await scheduler.acquire(1, { priority: 'order' });
+            scheduler.clockSynced(await adapter.syncTime());
+        })().finally(() => { resyncing = null; });
+        return resyncing;
+    };
+
+    const wrapped = { ...adapter };
+    for (const [method, { weight, priority, idempotent, orders = 0 }] of Object.entries(REQUESTS)) {
+        if (typeof adapter[method] !== 'function') continue;
+        wrapped[method] = async (...args) => {
+            const cost = typeof weight === 'function' ? weight(...args) : weight;
+            for (let attempt = 0; ; attempt++) {
+                await scheduler.acquire(cost, { priority, orders });
+                try {
+                    return await adapter[method](...args);
+                } catch (error) {
+                    const kind = classifyError(error);
+                    if (error.retryUntil) scheduler.pause(error.retryUntil, 'IP banned (418)');
+                    const safe = kind === 'clock' || kind === 'rate' || (kind === 'transient' && idempotent);
+                    if (!safe || attempt >= scheduler.getSettings().maxRetries) throw error;
+                    scheduler.countRetry();
+                    if (kind === 'clock' && typeof adapter.syncTime === 'function') {
+                        // A failed resync leaves the next attempt to hit -1021 again
+                        await resync().catch(() => {});
+                    } else {
+                        await new Promise(resolve => setTimeout(resolve, scheduler.retryDelay(attempt)));
+                    }
+                }
+            }
+        };
+    }
+    return wrapped;
+};
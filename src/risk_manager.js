@@ -0,0 +1,184 @@
+/**
+ * Portfolio-level risk manager shared by the scanner and the position manager
+ *
+ * Every new entry (and every margin add) is checked against the `risk` section
+ * of the config before an order is sent:
+ *  • maxOpenPositions        concurrent non-zero positions
+ *  • maxTotalNotionalUsdt    summed |size| × mark price of all positions
+ *  • maxMarginUsagePct       margin in use / (margin in use + free balance)
+ *  • maxSymbolNotionalUsdt   notional held in one contract
+ *  • maxDailyLossUsdt        realized (journal, since 00:00 UTC) + unrealized loss;
+ *                            once hit, entries stay halted until the next UTC day
+ *  • maxConsecutiveLosses    losing trades in a row that start a cooldown of
+ *                            cooldownMinutes after the last one (0 disables)
+ *
+ * Realized PnL and the loss streak come from the trade journal, so both
+ * processes see the same history.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} RiskDecision
+ * @property {boolean} allowed
+ * @property {string} [rule]    risk setting that refused
+ * @property {string} [reason]  human-readable refusal
+ */
+
+/**
+ * Margin held by a position row
+ * @param {Object} position futuresPositionRisk() row
+ * @returns {number}
+ */
+const getPositionMargin = (position) => Number(position.isolatedWallet)
+    || Number(position.initialMargin)
+    || Math.abs(Number(position.positionAmt) * Number(position.markPrice)) / Number(position.leverage || 1);
+
+/**
+ * @param {Object} options
+ * @param {import('./exchange.js').ExchangeAdapter} options.exchange
+ * @param {ReturnType<import('./journal.js').openJournal>} options.journal
+ * @param {() => Object} options.getConfig current `risk` config section
+ * @param {() => number} [options.now]
+ */
+export const createRiskManager = ({ exchange, journal, getConfig, now = Date.now }) => {
+    /**
+     * Open positions, their notional / margin and the free balance
+     * @returns {Promise<{positions:Object[], notional:number, margin:number, unrealizedPnl:number, balance:number, bySymbol:Map<string, number>}>}
+     */
+    const getExposure = async () => {
+        const [rows, balance] = await Promise.all([exchange.getPositions(), exchange.getBalance()]);
+        // futuresPositionRisk() also lists flat sides; only non-zero rows are positions
+        const positions = rows.filter(position => Number(position.positionAmt) !== 0);
+        const bySymbol = new Map();
+        let notional = 0;
+        let margin = 0;
+        let unrealizedPnl = 0;
+        for (const position of positions) {
+            const positionNotional = Math.abs(Number(position.positionAmt) * Number(position.markPrice));
+            bySymbol.set(position.symbol, (bySymbol.get(position.symbol) || 0) + positionNotional);
+            notional += positionNotional;
+            margin += getPositionMargin(position);
+            unrealizedPnl += Number(position.unRealizedProfit);
+        }
+        return { positions, notional, margin, unrealizedPnl, balance, bySymbol };
+    };
+
+    /**
+     * Today's (UTC) realized + unrealized PnL
+     * @param {number} unrealizedPnl
+     * @returns {{realized:number, unrealized:number, total:number, dayStart:number}}
+     */
+    const getDailyPnl = (unrealizedPnl) => {
+        const dayStart = Math.floor(now() / DAY) * DAY;
+        const realized = journal.getRealizedPnl(dayStart);
+        return { realized, unrealized: unrealizedPnl, total: realized + unrealizedPnl, dayStart };
+    };
+
+    // Day (start ms) on which the daily loss limit was hit; entries stay halted for its remainder
+    let haltedDay = null;
+
+    /**
+     * Kill switch and loss-streak cooldown, which block every entry
+     * @param {number} unrealizedPnl
+     * @returns {RiskDecision}
+     */
+    const checkTradingHalt = (unrealizedPnl) => {
+        const risk = getConfig();
+        const daily = getDailyPnl(unrealizedPnl);
+        if (haltedDay === daily.dayStart || daily.total <= -risk.maxDailyLossUsdt) {
+            haltedDay = daily.dayStart;
+            return {
+                allowed: false,
+                rule: 'maxDailyLossUsdt',
+                reason: `daily loss limit hit (${daily.total.toFixed(2)} USDT today vs limit -${risk.maxDailyLossUsdt}) – entries halted until 00:00 UTC`
+            };
+        }
+
+        if (risk.maxConsecutiveLosses > 0) {
+            const recent = journal.getClosedTrades(risk.maxConsecutiveLosses);
+            const streak = recent.length === risk.maxConsecutiveLosses
+                && recent.every(trade => trade.realized_pnl - trade.funding_paid < 0);
+            const resumeAt = streak ? recent[0].closed_at + risk.cooldownMinutes * 60 * 1000 : 0;
+            if (resumeAt > now()) {
+                return {
+                    allowed: false,
+                    rule: 'maxConsecutiveLosses',
+                    reason: `${risk.maxConsecutiveLosses} losing trades in a row – cooling down until ${new Date(resumeAt).toISOString().slice(11, 16)} UTC`
+                };
+            }
+        }
+        return { allowed: true };
+    };
+
+    /**
+     * Check a new entry against every risk limit
+     * @param {{symbol:string, notional:number, margin:number}} entry size of the order about to be sent
+     * @returns {Promise<RiskDecision>}
+     */
+    const checkEntry = async ({ symbol, notional, margin }) => {
+        const risk = getConfig();
+        const exposure = await getExposure();
+
+        const halt = checkTradingHalt(exposure.unrealizedPnl);
+        if (!halt.allowed) return halt;
+
+        if (exposure.positions.length >= risk.maxOpenPositions) {
+            return { allowed: false, rule: 'maxOpenPositions', reason: `${exposure.positions.length} positions open (limit ${risk.maxOpenPositions})` };
+        }
+        if (exposure.notional + notional > risk.maxTotalNotionalUsdt) {
+            return {
+                allowed: false,
+                rule: 'maxTotalNotionalUsdt',
+                reason: `total notional would be ${(exposure.notional + notional).toFixed(2)} USDT (limit ${risk.maxTotalNotionalUsdt})`
+            };
+        }
+        const symbolNotional = (exposure.bySymbol.get(symbol) || 0) + notional;
+        if (symbolNotional > risk.maxSymbolNotionalUsdt) {
+            return {
+                allowed: false,
+                rule: 'maxSymbolNotionalUsdt',
+                reason: `${symbol} notional would be ${symbolNotional.toFixed(2)} USDT (limit ${risk.maxSymbolNotionalUsdt})`
+            };
+        }
+        return checkMarginUsage(exposure, margin);
+    };
+
+    /**
+     * Margin usage after committing `margin` more
+     * @param {{margin:number, balance:number}} exposure
+     * @param {number} margin
+     * @returns {RiskDecision}
+     */
+    const checkMarginUsage = (exposure, margin) => {
+        const risk = getConfig();
+        const equity = exposure.margin + exposure.balance;
+        const usage = equity > 0 ? (exposure.margin + margin) / equity : 1;
+        if (usage > risk.maxMarginUsagePct) {
+            return {
+                allowed: false,
+                rule: 'maxMarginUsagePct',
+                reason: `margin usage would be ${(usage * 100).toFixed(1)}% (limit ${(risk.maxMarginUsagePct * 100).toFixed(1)}%)`
+            };
+        }
+        return { allowed: true };
+    };
+
+    /**
+     * Check a margin add against the margin-usage limit
+     * @param {{amount:number}} add
+     * @returns {Promise<RiskDecision>}
+     */
+    const checkMarginAdd = async ({ amount }) => checkMarginUsage(await getExposure(), amount);
+
+    /**
+     * Whether entries are currently halted (daily loss / loss streak), for status displays
+     * @returns {Promise<RiskDecision & {daily:{realized:number, unrealized:number, total:number}}>}
+     */
+    const getStatus = async () => {
+        const exposure = await getExposure();
+        return { ...checkTradingHalt(exposure.unrealizedPnl), daily: getDailyPnl(exposure.unrealizedPnl) };
+    };
+
+    return { checkEntry, checkMarginAdd, getStatus, getExposure };
+};
@@ -0,0 +1,70 @@
+/**
+ * Entry signal rules shared by the scanner and the backtester
+ *
+ * Keeping the RSI calculation and the threshold checks here guarantees that a
+ * backtest replays exactly the decision binance_list_open.js makes live. The
+ * math itself lives in src/indicators.js; every call recomputes it over the
+ * closes or candles it is given, so these functions keep no state.
+ */
+
+import { createATR, createEMA, createRSI, latestIndicator } from './indicators.js';
+
+/**
+ * @typedef {Object} EntryRules
+ * @property {number} sellRsiThreshold  open SHORT when RSI >= this value
+ * @property {number} buyRsiThreshold   open LONG when 0 < RSI <= this value
+ * @property {number} maxPrice          only trade contracts priced below this
+ * @property {boolean} short            SHORT entries enabled
+ * @property {boolean} long             LONG entries enabled
+ */
+
+/**
+ * Latest RSI of a close series (Wilder smoothing)
+ * @param {number[]} closePrices oldest first
+ * @param {number} period
+ * @returns {number|null} null with period closes or fewer
+ */
+export const calculateLatestRSI = (closePrices, period) => latestIndicator(createRSI(period), closePrices);
+
+/**
+ * Decide whether to open a position
+ * @param {{rsi:number, price:number}} market
+ * @param {EntryRules} rules
+ * @returns {'sell'|'buy'|null} order side to open, or null for no trade
+ */
+export const evaluateEntrySignal = ({ rsi, price }, rules) => {
+    if (rsi >= rules.sellRsiThreshold && price < rules.maxPrice && rules.short) {
+        return 'sell';
+    }
+    if (rsi <= rules.buyRsiThreshold && rsi > 0 && price < rules.maxPrice && rules.long) {
+        return 'buy';
+    }
+    return null;
+};
+
+/**
+ * Latest ATR of a candle series (Wilder smoothing)
+ * @param {Array<{high:number, low:number, close:number}>} candles oldest first
+ * @param {number} period
+ * @returns {number|null} null with fewer than period candles
+ */
+export const calculateLatestATR = (candles, period) => latestIndicator(createATR(period), candles);
+
+/**
+ * Latest EMA of a close series (seeded with the SMA of the first period closes)
+ * @param {number[]} closePrices oldest first
+ * @param {number} period
+ * @returns {number|null} null with fewer than period closes
+ */
+export const calculateLatestEMA = (closePrices, period) => latestIndicator(createEMA(period), closePrices);
+
+/**
+ * Indicators recorded in the trade journal with every decision: RSI and EMA20 of the closes
+ * @param {number[]} closePrices oldest first
+ * @param {number} [rsiPeriod=5]
+ * @returns {{rsi:number|undefined, ema20:number|undefined}}
+ */
+export const calculateJournalIndicators = (closePrices, rsiPeriod = 5) => ({
+    rsi: closePrices.length > rsiPeriod ? calculateLatestRSI(closePrices.slice(-100), rsiPeriod) : undefined,
+    ema20: closePrices.length >= 20 ? calculateLatestEMA(closePrices, 20) : undefined
+});
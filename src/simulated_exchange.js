@@ -0,0 +1,773 @@
+/**
+ * In-memory simulated Binance USDT-M futures exchange
+ *
+ * Implements the exchange adapter interface without any network access:
+ *  • Market orders fill at the current price (± optional slippage) with taker fees
+ *  • STOP_MARKET / TAKE_PROFIT_MARKET orders rest until the price crosses stopPrice
+ *  • Orders keep the client order id they were sent with (one still used by an open
+ *    order is rejected, as on Binance) and stay queryable with getOrder() afterwards
+ *  • Positions are tracked per symbol and position side (hedge or one-way mode)
+ *  • Unrealized / realized PnL, isolated margin and liquidation are modelled
+ *  • Funding is settled on open positions every time nextFundingTime passes
+ *
+ * Market data is fed in through pushCandle() / setMarket(), either by a
+ * random-walk feed (offline runs of the bots) or by replayed history.
+ * The clock is injectable so replayed data drives time instead of Date.now().
+ * Account state can be exported / imported, which the paper-trading ledger
+ * uses to persist it across restarts.
+ */
+
+import { EventEmitter } from 'node:events';
+import { toBinanceSymbol } from './exchange.js';
+
+const ONE_MINUTE = 60 * 1000;
+const FUNDING_INTERVAL = 8 * 60 * 60 * 1000;
+const CONDITIONAL_TYPES = ['STOP_MARKET', 'TAKE_PROFIT_MARKET'];
+// Orders getOrder() still finds after they left the book
+const ORDER_HISTORY = 1000;
+
+// Leverage tiers of a typical small-cap USDT-M contract
+const LEVERAGE_TIERS = [
+    { initialLeverage: 50, notionalCap: 5000 },
+    { initialLeverage: 25, notionalCap: 25000 },
+    { initialLeverage: 20, notionalCap: 100000 },
+    { initialLeverage: 10, notionalCap: 250000 },
+    { initialLeverage: 5, notionalCap: 1000000 },
+    { initialLeverage: 1, notionalCap: 5000000 }
+];
+
+/**
+ * Convert a ccxt timeframe string (1m, 15m, 1h, 4h, 1d) to milliseconds
+ * @param {string} timeframe
+ * @returns {number}
+ */
+const timeframeToMs = (timeframe) => {
+    const units = { m: ONE_MINUTE, h: 60 * ONE_MINUTE, d: 24 * 60 * ONE_MINUTE, w: 7 * 24 * 60 * ONE_MINUTE };
+    const match = /^(\d+)([mhdw])$/.exec(timeframe);
+    if (!match) throw new Error(`Unsupported timeframe: ${timeframe}`);
+    return Number(match[1]) * units[match[2]];
+};
+
+/**
+ * Merge 1m candles into candles of a larger timeframe
+ * @param {number[][]} candles 1m [timestamp, open, high, low, close, volume] rows
+ * @param {number} intervalMs
+ * @returns {number[][]}
+ */
+const aggregateCandles = (candles, intervalMs) => {
+    if (intervalMs === ONE_MINUTE) return candles.map(c => [...c]);
+    const result = [];
+    for (const [timestamp, open, high, low, close, volume] of candles) {
+        const bucket = Math.floor(timestamp / intervalMs) * intervalMs;
+        const last = result[result.length - 1];
+        if (last && last[0] === bucket) {
+            last[2] = Math.max(last[2], high);
+            last[3] = Math.min(last[3], low);
+            last[4] = close;
+            last[5] += volume;
+        } else {
+            result.push([bucket, open, high, low, close, volume]);
+        }
+    }
+    return result;
+};
+
+/**
+ * Create a simulated exchange
+ * @param {Object} [options]
+ * @param {number} [options.balance=1000] starting USDT balance
+ * @param {number} [options.takerFee=0.0004] taker fee as a fraction of notional
+ * @param {number} [options.slippage=0] adverse fill slippage as a fraction of price
+ * @param {number} [options.maintenanceMarginRate=0.004]
+ * @param {boolean} [options.hedgeMode=true]
+ * @param {number} [options.maxCandles=1500] 1m candles kept per symbol
+ * @param {() => number} [options.now=Date.now] clock
+ * @returns {import('./exchange.js').ExchangeAdapter & Object}
+ */
+export const createSimulatedExchange = ({
+    balance = 1000,
+    takerFee = 0.0004,
+    slippage = 0,
+    maintenanceMarginRate = 0.004,
+    hedgeMode = true,
+    maxCandles = 1500,
+    now = Date.now
+} = {}) => {
+    const events = new EventEmitter();
+    const markets = new Map();
+    const positions = new Map();
+    const openOrders = new Map();
+    // Every order by client order id, oldest first
+    const orderHistory = new Map();
+    const trades = [];
+    let cash = balance;
+    let nextOrderId = 1;
+    let nextTradeId = 1;
+    const totals = { realizedPnl: 0, commission: 0, funding: 0 };
+
+    const positionKey = (symbol, positionSide) => `${symbol}:${positionSide}`;
+
+    const getMarket = (symbol) => {
+        const market = markets.get(toBinanceSymbol(symbol));
+        if (!market) throw new Error(`Unknown symbol: ${symbol}`);
+        return market;
+    };
+
+    // ────────────────────────────────────────────────
+    // Simulation controls
+    // ────────────────────────────────────────────────
+
+    /**
+     * Create or update a market
+     * @param {string} symbol
+     * @param {{price?:number, fundingRate?:number, nextFundingTime?:number, premium?:number, interestRate?:number, openInterest?:number,
+     *          stepSize?:string, tickSize?:string, minQty?:string, minNotional?:string, status?:string, onboardDate?:number}} [data]
+     *        premium = mark price / index price - 1
+     */
+    const setMarket = (symbol, data = {}) => {
+        const id = toBinanceSymbol(symbol);
+        const market = markets.get(id) || {
+            symbol: id,
+            candles: [],
+            price: 0,
+            fundingRate: 0.0001,
+            nextFundingTime: Math.ceil(now() / FUNDING_INTERVAL) * FUNDING_INTERVAL,
+            premium: 0,
+            interestRate: 0.0001,
+            openInterest: 0,
+            leverage: 20,
+            marginType: 'CROSSED',
+            stepSize: '1',
+            tickSize: '0.0001',
+            minQty: '1',
+            minNotional: '5',
+            status: 'TRADING',
+            onboardDate: 0
+        };
+        Object.assign(market, data);
+        markets.set(id, market);
+        if (data.price !== undefined) updateMarks(market, data.price, data.price);
+    };
+
+    /**
+     * Append (or replace the in-progress) 1m candle and move the price to its close
+     * @param {string} symbol
+     * @param {{timestamp:number, open:number, high:number, low:number, close:number, volume?:number}} candle
+     */
+    const pushCandle = (symbol, candle) => {
+        if (!markets.has(toBinanceSymbol(symbol))) setMarket(symbol);
+        const market = getMarket(symbol);
+        const row = [candle.timestamp, candle.open, candle.high, candle.low, candle.close, candle.volume || 0];
+        const last = market.candles[market.candles.length - 1];
+        if (last && last[0] === candle.timestamp) {
+            market.candles[market.candles.length - 1] = row;
+        } else {
+            market.candles.push(row);
+            if (market.candles.length > maxCandles) market.candles.shift();
+        }
+        updateMarks(market, candle.low, candle.high, candle.close);
+    };
+
+    /**
+     * Move the price, trigger conditional orders and check liquidations against
+     * the extremes, then settle due funding
+     */
+    const updateMarks = (market, low, high, close = low) => {
+        market.price = close;
+        // Stops before take-profits: with both inside one candle, assume the worse fill
+        const triggered = [...openOrders.values()]
+            .filter(order => order.symbol === market.symbol && isTriggered(order, low, high))
+            .sort((a, b) => (a.type === 'STOP_MARKET' ? 0 : 1) - (b.type === 'STOP_MARKET' ? 0 : 1));
+        for (const order of triggered) triggerOrder(market, order);
+        for (const position of positions.values()) {
+            if (position.symbol !== market.symbol || position.amt === 0) continue;
+            const worst = position.amt > 0 ? low : high;
+            const liquidationPrice = getLiquidationPrice(position);
+            if (liquidationPrice > 0 && ((position.amt > 0 && worst <= liquidationPrice) || (position.amt < 0 && worst >= liquidationPrice))) {
+                liquidate(position, liquidationPrice);
+            }
+        }
+        while (now() >= market.nextFundingTime) {
+            settleFunding(market.symbol);
+            market.nextFundingTime += FUNDING_INTERVAL;
+        }
+    };
+
+    /**
+     * Pay or receive funding on every open position of a symbol at the current rate
+     * @param {string} symbol
+     * @param {number} [rate] overrides the market funding rate
+     */
+    const settleFunding = (symbol, rate) => {
+        const market = getMarket(symbol);
+        const fundingRate = rate ?? market.fundingRate;
+        for (const position of positions.values()) {
+            if (position.symbol !== market.symbol || position.amt === 0) continue;
+            // Longs pay shorts when the rate is positive
+            const payment = position.amt * market.price * fundingRate;
+            position.margin -= payment;
+            position.fundingPaid += payment;
+            totals.funding += payment;
+            events.emit('funding', { symbol: market.symbol, positionSide: position.positionSide, payment, rate: fundingRate, time: now() });
+        }
+    };
+
+    const getLiquidationPrice = (position) => {
+        const qty = Math.abs(position.amt);
+        if (qty === 0) return 0;
+        const price = position.amt > 0
+            ? (position.entryPrice * qty - position.margin) / (qty * (1 - maintenanceMarginRate))
+            : (position.entryPrice * qty + position.margin) / (qty * (1 + maintenanceMarginRate));
+        return Math.max(price, 0);
+    };
+
+    const liquidate = (position, price) => {
+        const qty = Math.abs(position.amt);
+        const realizedPnl = -position.margin;
+        totals.realizedPnl += realizedPnl;
+        recordTrade(position.symbol, position.amt > 0 ? 'SELL' : 'BUY', position.positionSide, qty, price, realizedPnl, 0);
+        events.emit('liquidation', { symbol: position.symbol, positionSide: position.positionSide, quantity: qty, price, loss: position.margin, time: now() });
+        position.amt = 0;
+        position.margin = 0;
+    };
+
+    const recordTrade = (symbol, side, positionSide, qty, price, realizedPnl, commission, orderId) => {
+        const trade = {
+            id: nextTradeId++,
+            orderId,
+            symbol,
+            side,
+            positionSide,
+            qty: String(qty),
+            price: String(price),
+            realizedPnl: String(realizedPnl),
+            commission: String(commission),
+            commissionAsset: 'USDT',
+            time: now()
+        };
+        trades.push(trade);
+        return trade;
+    };
+
+    // ────────────────────────────────────────────────
+    // Adapter interface
+    // ────────────────────────────────────────────────
+
+    const getBalance = async () => cash;
+
+    const toPositionRow = (market, positionSide) => {
+        const position = positions.get(positionKey(market.symbol, positionSide));
+        const amt = position?.amt || 0;
+        const entryPrice = amt ? position.entryPrice : 0;
+        const unRealizedProfit = amt ? (market.price - entryPrice) * amt : 0;
+        const isolated = market.marginType === 'ISOLATED';
+        return {
+            symbol: market.symbol,
+            positionSide,
+            positionAmt: String(amt),
+            entryPrice: String(entryPrice),
+            markPrice: String(market.price),
+            unRealizedProfit: String(unRealizedProfit),
+            isolatedWallet: String(amt && isolated ? position.margin : 0),
+            initialMargin: String(amt ? position.margin : 0),
+            liquidationPrice: String(amt ? getLiquidationPrice(position) : 0),
+            maintMargin: String(Math.abs(amt * market.price) * maintenanceMarginRate),
+            notional: String(amt * market.price),
+            leverage: String(market.leverage),
+            marginType: isolated ? 'isolated' : 'cross',
+            updateTime: position?.updateTime || 0
+        };
+    };
+
+    const getPositions = async (symbol) => {
+        // Like /fapi/v3/positionRisk, only sides that hold a position are returned
+        const list = symbol ? [getMarket(symbol)] : [...markets.values()];
+        const sides = hedgeMode ? ['LONG', 'SHORT'] : ['BOTH'];
+        return list
+            .flatMap(market => sides.map(side => toPositionRow(market, side)))
+            .filter(row => Number(row.positionAmt) !== 0);
+    };
+
+    const getTicker = async (symbol) => {
+        const market = getMarket(symbol);
+        if (!market.price) throw new Error(`No price for ${symbol}`);
+        return {
+            symbol: market.symbol,
+            last: market.price,
+            bid: market.price * (1 - slippage),
+            ask: market.price * (1 + slippage),
+            timestamp: now()
+        };
+    };
+
+    const fetchOHLCV = async (symbol, timeframe, limit = 100) => {
+        const market = getMarket(symbol);
+        return aggregateCandles(market.candles, timeframeToMs(timeframe)).slice(-limit);
+    };
+
+    const fetchFundingRate = async (symbol) => {
+        const market = getMarket(symbol);
+        return {
+            symbol: market.symbol,
+            fundingRate: market.fundingRate,
+            nextFundingTime: market.nextFundingTime,
+            timestamp: now()
+        };
+    };
+
+    const getPremiumIndex = async () => [...markets.values()]
+        .filter(market => market.price)
+        .map(market => ({
+            symbol: market.symbol,
+            markPrice: market.price,
+            indexPrice: market.price / (1 + market.premium),
+            fundingRate: market.fundingRate,
+            interestRate: market.interestRate,
+            nextFundingTime: market.nextFundingTime,
+            fundingIntervalHours: FUNDING_INTERVAL / (60 * ONE_MINUTE)
+        }));
+
+    const get24hTickers = async () => [...markets.values()]
+        .filter(market => market.candles.length > 0)
+        .map(market => {
+            const day = market.candles.slice(-24 * 60);
+            return {
+                symbol: market.symbol,
+                last: market.price,
+                priceChangePercent: (market.price / day[0][1] - 1) * 100,
+                quoteVolume: day.reduce((sum, [, , , , close, volume]) => sum + close * volume, 0)
+            };
+        });
+
+    const getOpenInterest = async (symbol) => {
+        const market = getMarket(symbol);
+        return { symbol: market.symbol, openInterest: market.openInterest, timestamp: now() };
+    };
+
+    const getBookTickers = async () => [...markets.values()]
+        .filter(market => market.price)
+        .map(market => ({ symbol: market.symbol, bid: market.price * (1 - slippage), ask: market.price * (1 + slippage) }));
+
+    const getExchangeInfo = async () => ({
+        symbols: [...markets.values()].map(market => ({
+            symbol: market.symbol,
+            pair: market.symbol,
+            contractType: 'PERPETUAL',
+            baseAsset: market.symbol.replace(/USDT$/, ''),
+            quoteAsset: 'USDT',
+            marginAsset: 'USDT',
+            status: market.status,
+            onboardDate: market.onboardDate,
+            filters: [
+                { filterType: 'PRICE_FILTER', tickSize: market.tickSize, minPrice: market.tickSize, maxPrice: '1000000' },
+                { filterType: 'LOT_SIZE', stepSize: market.stepSize, minQty: market.minQty, maxQty: '10000000' },
+                { filterType: 'MARKET_LOT_SIZE', stepSize: market.stepSize, minQty: market.minQty, maxQty: '10000000' },
+                { filterType: 'MIN_NOTIONAL', notional: market.minNotional }
+            ]
+        }))
+    });
+
+    // Every simulated contract shares the same tiers
+    const leverageBrackets = () => LEVERAGE_TIERS.map((tier, index) => ({
+        bracket: index + 1,
+        ...tier,
+        notionalFloor: index === 0 ? 0 : LEVERAGE_TIERS[index - 1].notionalCap,
+        maintMarginRatio: maintenanceMarginRate * 2 ** index
+    }));
+
+    const getLeverageBrackets = async (symbol) => {
+        getMarket(symbol);
+        return leverageBrackets();
+    };
+
+    const getAllLeverageBrackets = async () => new Map([...markets.keys()].map(symbol => [symbol, leverageBrackets()]));
+
+    const setLeverage = async (symbol, leverage) => {
+        getMarket(symbol).leverage = leverage;
+    };
+
+    const setMarginType = async (symbol, marginType) => {
+        const market = getMarket(symbol);
+        if (market.marginType === marginType) throw new Error('code=-4046 No need to change margin type.');
+        market.marginType = marginType;
+    };
+
+    const isHedgeMode = async () => hedgeMode;
+
+    /**
+     * Apply a fill of an order to the position of symbol / position side and settle cash
+     * @returns {{realizedPnl:number, commission:number}}
+     */
+    const applyFill = (market, side, sideKey, qty, price, orderId) => {
+        const key = positionKey(market.symbol, sideKey);
+        const position = positions.get(key) || { symbol: market.symbol, positionSide: sideKey, amt: 0, entryPrice: 0, margin: 0, fundingPaid: 0, updateTime: 0 };
+        const delta = side === 'BUY' ? qty : -qty;
+        const reducing = position.amt !== 0 && Math.sign(delta) !== Math.sign(position.amt);
+        const commission = qty * price * takerFee;
+        let realizedPnl = 0;
+
+        if (reducing) {
+            const closeQty = Math.min(qty, Math.abs(position.amt));
+            const fraction = closeQty / Math.abs(position.amt);
+            realizedPnl = (price - position.entryPrice) * closeQty * Math.sign(position.amt);
+            const releasedMargin = position.margin * fraction;
+            position.margin -= releasedMargin;
+            position.amt += Math.sign(delta) * closeQty;
+            cash += releasedMargin + realizedPnl;
+            if (Math.abs(position.amt) < 1e-12) {
+                position.amt = 0;
+                position.margin = 0;
+                position.fundingPaid = 0;
+            }
+            const remainder = qty - closeQty;
+            if (remainder > 0) {
+                // One-way mode flip: the rest opens a position on the other side
+                const margin = remainder * price / market.leverage;
+                if (margin + commission > cash) throw new Error('code=-2019 Margin is insufficient.');
+                position.amt = Math.sign(delta) * remainder;
+                position.entryPrice = price;
+                position.margin = margin;
+                cash -= margin;
+            }
+        } else {
+            const margin = qty * price / market.leverage;
+            if (margin + commission > cash) throw new Error('code=-2019 Margin is insufficient.');
+            const newAmt = position.amt + delta;
+            position.entryPrice = (position.entryPrice * Math.abs(position.amt) + price * qty) / Math.abs(newAmt);
+            position.amt = newAmt;
+            position.margin += margin;
+            cash -= margin;
+        }
+
+        cash -= commission;
+        totals.realizedPnl += realizedPnl;
+        totals.commission += commission;
+        position.updateTime = now();
+        positions.set(key, position);
+        recordTrade(market.symbol, side, sideKey, qty, price, realizedPnl, commission, orderId);
+        return { realizedPnl, commission };
+    };
+
+    /**
+     * Whether an order of qty on side only shrinks the existing position
+     * @returns {boolean} true when a reduce-only order of qty is acceptable
+     */
+    const canReduce = (symbol, side, sideKey, qty) => {
+        const position = positions.get(positionKey(symbol, sideKey));
+        const delta = side === 'BUY' ? 1 : -1;
+        return Boolean(position) && position.amt !== 0 && Math.sign(delta) !== Math.sign(position.amt) && qty <= Math.abs(position.amt) + 1e-12;
+    };
+
+    const resolvePositionSide = (positionSide) => {
+        const sideKey = hedgeMode ? (positionSide || 'LONG') : 'BOTH';
+        if (hedgeMode && !['LONG', 'SHORT'].includes(sideKey)) throw new Error('code=-4061 Order\'s position side does not match user\'s setting.');
+        return sideKey;
+    };
+
+    /**
+     * Whether a conditional order triggers within a price range
+     * @returns {boolean}
+     */
+    const isTriggered = (order, low, high) => {
+        const stopPrice = Number(order.stopPrice);
+        if (order.type === 'STOP_MARKET') return order.side === 'SELL' ? low <= stopPrice : high >= stopPrice;
+        return order.side === 'SELL' ? high >= stopPrice : low <= stopPrice;
+    };
+
+    /**
+     * Fill (or expire, when there is nothing left to close) a triggered conditional order
+     */
+    const triggerOrder = (market, order) => {
+        openOrders.delete(order.orderId);
+        const position = positions.get(positionKey(market.symbol, order.positionSide));
+        const qty = order.closePosition ? Math.abs(position?.amt || 0) : Number(order.origQty);
+        const price = order.side === 'BUY' ? Number(order.stopPrice) * (1 + slippage) : Number(order.stopPrice) * (1 - slippage);
+        if (qty === 0 || !canReduce(market.symbol, order.side, order.positionSide, qty)) {
+            const expired = trackOrder({ ...order, status: 'EXPIRED', updateTime: now() });
+            events.emit('order', { ...expired, realizedPnl: 0, commission: 0 });
+            return;
+        }
+        const { realizedPnl, commission } = applyFill(market, order.side, order.positionSide, qty, price, order.orderId);
+        const filled = trackOrder({
+            ...order,
+            status: 'FILLED',
+            origQty: String(qty),
+            executedQty: String(qty),
+            avgPrice: String(price),
+            updateTime: now()
+        });
+        events.emit('order', { ...filled, realizedPnl, commission });
+    };
+
+    /**
+     * Keep the latest state of an order for getOrder()
+     * @param {Object} order
+     * @returns {Object} the order
+     */
+    const trackOrder = (order) => {
+        orderHistory.delete(order.clientOrderId);
+        orderHistory.set(order.clientOrderId, { ...order });
+        if (orderHistory.size > ORDER_HISTORY) orderHistory.delete(orderHistory.keys().next().value);
+        return order;
+    };
+
+    const createOrder = async ({ symbol, side, type = 'MARKET', quantity, positionSide, reduceOnly = false, stopPrice, closePosition = false, workingType = 'CONTRACT_PRICE', clientOrderId }) => {
+        const market = getMarket(symbol);
+        const sideKey = resolvePositionSide(positionSide);
+        // Like Binance, a client order id is unique among the open orders only
+        if (clientOrderId && [...openOrders.values()].some(order => order.clientOrderId === clientOrderId)) {
+            throw new Error('code=-4116 ClientOrderId is duplicated.');
+        }
+        const orderId = nextOrderId++;
+
+        if (CONDITIONAL_TYPES.includes(type)) {
+            if (!(Number(stopPrice) > 0)) throw new Error('code=-1102 Mandatory parameter \'stopPrice\' was not sent, was empty/null, or malformed.');
+            if (!closePosition && !(Number(quantity) > 0)) throw new Error('code=-1102 Quantity must be greater than zero.');
+            const order = {
+                orderId,
+                clientOrderId: clientOrderId || `sim_${orderId}`,
+                symbol: market.symbol,
+                side,
+                positionSide: sideKey,
+                type,
+                status: 'NEW',
+                stopPrice: String(stopPrice),
+                closePosition,
+                reduceOnly: reduceOnly || closePosition,
+                origQty: closePosition ? '0' : String(quantity),
+                executedQty: '0',
+                avgPrice: '0',
+                workingType,
+                conditional: true,
+                updateTime: now()
+            };
+            if (isTriggered(order, market.price, market.price)) throw new Error('code=-2021 Order would immediately trigger.');
+            openOrders.set(orderId, order);
+            trackOrder(order);
+            events.emit('order', { ...order, realizedPnl: 0, commission: 0 });
+            return { ...order };
+        }
+
+        if (type !== 'MARKET') throw new Error(`Order type ${type} is not supported by the simulated exchange`);
+        const qty = Number(quantity);
+        if (!(qty > 0)) throw new Error('code=-1102 Quantity must be greater than zero.');
+        const opening = hedgeMode ? (sideKey === 'LONG') === (side === 'BUY') : !canReduce(market.symbol, side, sideKey, 0);
+        if ((reduceOnly || (hedgeMode && !opening)) && !canReduce(market.symbol, side, sideKey, qty)) {
+            throw new Error('code=-2022 ReduceOnly Order is rejected.');
+        }
+
+        const price = side === 'BUY' ? market.price * (1 + slippage) : market.price * (1 - slippage);
+        const { realizedPnl, commission } = applyFill(market, side, sideKey, qty, price, orderId);
+
+        const order = {
+            orderId,
+            clientOrderId: clientOrderId || `sim_${orderId}`,
+            symbol: market.symbol,
+            side,
+            positionSide: sideKey,
+            type,
+            status: 'FILLED',
+            origQty: String(qty),
+            executedQty: String(qty),
+            avgPrice: String(price),
+            reduceOnly,
+            updateTime: now()
+        };
+        trackOrder(order);
+        events.emit('order', { ...order, realizedPnl, commission });
+        return order;
+    };
+
+    const getOrder = async (symbol, { orderId, clientOrderId }) => {
+        const id = toBinanceSymbol(symbol);
+        const order = clientOrderId !== undefined
+            ? orderHistory.get(clientOrderId)
+            : [...orderHistory.values()].find(row => String(row.orderId) === String(orderId));
+        if (!order || order.symbol !== id) throw new Error('code=-2013 Order does not exist.');
+        return { ...order };
+    };
+
+    const getOpenOrders = async (symbol) => {
+        const id = symbol && toBinanceSymbol(symbol);
+        return [...openOrders.values()].filter(order => !id || order.symbol === id).map(order => ({ ...order }));
+    };
+
+    const cancelOrder = async ({ symbol, orderId }) => {
+        const order = openOrders.get(Number(orderId));
+        if (!order || order.symbol !== toBinanceSymbol(symbol)) throw new Error('code=-2011 Unknown order sent.');
+        openOrders.delete(order.orderId);
+        const canceled = trackOrder({ ...order, status: 'CANCELED', updateTime: now() });
+        events.emit('order', { ...canceled, realizedPnl: 0, commission: 0 });
+        return canceled;
+    };
+
+    const addPositionMargin = async (symbol, amount, positionSide) => {
+        const market = getMarket(symbol);
+        const position = positions.get(positionKey(market.symbol, hedgeMode ? positionSide : 'BOTH'));
+        if (!position || position.amt === 0) throw new Error('code=-4054 Cannot add position margin: position is 0.');
+        if (market.marginType !== 'ISOLATED') throw new Error('code=-4048 Margin type cannot be changed if there exists position.');
+        if (Number(amount) > cash) throw new Error('code=-2019 Margin is insufficient.');
+        position.margin += Number(amount);
+        cash -= Number(amount);
+        events.emit('margin', { symbol: market.symbol, positionSide: position.positionSide, amount: Number(amount), time: now() });
+        return { amount: Number(amount), code: 200, msg: 'Successfully modify position margin.', type: 1 };
+    };
+
+    const getUserTrades = async (symbol, limit = 1000) => {
+        const id = toBinanceSymbol(symbol);
+        return trades.filter(trade => trade.symbol === id).slice(-limit);
+    };
+
+    // ────────────────────────────────────────────────
+    // State persistence
+    // ────────────────────────────────────────────────
+
+    /**
+     * Snapshot of the account: balance, positions, fills and per-symbol settings
+     * @returns {Object} JSON-serializable state
+     */
+    const exportState = () => ({
+        cash,
+        nextOrderId,
+        nextTradeId,
+        totals: { ...totals },
+        positions: [...positions.values()].filter(position => position.amt !== 0).map(position => ({ ...position })),
+        trades: [...trades],
+        openOrders: [...openOrders.values()].map(order => ({ ...order })),
+        orders: [...orderHistory.values()],
+        settings: [...markets.values()].map(({ symbol, leverage, marginType }) => ({ symbol, leverage, marginType }))
+    });
+
+    /**
+     * Replace the account with a snapshot produced by exportState()
+     * @param {Object} state
+     */
+    const importState = (state) => {
+        cash = state.cash;
+        nextOrderId = state.nextOrderId;
+        nextTradeId = state.nextTradeId;
+        Object.assign(totals, state.totals);
+        positions.clear();
+        for (const position of state.positions) {
+            positions.set(positionKey(position.symbol, position.positionSide), { ...position });
+        }
+        trades.splice(0, trades.length, ...state.trades);
+        openOrders.clear();
+        for (const order of state.openOrders || []) openOrders.set(order.orderId, { ...order });
+        orderHistory.clear();
+        for (const order of state.orders || state.openOrders || []) orderHistory.set(order.clientOrderId, { ...order });
+        for (const { symbol, leverage, marginType } of state.settings) {
+            if (markets.has(symbol)) Object.assign(markets.get(symbol), { leverage, marginType });
+            else setMarket(symbol, { leverage, marginType });
+        }
+    };
+
+    return {
+        name: 'simulated',
+        getBalance,
+        getPositions,
+        getTicker,
+        fetchOHLCV,
+        fetchFundingRate,
+        getPremiumIndex,
+        get24hTickers,
+        getOpenInterest,
+        getBookTickers,
+        getExchangeInfo,
+        getLeverageBrackets,
+        getAllLeverageBrackets,
+        setLeverage,
+        setMarginType,
+        isHedgeMode,
+        createOrder,
+        getOrder,
+        getOpenOrders,
+        cancelOrder,
+        addPositionMargin,
+        getUserTrades,
+        // simulation controls
+        setMarket,
+        pushCandle,
+        settleFunding,
+        exportState,
+        importState,
+        hasMarket: (symbol) => markets.has(toBinanceSymbol(symbol)),
+        on: (event, listener) => events.on(event, listener),
+        getTrades: () => [...trades],
+        getTotals: () => ({ ...totals })
+    };
+};
+
+/**
+ * Drive a simulated exchange with random-walk 1m candles, for offline runs of the bots
+ * @param {ReturnType<typeof createSimulatedExchange>} exchange
+ * @param {Object} options
+ * @param {string[]} options.symbols
+ * @param {number} [options.history=500] candles generated up front
+ * @param {number} [options.volatility=0.004] per-candle standard deviation of returns
+ * @param {number} [options.intervalMs=60000] how often a new candle is pushed
+ * @returns {() => void} stops the feed
+ */
+export const createRandomWalkFeed = (exchange, { symbols, history = 500, volatility = 0.004, intervalMs = ONE_MINUTE }) => {
+    const prices = new Map();
+    const step = (symbol, timestamp) => {
+        const open = prices.get(symbol);
+        const close = open * (1 + (Math.random() - 0.5) * 2 * volatility * Math.sqrt(3));
+        const high = Math.max(open, close) * (1 + Math.random() * volatility / 2);
+        const low = Math.min(open, close) * (1 - Math.random() * volatility / 2);
+        prices.set(symbol, close);
+        exchange.pushCandle(symbol, { timestamp, open, high, low, close, volume: Math.round(Math.random() * 100000) });
+    };
+
+    const start = Math.floor(Date.now() / ONE_MINUTE) * ONE_MINUTE - history * ONE_MINUTE;
+    for (const symbol of symbols) {
+        prices.set(symbol, 0.05 + Math.random() * 1.5);
+        // Rates between -0.03% and +0.07% per 8 h, so the funding screener has something to rank
+        exchange.setMarket(symbol, {
+            fundingRate: Number(((Math.random() - 0.3) * 0.001).toFixed(6)),
+            premium: (Math.random() - 0.3) * 0.001,
+            openInterest: Math.round(1e6 + Math.random() * 5e7)
+        });
+        for (let i = 0; i < history; i++) step(symbol, start + i * ONE_MINUTE);
+    }
+
+    const timer = setInterval(() => {
+        const timestamp = Math.floor(Date.now() / ONE_MINUTE) * ONE_MINUTE;
+        for (const symbol of symbols) step(symbol, timestamp);
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+};
+
+/**
+ * Drive a simulated exchange with recorded 1m candles in real time (paper trading on recorded data)
+ * @param {ReturnType<typeof createSimulatedExchange>} exchange
+ * @param {Array<{symbol:string, candles:Object[], fundingRates?:Object[]}>} series as loaded by src/backtest.js
+ * @param {Object} [options]
+ * @param {number} [options.history=500] candles per symbol pushed up front so indicators have data
+ * @param {number} [options.speed=1] replay speed multiplier (1 = one candle per minute)
+ * @returns {() => void} stops the feed
+ */
+export const createReplayFeed = (exchange, series, { history = 500, speed = 1 } = {}) => {
+    const queue = series
+        .flatMap(({ symbol, candles }) => candles.map(candle => ({ symbol, candle })))
+        .sort((a, b) => a.candle.timestamp - b.candle.timestamp);
+    const fundingRates = series.flatMap(({ symbol, fundingRates = [] }) => fundingRates.map(rate => ({ symbol, ...rate })));
+    if (queue.length === 0) return () => {};
+
+    const startTime = queue[Math.min(history * series.length, queue.length) - 1].candle.timestamp;
+    const push = ({ symbol, candle }) => {
+        const latest = fundingRates.filter(rate => rate.symbol === symbol && rate.fundingTime <= candle.timestamp).pop();
+        if (latest) exchange.setMarket(symbol, { fundingRate: latest.fundingRate });
+        exchange.pushCandle(symbol, candle);
+    };
+    while (queue.length && queue[0].candle.timestamp <= startTime) push(queue.shift());
+
+    const timer = setInterval(() => {
+        if (queue.length === 0) return clearInterval(timer);
+        const timestamp = queue[0].candle.timestamp;
+        while (queue.length && queue[0].candle.timestamp === timestamp) push(queue.shift());
+    }, ONE_MINUTE / speed);
+    timer.unref();
+    return () => clearInterval(timer);
+};
@@ -0,0 +1,30 @@
+/**
+ * Bollinger-band mean-reversion strategy
+ *
+ * LONG when the close falls below the lower band, SHORT when it rises above
+ * the upper band, betting on a return to the middle band. The bands are
+ * recomputed from the last period closes on every evaluation.
+ */
+
+import { createBollinger, latestIndicator } from '../indicators.js';
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.period=20]
+ * @param {number} [options.stdDev=2]
+ * @returns {import('./index.js').Strategy}
+ */
+export const createStrategy = ({ period = 20, stdDev = 2 } = {}) => ({
+    name: 'bollinger_reversion',
+    warmup: period,
+    evaluate: async ({ candles }) => {
+        const closePrices = candles.slice(-period).map(candle => candle.close);
+        const bands = latestIndicator(createBollinger(period, stdDev), closePrices);
+        const close = closePrices[closePrices.length - 1];
+        const indicators = { BB_LOWER: bands.lower, BB_MIDDLE: bands.middle, BB_UPPER: bands.upper };
+
+        if (close > bands.upper) return { signal: 'short', reason: `close ${close} above upper band ${bands.upper.toFixed(6)}`, indicators };
+        if (close < bands.lower) return { signal: 'long', reason: `close ${close} below lower band ${bands.lower.toFixed(6)}`, indicators };
+        return { signal: 'none', reason: 'close inside the bands', indicators };
+    }
+});
@@ -0,0 +1,43 @@
+/**
+ * EMA-trend-filtered RSI strategy
+ *
+ * Same RSI extremes as rsi_extreme, but only in the direction of the trend:
+ * LONG oversold dips while the close is above the EMA, SHORT overbought
+ * spikes while it is below.
+ */
+
+import { calculateLatestEMA, calculateLatestRSI } from '../signals.js';
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.rsiPeriod=5]
+ * @param {number} [options.rsiWindow=100] closes fed to the RSI
+ * @param {number} [options.sellRsiThreshold=80]
+ * @param {number} [options.buyRsiThreshold=10]
+ * @param {number} [options.emaPeriod=200] trend EMA
+ * @returns {import('./index.js').Strategy}
+ */
+export const createStrategy = ({ rsiPeriod = 5, rsiWindow = 100, sellRsiThreshold = 80, buyRsiThreshold = 10, emaPeriod = 200 } = {}) => ({
+    name: 'ema_trend_rsi',
+    warmup: Math.max(rsiPeriod + 1, emaPeriod),
+    evaluate: async ({ candles }) => {
+        const closePrices = candles.map(candle => candle.close);
+        const rsi = calculateLatestRSI(closePrices.slice(-rsiWindow), rsiPeriod);
+        const ema = calculateLatestEMA(closePrices, emaPeriod);
+        const close = closePrices[closePrices.length - 1];
+        const indicators = { RSI: rsi, [`EMA${emaPeriod}`]: ema };
+        const trend = close > ema ? 'up' : 'down';
+
+        if (rsi >= sellRsiThreshold) {
+            return trend === 'down'
+                ? { signal: 'short', reason: `RSI ${rsi.toFixed(2)} ≥ ${sellRsiThreshold} in downtrend (close < EMA${emaPeriod})`, indicators }
+                : { signal: 'none', reason: `RSI ${rsi.toFixed(2)} overbought against the uptrend`, indicators };
+        }
+        if (rsi <= buyRsiThreshold && rsi > 0) {
+            return trend === 'up'
+                ? { signal: 'long', reason: `RSI ${rsi.toFixed(2)} ≤ ${buyRsiThreshold} in uptrend (close > EMA${emaPeriod})`, indicators }
+                : { signal: 'none', reason: `RSI ${rsi.toFixed(2)} oversold against the downtrend`, indicators };
+        }
+        return { signal: 'none', reason: `RSI ${rsi.toFixed(2)} inside ${buyRsiThreshold}–${sellRsiThreshold}`, indicators };
+    }
+});
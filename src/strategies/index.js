@@ -0,0 +1,82 @@
+/**
+ * Entry strategy plugins
+ *
+ * A strategy decides whether the scanner (and the backtester) should open a
+ * position on a symbol. Each module in this directory exports
+ * `createStrategy(options)` returning a {@link Strategy}; custom strategies
+ * follow the same contract and are loaded by file path, so new signals can be
+ * added without touching binance_list_open.js.
+ *
+ * Side switches and the price cap are applied here for every strategy, so a
+ * strategy only has to pick a direction.
+ */
+
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * @typedef {Object} StrategyContext
+ * @property {string} symbol Binance id
+ * @property {Array<{timestamp:number, open:number, high:number, low:number, close:number, volume:number}>} candles closed candles, oldest first
+ * @property {{fundingRate:number, nextFundingTime:number}|null} funding rate as a fraction
+ * @property {{price:number}} ticker latest (mark) price
+ */
+
+/**
+ * @typedef {Object} StrategyDecision
+ * @property {'long'|'short'|'none'} signal
+ * @property {string} reason human readable, shown in logs and Telegram
+ * @property {Object<string, number>} [indicators] values worth printing
+ */
+
+/**
+ * @typedef {Object} Strategy
+ * @property {string} name
+ * @property {number} warmup closed candles needed before evaluate() is meaningful
+ * @property {(context:StrategyContext) => Promise<StrategyDecision>} evaluate
+ */
+
+/**
+ * @typedef {Object} StrategyFilters
+ * @property {boolean} [long=true]      LONG entries enabled
+ * @property {boolean} [short=true]     SHORT entries enabled
+ * @property {number} [maxPrice=Infinity] only trade contracts priced below this
+ */
+
+export const BUILTIN_STRATEGIES = ['rsi_extreme', 'ema_trend_rsi', 'bollinger_reversion'];
+
+/**
+ * Load a strategy by built-in name or by path to a custom module
+ * @param {string} name e.g. 'rsi_extreme' or './strategies/my_signal.js'
+ * @param {Object & StrategyFilters} [options] strategy options plus the common filters
+ * @returns {Promise<Strategy>}
+ */
+export const loadStrategy = async (name, options = {}) => {
+    let module;
+    if (BUILTIN_STRATEGIES.includes(name)) {
+        module = await import(`./${name}.js`);
+    } else if (name.startsWith('.') || name.startsWith('/')) {
+        module = await import(pathToFileURL(resolve(name)).href);
+    } else {
+        throw new Error(`Unknown strategy: ${name} (built-in: ${BUILTIN_STRATEGIES.join(', ')})`);
+    }
+    if (typeof module.createStrategy !== 'function') {
+        throw new Error(`Strategy ${name} does not export createStrategy(options)`);
+    }
+
+    const { long = true, short = true, maxPrice = Infinity, ...strategyOptions } = options;
+    const strategy = module.createStrategy(strategyOptions);
+
+    return {
+        name: strategy.name || name,
+        warmup: strategy.warmup || 0,
+        evaluate: async (context) => {
+            const decision = await strategy.evaluate(context);
+            if (decision.signal === 'none') return decision;
+            if (decision.signal === 'long' && !long) return { ...decision, signal: 'none', reason: `${decision.reason} (LONG disabled)` };
+            if (decision.signal === 'short' && !short) return { ...decision, signal: 'none', reason: `${decision.reason} (SHORT disabled)` };
+            if (!(context.ticker.price < maxPrice)) return { ...decision, signal: 'none', reason: `${decision.reason} (price ≥ ${maxPrice})` };
+            return decision;
+        }
+    };
+};
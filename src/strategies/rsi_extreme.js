@@ -0,0 +1,29 @@
+/**
+ * RSI-extreme strategy — the scanner's original rule
+ *
+ * SHORT when RSI ≥ sellRsiThreshold, LONG when 0 < RSI ≤ buyRsiThreshold.
+ */
+
+import { calculateLatestRSI, evaluateEntrySignal } from '../signals.js';
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.rsiPeriod=5]
+ * @param {number} [options.rsiWindow=100] closes fed to the RSI
+ * @param {number} [options.sellRsiThreshold=80]
+ * @param {number} [options.buyRsiThreshold=10]
+ * @returns {import('./index.js').Strategy}
+ */
+export const createStrategy = ({ rsiPeriod = 5, rsiWindow = 100, sellRsiThreshold = 80, buyRsiThreshold = 10 } = {}) => ({
+    name: 'rsi_extreme',
+    warmup: rsiPeriod + 1,
+    evaluate: async ({ candles, ticker }) => {
+        const rsi = calculateLatestRSI(candles.slice(-rsiWindow).map(candle => candle.close), rsiPeriod);
+        const indicators = { RSI: rsi };
+        // Side switches and the price cap are applied by the loader
+        const side = evaluateEntrySignal({ rsi, price: ticker.price }, { sellRsiThreshold, buyRsiThreshold, maxPrice: Infinity, short: true, long: true });
+        if (side === 'sell') return { signal: 'short', reason: `RSI ${rsi.toFixed(2)} ≥ ${sellRsiThreshold}`, indicators };
+        if (side === 'buy') return { signal: 'long', reason: `RSI ${rsi.toFixed(2)} ≤ ${buyRsiThreshold}`, indicators };
+        return { signal: 'none', reason: `RSI ${rsi.toFixed(2)} inside ${buyRsiThreshold}–${sellRsiThreshold}`, indicators };
+    }
+});
@@ -0,0 +1,208 @@
+/**
+ * Process supervisor of the bot components
+ *
+ * The entry scanner and the position manager register here as components.
+ * Started on their own (npm run start:scanner / start:manager) each script is
+ * the only component of its process; started together by binance_bot.js they
+ * run as one service and share:
+ *  • services    the exchange adapter (one API client and one request scheduler,
+ *                src/request_scheduler.js), the symbol metadata and the journal,
+ *                created by the first component that asks for them (shared())
+ *  • event bus   component-to-component events: the scanner's 'position:opened'
+ *                puts the new position in the manager's book at once
+ *  • heartbeats  components beat once per loop pass; one silent for
+ *                supervisor.heartbeatTimeoutMs is reported 'stale', then 'recovered'
+ *  • shutdown    SIGINT / SIGTERM stop every component – no new entries, in-flight
+ *                orders and closes run to the end – then close the shared services;
+ *                after supervisor.shutdownTimeoutMs, or on a second signal, the
+ *                process exits anyway
+ */
+
+import { EventEmitter } from 'node:events';
+
+const SIGNALS = ['SIGINT', 'SIGTERM'];
+
+/**
+ * @typedef {Object} ComponentHealth
+ * @property {string} name
+ * @property {'starting'|'running'|'stale'|'stopping'|'stopped'} status
+ * @property {number} startedAt
+ * @property {number|null} lastHeartbeat
+ * @property {Object} details last heartbeat's details
+ */
+
+/**
+ * Create a supervisor
+ * @param {Object} [options]
+ * @param {boolean} [options.combined=false] several components share the process (and its console)
+ * @param {number} [options.checkIntervalMs=5000] heartbeat check period
+ * @param {() => number} [options.now]
+ * @returns {{combined:boolean, bus:EventEmitter,
+ *            register:(name:string, handlers:{stop:() => Promise<void>|void}) => {heartbeat:(details?:Object) => void, readonly stopping:boolean},
+ *            shared:<T>(name:string, create:() => Promise<T>|T, close?:(service:T) => Promise<void>|void) => Promise<T>,
+ *            start:(options:{getSettings:() => {heartbeatTimeoutMs:number, shutdownTimeoutMs:number}}) => void,
+ *            shutdown:(reason:string) => Promise<{timedOut:string[]}>, getHealth:() => ComponentHealth[],
+ *            on:(event:string, listener:Function) => void}}
+ */
+export const createSupervisor = ({ combined = false, checkIntervalMs = 5000, now = Date.now } = {}) => {
+    const events = new EventEmitter();
+    const bus = new EventEmitter();
+    const components = new Map();
+    const services = new Map();
+    const closers = [];
+    let getSettings = null;
+    let checkTimer = null;
+    let shuttingDown = null;
+
+    /**
+     * Forward errors to listeners; an EventEmitter without 'error' listeners would throw
+     * @param {Error} error
+     */
+    const emitError = (error) => {
+        if (events.listenerCount('error') > 0) events.emit('error', error);
+    };
+
+    /**
+     * Mark the components that stopped beating
+     */
+    const checkHeartbeats = () => {
+        const { heartbeatTimeoutMs } = getSettings();
+        for (const component of components.values()) {
+            if (component.status !== 'running' || now() - component.lastHeartbeat < heartbeatTimeoutMs) continue;
+            component.status = 'stale';
+            events.emit('stale', { name: component.name, silentMs: now() - component.lastHeartbeat });
+        }
+    };
+
+    /**
+     * Register a component
+     * @param {string} name
+     * @param {{stop:() => Promise<void>|void}} handlers stop() returns once the in-flight work is done
+     * @returns {{heartbeat:(details?:Object) => void, readonly stopping:boolean}}
+     */
+    const register = (name, { stop }) => {
+        if (components.has(name)) throw new Error(`Component ${name} is already registered`);
+        const component = { name, stop, status: 'starting', startedAt: now(), lastHeartbeat: null, details: {} };
+        components.set(name, component);
+        return {
+            heartbeat: (details = {}) => {
+                if (shuttingDown) return;
+                const silentMs = component.lastHeartbeat === null ? 0 : now() - component.lastHeartbeat;
+                const recovered = component.status === 'stale';
+                component.status = 'running';
+                component.lastHeartbeat = now();
+                component.details = details;
+                if (recovered) events.emit('recovered', { name, silentMs });
+            },
+            get stopping() {
+                return shuttingDown !== null;
+            }
+        };
+    };
+
+    /**
+     * Get a service shared by the components, creating it on the first request
+     * @template T
+     * @param {string} name
+     * @param {() => Promise<T>|T} create
+     * @param {(service:T) => Promise<void>|void} [close] run at shutdown, after every component stopped
+     * @returns {Promise<T>}
+     */
+    const shared = (name, create, close) => {
+        if (!services.has(name)) {
+            const creating = Promise.resolve().then(create);
+            creating.then(
+                (service) => { if (close) closers.push({ name, close: () => close(service) }); },
+                () => services.delete(name)
+            );
+            services.set(name, creating);
+        }
+        return services.get(name);
+    };
+
+    /**
+     * Stop every component, then close the shared services
+     * @param {string} reason signal name or cause, reported with 'shutdown'
+     * @returns {Promise<{timedOut:string[]}>} components still busy when the timeout hit
+     */
+    const shutdown = (reason) => {
+        if (shuttingDown) return shuttingDown;
+        shuttingDown = (async () => {
+            clearInterval(checkTimer);
+            events.emit('shutdown', { reason });
+            const busy = new Set(components.keys());
+            const stops = [...components.values()].map(async (component) => {
+                component.status = 'stopping';
+                try {
+                    await component.stop();
+                } catch (error) {
+                    emitError(new Error(`Failed to stop ${component.name}: ${error.message}`));
+                }
+                component.status = 'stopped';
+                busy.delete(component.name);
+                events.emit('stopped', { name: component.name });
+            });
+            let timer;
+            await Promise.race([
+                Promise.all(stops),
+                new Promise(resolve => { timer = setTimeout(resolve, getSettings?.().shutdownTimeoutMs ?? 30 * 1000); })
+            ]);
+            clearTimeout(timer);
+            // A component still writing keeps the services it uses
+            if (busy.size === 0) {
+                for (const { name, close } of closers.reverse()) {
+                    try {
+                        await close();
+                    } catch (error) {
+                        emitError(new Error(`Failed to close ${name}: ${error.message}`));
+                    }
+                }
+            }
+            return { timedOut: [...busy] };
+        })();
+        return shuttingDown;
+    };
+
+    /**
+     * Start the heartbeat checks and take over SIGINT / SIGTERM; later calls are ignored
+     * @param {Object} options
+     * @param {() => {heartbeatTimeoutMs:number, shutdownTimeoutMs:number}} options.getSettings supervisor section, read live
+     */
+    const start = (options) => {
+        if (getSettings) return;
+        getSettings = options.getSettings;
+        checkTimer = setInterval(checkHeartbeats, checkIntervalMs);
+        checkTimer.unref();
+        for (const signal of SIGNALS) {
+            process.on(signal, () => {
+                // A second signal does not wait for the in-flight work
+                if (shuttingDown) process.exit(1);
+                shutdown(signal).then(({ timedOut }) => process.exit(timedOut.length > 0 ? 1 : 0));
+            });
+        }
+    };
+
+    return {
+        combined,
+        bus,
+        register,
+        shared,
+        start,
+        shutdown,
+        getHealth: () => [...components.values()].map(({ name, status, startedAt, lastHeartbeat, details }) => ({ name, status, startedAt, lastHeartbeat, details })),
+        on: (event, listener) => events.on(event, listener)
+    };
+};
+
+let instance = null;
+
+/**
+ * The process-wide supervisor, created on the first call (binance_bot.js makes it
+ * first, with combined: true, before loading the components)
+ * @param {Parameters<typeof createSupervisor>[0]} [options] used by the first call only
+ * @returns {ReturnType<typeof createSupervisor>}
+ */
+export const getSupervisor = (options) => {
+    instance ??= createSupervisor(options);
+    return instance;
+};
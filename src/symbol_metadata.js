@@ -0,0 +1,229 @@
+/**
+ * Symbol metadata cache and order filter compliance
+ *
+ * Built from futuresExchangeInfo() and re-read periodically, so listings,
+ * delistings and status changes (TRADING → SETTLING / BREAK / …) are picked up
+ * while the bots run. withOrderFilters() wraps an exchange adapter so every
+ * order is checked against the symbol's filters before it is sent:
+ *  • status          only TRADING symbols accept orders
+ *  • LOT_SIZE / MARKET_LOT_SIZE  quantity rounded down to stepSize, then
+ *                    checked against minQty / maxQty
+ *  • MIN_NOTIONAL    quantity × price of opening orders (reduce-only orders
+ *                    are exempt, as on Binance)
+ *  • PRICE_FILTER    stop prices rounded to tickSize, checked against minPrice / maxPrice
+ * Violations throw "Order rejected for <symbol>: <reason>" without reaching the exchange.
+ */
+
+import { EventEmitter } from 'node:events';
+import { toBinanceSymbol } from './exchange.js';
+
+/**
+ * @typedef {Object} LotFilter
+ * @property {number} stepSize
+ * @property {number} minQty
+ * @property {number} maxQty
+ */
+
+/**
+ * @typedef {Object} SymbolMetadata
+ * @property {string} symbol
+ * @property {string} status          TRADING, SETTLING, PENDING_TRADING, BREAK, …
+ * @property {string} contractType
+ * @property {string} quoteAsset
+ * @property {number} onboardDate
+ * @property {number} tickSize
+ * @property {number} minPrice
+ * @property {number} maxPrice
+ * @property {LotFilter} lot          LOT_SIZE (conditional orders)
+ * @property {LotFilter} marketLot    MARKET_LOT_SIZE (market orders), LOT_SIZE when absent
+ * @property {number} minNotional
+ */
+
+/**
+ * Parse the filters of a futuresExchangeInfo() symbol
+ * @param {Object} info exchangeInfo.symbols entry
+ * @returns {SymbolMetadata}
+ */
+export const parseSymbolInfo = (info) => {
+    const filter = (type) => info.filters.find(f => f.filterType === type);
+    const toLot = (row = {}) => ({
+        stepSize: Number(row.stepSize) || 0,
+        minQty: Number(row.minQty) || 0,
+        maxQty: Number(row.maxQty) || Infinity
+    });
+    const priceFilter = filter('PRICE_FILTER') || {};
+    const lot = toLot(filter('LOT_SIZE'));
+    return {
+        symbol: info.symbol,
+        status: info.status,
+        contractType: info.contractType,
+        quoteAsset: info.quoteAsset,
+        onboardDate: Number(info.onboardDate) || 0,
+        tickSize: Number(priceFilter.tickSize) || 0,
+        minPrice: Number(priceFilter.minPrice) || 0,
+        maxPrice: Number(priceFilter.maxPrice) || Infinity,
+        lot,
+        marketLot: filter('MARKET_LOT_SIZE') ? toLot(filter('MARKET_LOT_SIZE')) : lot,
+        minNotional: Number(filter('MIN_NOTIONAL')?.notional) || 0
+    };
+};
+
+/**
+ * Decimals of a step / tick size (0.001 → 3)
+ * @param {number} step
+ * @returns {number}
+ */
+const stepDecimals = (step) => Math.max(0, -Math.floor(Math.log10(step)));
+
+/**
+ * Round a quantity down to a multiple of the step size
+ * @param {number} quantity
+ * @param {number} stepSize
+ * @returns {number}
+ */
+export const roundToStep = (quantity, stepSize) => {
+    if (!stepSize) return quantity;
+    // The epsilon keeps 0.3 / 0.1 = 2.9999999999999996 from rounding down a whole step
+    return Number((Math.floor(quantity / stepSize + 1e-9) * stepSize).toFixed(stepDecimals(stepSize)));
+};
+
+/**
+ * Round a price to the nearest multiple of the tick size
+ * @param {number} price
+ * @param {number} tickSize
+ * @returns {number}
+ */
+export const roundToTick = (price, tickSize) => {
+    if (!tickSize) return price;
+    return Number((Math.round(price / tickSize) * tickSize).toFixed(stepDecimals(tickSize)));
+};
+
+/**
+ * Check an order against the filters of its symbol and return it rounded
+ * @param {SymbolMetadata} meta
+ * @param {Object} order createOrder() argument
+ * @param {number} [price] reference price for the notional check of market orders
+ * @returns {Object} the order with quantity / stopPrice rounded
+ */
+export const applyOrderFilters = (meta, order, price) => {
+    const reject = (reason) => {
+        throw new Error(`Order rejected for ${meta.symbol}: ${reason}`);
+    };
+    if (meta.status !== 'TRADING') reject(`symbol status is ${meta.status}`);
+
+    const prepared = { ...order };
+    const conditional = order.type === 'STOP_MARKET' || order.type === 'TAKE_PROFIT_MARKET';
+    if (conditional) {
+        if (!(order.stopPrice > 0)) reject('stop price missing');
+        prepared.stopPrice = roundToTick(order.stopPrice, meta.tickSize);
+        if (prepared.stopPrice < meta.minPrice || prepared.stopPrice > meta.maxPrice) {
+            reject(`stop price ${prepared.stopPrice} outside ${meta.minPrice}–${meta.maxPrice} (PRICE_FILTER)`);
+        }
+    }
+    // closePosition orders carry no quantity
+    if (order.closePosition) return prepared;
+
+    const lot = conditional ? meta.lot : meta.marketLot;
+    const filterName = conditional || lot === meta.lot ? 'LOT_SIZE' : 'MARKET_LOT_SIZE';
+    prepared.quantity = roundToStep(Number(order.quantity), lot.stepSize);
+    if (!(prepared.quantity > 0) || prepared.quantity < lot.minQty) {
+        reject(`quantity ${order.quantity} rounds to ${prepared.quantity}, below minQty ${lot.minQty} (${filterName})`);
+    }
+    if (prepared.quantity > lot.maxQty) reject(`quantity ${prepared.quantity} above maxQty ${lot.maxQty} (${filterName})`);
+
+    const reference = conditional ? prepared.stopPrice : price;
+    if (!order.reduceOnly && reference && prepared.quantity * reference < meta.minNotional) {
+        reject(`notional ${(prepared.quantity * reference).toFixed(4)} USDT below ${meta.minNotional} (MIN_NOTIONAL)`);
+    }
+    return prepared;
+};
+
+/**
+ * Create the metadata cache of an exchange
+ * @param {import('./exchange.js').ExchangeAdapter} exchange
+ * @param {Object} [options]
+ * @param {number} [options.refreshIntervalMs=600000] how often exchangeInfo is re-read
+ * @param {number} [options.minRefreshGapMs=60000] an unknown symbol triggers a refresh at most this often
+ * @returns {{start:() => Promise<void>, stop:() => void, refresh:() => Promise<Object>, get:(symbol:string) => SymbolMetadata|undefined,
+ *           lookup:(symbol:string) => Promise<SymbolMetadata>, getAll:() => SymbolMetadata[], on:(event:string, listener:Function) => void}}
+ */
+export const createSymbolMetadata = (exchange, { refreshIntervalMs = 10 * 60 * 1000, minRefreshGapMs = 60 * 1000 } = {}) => {
+    const events = new EventEmitter();
+    let symbols = new Map();
+    let lastRefresh = 0;
+    let timer = null;
+
+    /**
+     * Forward errors to listeners; an EventEmitter without 'error' listeners would throw
+     * @param {Error} error
+     */
+    const emitError = (error) => {
+        if (events.listenerCount('error') > 0) events.emit('error', error);
+    };
+
+    /**
+     * Re-read exchangeInfo and report what changed
+     * @returns {Promise<{listed:string[], delisted:string[], statusChanged:Array<{symbol:string, from:string, to:string}>}>}
+     */
+    const refresh = async () => {
+        lastRefresh = Date.now();
+        const exchangeInfo = await exchange.getExchangeInfo();
+        const next = new Map(exchangeInfo.symbols.map(info => [info.symbol, parseSymbolInfo(info)]));
+        const first = symbols.size === 0;
+        const changes = {
+            listed: [...next.keys()].filter(symbol => !symbols.has(symbol)),
+            delisted: [...symbols.keys()].filter(symbol => !next.has(symbol)),
+            statusChanged: [...next.values()]
+                .filter(meta => symbols.has(meta.symbol) && symbols.get(meta.symbol).status !== meta.status)
+                .map(meta => ({ symbol: meta.symbol, from: symbols.get(meta.symbol).status, to: meta.status }))
+        };
+        symbols = next;
+        if (!first && (changes.listed.length || changes.delisted.length || changes.statusChanged.length)) {
+            events.emit('change', changes);
+        }
+        return changes;
+    };
+
+    /**
+     * Metadata of a symbol, refreshing once when it is unknown (possibly just listed)
+     * @param {string} symbol
+     * @returns {Promise<SymbolMetadata>}
+     */
+    const lookup = async (symbol) => {
+        const id = toBinanceSymbol(symbol);
+        if (!symbols.has(id) && Date.now() - lastRefresh >= minRefreshGapMs) await refresh();
+        const meta = symbols.get(id);
+        if (!meta) throw new Error(`Order rejected for ${id}: symbol is not listed`);
+        return meta;
+    };
+
+    return {
+        start: async () => {
+            await refresh();
+            timer = setInterval(() => refresh().catch(error => emitError(new Error(`Failed to refresh exchange info: ${error.message}`))), refreshIntervalMs);
+        },
+        stop: () => clearInterval(timer),
+        refresh,
+        get: (symbol) => symbols.get(toBinanceSymbol(symbol)),
+        lookup,
+        getAll: () => [...symbols.values()],
+        on: (event, listener) => events.on(event, listener)
+    };
+};
+
+/**
+ * Wrap an exchange adapter so createOrder() validates and rounds every order first
+ * @param {import('./exchange.js').ExchangeAdapter} exchange
+ * @param {ReturnType<typeof createSymbolMetadata>} metadata
+ * @returns {import('./exchange.js').ExchangeAdapter}
+ */
+export const withOrderFilters = (exchange, metadata) => ({
+    ...exchange,
+    createOrder: async (order) => {
+        const meta = await metadata.lookup(order.symbol);
+        const prepared = { ...order, type: order.type || 'MARKET' };
+        const needsPrice = prepared.type === 'MARKET' && !order.reduceOnly && !order.closePosition;
+        const price = needsPrice ? (await exchange.getTicker(order.symbol)).last : undefined;
+        return exchange.createOrder(applyOrderFilters(meta, prepared, price));
+    }
+});
@@ -0,0 +1,183 @@
+/**
+ * Telegram command bot
+ *
+ * Turns the notification bot into a remote control. Messages starting with "/"
+ * from whitelisted chats are dispatched to the command handlers; messages from
+ * any other chat are ignored (and reported through the 'unauthorized' event).
+ * Commands flagged with `confirm` first answer with Confirm / Cancel inline
+ * buttons and only run when Confirm is pressed before the confirmation expires.
+ *
+ * Only one process may poll a bot token, so only the position manager hosts it.
+ */
+
+import { EventEmitter } from 'node:events';
+import { randomBytes } from 'node:crypto';
+
+/**
+ * @typedef {Object} TelegramCommand
+ * @property {string} description                      shown by /help
+ * @property {string} [usage]                          arguments, e.g. 'SYMBOL'
+ * @property {(args:string[]) => Promise<string>} [confirm] question asked before running; throwing rejects the command
+ * @property {(args:string[]) => Promise<string>} run  reply text
+ */
+
+/**
+ * Split "/close@MyBot dogeusdt" into its command and arguments
+ * @param {string} text
+ * @returns {{command:string, args:string[]}|null}
+ */
+export const parseCommand = (text) => {
+    if (typeof text !== 'string' || !text.startsWith('/')) return null;
+    const [head, ...args] = text.trim().split(/\s+/);
+    return { command: head.slice(1).split('@')[0].toLowerCase(), args };
+};
+
+/**
+ * @param {Object} options
+ * @param {import('node-telegram-bot-api')} options.bot bot created with polling: false
+ * @param {Array<string|number>} options.allowedChatIds chats whose commands are accepted
+ * @param {Object<string, TelegramCommand>} options.commands by name, without the slash
+ * @param {string} [options.prefix] prepended to every reply ([PAPER] tag)
+ * @param {number} [options.confirmTimeoutMs=60000] how long Confirm buttons stay valid
+ * @returns {{start:() => Promise<void>, stop:() => Promise<void>, on:(event:string, listener:Function) => void}}
+ */
+export const createTelegramCommands = ({ bot, allowedChatIds, commands, prefix = '', confirmTimeoutMs = 60 * 1000 }) => {
+    const events = new EventEmitter();
+    const allowed = new Set(allowedChatIds.map(String));
+    // Commands waiting for their Confirm button, by callback id
+    const pending = new Map();
+
+    /**
+     * Forward errors to listeners; an EventEmitter without 'error' listeners would throw
+     * @param {Error} error
+     */
+    const emitError = (error) => {
+        if (events.listenerCount('error') > 0) events.emit('error', error);
+    };
+
+    /**
+     * @param {string|number} chatId
+     * @param {string} text
+     * @param {Object} [options] sendMessage options (inline keyboard)
+     */
+    const reply = async (chatId, text, options) => {
+        try {
+            return await bot.sendMessage(chatId, `${prefix}${text}`, options);
+        } catch (error) {
+            emitError(new Error(`Failed to send Telegram reply: ${error.message}`));
+        }
+    };
+
+    /**
+     * Run a command and reply with its result or error
+     * @param {string|number} chatId
+     * @param {string} name
+     * @param {string[]} args
+     */
+    const execute = async (chatId, name, args) => {
+        try {
+            await reply(chatId, await commands[name].run(args));
+        } catch (error) {
+            await reply(chatId, `⚠️ /${name} failed: ${error.message}`);
+        }
+    };
+
+    /**
+     * Command list for /help
+     * @returns {string}
+     */
+    const help = () => [
+        '🤖 Commands',
+        ...Object.entries(commands).map(([name, command]) =>
+            `/${name}${command.usage ? ` ${command.usage}` : ''} – ${command.description}${command.confirm ? ' (asks for confirmation)' : ''}`)
+    ].join('\n');
+
+    /**
+     * @param {import('node-telegram-bot-api').Message} message
+     */
+    const onMessage = async (message) => {
+        const parsed = parseCommand(message.text);
+        if (!parsed) return;
+        const chatId = message.chat.id;
+        if (!allowed.has(String(chatId))) {
+            events.emit('unauthorized', { chatId, text: message.text });
+            return;
+        }
+        const { command: name, args } = parsed;
+        events.emit('command', { chatId, command: name, args });
+        if (name === 'help' || name === 'start') {
+            await reply(chatId, help());
+            return;
+        }
+        const command = commands[name];
+        if (!command) {
+            await reply(chatId, `Unknown command /${name}\n\n${help()}`);
+            return;
+        }
+        if (!command.confirm) {
+            await execute(chatId, name, args);
+            return;
+        }
+
+        let question;
+        try {
+            question = await command.confirm(args);
+        } catch (error) {
+            await reply(chatId, `⚠️ /${name} failed: ${error.message}`);
+            return;
+        }
+        const id = randomBytes(6).toString('hex');
+        pending.set(id, { chatId, name, args, question, expiresAt: Date.now() + confirmTimeoutMs });
+        await reply(chatId, question, {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '✅ Confirm', callback_data: `confirm:${id}` },
+                    { text: '❌ Cancel', callback_data: `cancel:${id}` }
+                ]]
+            }
+        });
+    };
+
+    /**
+     * Confirm / Cancel button pressed
+     * @param {import('node-telegram-bot-api').CallbackQuery} query
+     */
+    const onCallbackQuery = async (query) => {
+        const [action, id] = String(query.data).split(':');
+        const chatId = query.message?.chat.id;
+        const request = pending.get(id);
+        const answer = (text) => bot.answerCallbackQuery(query.id, { text }).catch(error => emitError(new Error(`Failed to answer Telegram button: ${error.message}`)));
+        if (!allowed.has(String(chatId)) || !request || request.chatId !== chatId) {
+            await answer('Not available');
+            return;
+        }
+        pending.delete(id);
+        const expired = request.expiresAt < Date.now();
+        const outcome = expired ? '⌛ Expired' : action === 'confirm' ? '✅ Confirmed' : '❌ Cancelled';
+        await answer(outcome);
+        // Drop the buttons so the same request cannot be confirmed twice
+        await bot.editMessageText(`${prefix}${request.question}\n\n${outcome}`, { chat_id: chatId, message_id: query.message.message_id })
+            .catch(error => emitError(new Error(`Failed to update Telegram message: ${error.message}`)));
+        if (!expired && action === 'confirm') await execute(chatId, request.name, request.args);
+    };
+
+    // Expired confirmations are dropped once a minute
+    let sweeper = null;
+
+    return {
+        start: async () => {
+            bot.on('message', (message) => onMessage(message).catch(emitError));
+            bot.on('callback_query', (query) => onCallbackQuery(query).catch(emitError));
+            bot.on('polling_error', (error) => emitError(new Error(`Telegram polling error: ${error.message}`)));
+            sweeper = setInterval(() => {
+                for (const [id, request] of pending) if (request.expiresAt < Date.now()) pending.delete(id);
+            }, 60 * 1000);
+            await bot.startPolling();
+        },
+        stop: async () => {
+            clearInterval(sweeper);
+            await bot.stopPolling();
+        },
+        on: (event, listener) => events.on(event, listener)
+    };
+};
@@ -0,0 +1,221 @@
+/**
+ * Tradable universe of the entry scanner
+ *
+ * Every trading USDT perpetual is checked against the universe section of the
+ * config; a contract enters the universe only when it passes all of them:
+ *  • minQuoteVolumeUsdt   24 h quote volume
+ *  • minOpenInterestUsdt  open interest × last price (one request per contract,
+ *                         so only for the contracts that pass the other filters)
+ *  • maxSpreadPct         (ask − bid) / mid of the best bid / ask
+ *  • minListingAgeDays    days since onboardDate – new listings are skipped
+ *  • minBracketLeverage   highest leverage of the contract's first bracket
+ * A limit of 0 (1 for the leverage) turns its filter off.
+ *
+ * The market filters are re-evaluated every refreshMinutes, not per candle.
+ * allowSymbols (when not empty) and denySymbols are read live, so /exclude and
+ * /include apply at once. unmanagedSymbols are contracts whose positions the
+ * manager leaves alone (no exits, margin support or brackets); the scanner
+ * never enters them either.
+ */
+
+import { EventEmitter } from 'node:events';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Compact USDT amount for reasons: 1250000 → 1.25M
+ * @param {number} value
+ * @returns {string}
+ */
+const formatUsdt = (value) => {
+    for (const [size, unit] of [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']]) {
+        if (Math.abs(value) >= size) return `${Number((value / size).toFixed(2))}${unit}`;
+    }
+    return String(Number(value.toFixed(2)));
+};
+
+/**
+ * @typedef {Object} UniverseEntry
+ * @property {string} symbol
+ * @property {boolean} included
+ * @property {string|null} reason           first filter the contract failed
+ * @property {number|null} quoteVolume
+ * @property {number|null} openInterestUsdt null when not fetched
+ * @property {number|null} spreadPct        fraction of the mid price
+ * @property {number} listingAgeDays
+ * @property {number|null} maxLeverage
+ */
+
+/**
+ * Why the allow / deny / unmanaged lists keep a symbol out, or null
+ * @param {string} symbol
+ * @param {{allowSymbols:string[], denySymbols:string[], unmanagedSymbols:string[]}} settings
+ * @returns {string|null}
+ */
+export const checkSymbolLists = (symbol, settings) => {
+    if (settings.denySymbols.includes(symbol)) return 'deny list';
+    if (settings.unmanagedSymbols.includes(symbol)) return 'unmanaged by the manager';
+    if (settings.allowSymbols.length > 0 && !settings.allowSymbols.includes(symbol)) return 'not in the allow list';
+    return null;
+};
+
+/**
+ * Apply the market filters to every contract
+ * @param {Object} input
+ * @param {import('./symbol_metadata.js').SymbolMetadata[]} input.symbols trading USDT perpetuals
+ * @param {import('./exchange.js').Ticker24h[]} input.tickers
+ * @param {import('./exchange.js').BookTicker[]} input.bookTickers
+ * @param {Map<string, number>} [input.openInterest] open interest in USDT by symbol
+ * @param {Map<string, import('./exchange.js').LeverageBracket[]>} [input.brackets]
+ * @param {Object} input.settings config universe section
+ * @param {number} [input.now]
+ * @returns {UniverseEntry[]}
+ */
+export const evaluateUniverse = ({ symbols, tickers, bookTickers, openInterest = new Map(), brackets = new Map(), settings, now = Date.now() }) => {
+    const tickerBySymbol = new Map(tickers.map(ticker => [ticker.symbol, ticker]));
+    const bookBySymbol = new Map(bookTickers.map(book => [book.symbol, book]));
+    return symbols.map(({ symbol, onboardDate }) => {
+        const ticker = tickerBySymbol.get(symbol);
+        const book = bookBySymbol.get(symbol);
+        const mid = book ? (book.bid + book.ask) / 2 : 0;
+        const tiers = brackets.get(symbol);
+        const entry = {
+            symbol,
+            quoteVolume: ticker ? ticker.quoteVolume : null,
+            openInterestUsdt: openInterest.has(symbol) ? openInterest.get(symbol) : null,
+            spreadPct: mid > 0 ? (book.ask - book.bid) / mid : null,
+            listingAgeDays: (now - onboardDate) / DAY,
+            maxLeverage: tiers?.length ? Math.max(...tiers.map(tier => Number(tier.initialLeverage))) : null
+        };
+
+        let reason = null;
+        if (settings.minListingAgeDays > 0 && entry.listingAgeDays < settings.minListingAgeDays) {
+            reason = `listed ${entry.listingAgeDays.toFixed(1)} days ago (< ${settings.minListingAgeDays})`;
+        } else if (settings.minQuoteVolumeUsdt > 0 && !(entry.quoteVolume >= settings.minQuoteVolumeUsdt)) {
+            reason = entry.quoteVolume === null ? 'no 24h volume' : `24h volume ${formatUsdt(entry.quoteVolume)} < ${formatUsdt(settings.minQuoteVolumeUsdt)} USDT`;
+        } else if (settings.maxSpreadPct > 0 && !(entry.spreadPct <= settings.maxSpreadPct)) {
+            reason = entry.spreadPct === null ? 'no order book' : `spread ${(entry.spreadPct * 100).toFixed(3)}% > ${(settings.maxSpreadPct * 100).toFixed(3)}%`;
+        } else if (settings.minBracketLeverage > 1 && !(entry.maxLeverage >= settings.minBracketLeverage)) {
+            reason = entry.maxLeverage === null ? 'no leverage brackets' : `max leverage ${entry.maxLeverage}x < ${settings.minBracketLeverage}x`;
+        } else if (settings.minOpenInterestUsdt > 0 && !(entry.openInterestUsdt >= settings.minOpenInterestUsdt)) {
+            reason = entry.openInterestUsdt === null ? 'no open interest' : `open interest ${formatUsdt(entry.openInterestUsdt)} < ${formatUsdt(settings.minOpenInterestUsdt)} USDT`;
+        }
+        return { ...entry, included: reason === null, reason };
+    });
+};
+
+/**
+ * Create the periodically refreshed universe
+ * @param {import('./exchange.js').ExchangeAdapter} exchange
+ * @param {Object} options
+ * @param {ReturnType<import('./symbol_metadata.js').createSymbolMetadata>} options.symbolMetadata
+ * @param {() => Object} options.getSettings current config universe section
+ * @returns {{start:() => Promise<void>, stop:() => void, refresh:() => Promise<{added:string[], removed:string[]}>,
+ *           check:(symbol:string) => string|null, has:(symbol:string) => boolean, getAll:() => UniverseEntry[],
+ *           on:(event:string, listener:Function) => void}}
+ */
+export const createUniverse = (exchange, { symbolMetadata, getSettings }) => {
+    const events = new EventEmitter();
+    let entries = new Map();
+    let timer = null;
+    let stopped = false;
+
+    /**
+     * Forward errors to listeners; an EventEmitter without 'error' listeners would throw
+     * @param {Error} error
+     */
+    const emitError = (error) => {
+        if (events.listenerCount('error') > 0) events.emit('error', error);
+    };
+
+    /**
+     * Re-evaluate the market filters and report which contracts entered or left
+     * @returns {Promise<{added:string[], removed:string[]}>}
+     */
+    const refresh = async () => {
+        const settings = getSettings();
+        const symbols = symbolMetadata.getAll()
+            .filter(s => s.contractType === 'PERPETUAL' && s.quoteAsset === 'USDT' && s.status === 'TRADING');
+        let tickers, bookTickers, brackets;
+        try {
+            [tickers, bookTickers, brackets] = await Promise.all([
+                exchange.get24hTickers(),
+                exchange.getBookTickers(),
+                settings.minBracketLeverage > 1 ? exchange.getAllLeverageBrackets() : new Map()
+            ]);
+        } catch (error) {
+            throw new Error(`Failed to refresh the universe: ${error.message}`);
+        }
+
+        // Open interest has no bulk endpoint: fetch it only for the contracts every other filter kept
+        const openInterest = new Map();
+        if (settings.minOpenInterestUsdt > 0) {
+            const candidates = evaluateUniverse({ symbols, tickers, bookTickers, brackets, settings: { ...settings, minOpenInterestUsdt: 0 } })
+                .filter(entry => entry.included);
+            const lastPrices = new Map(tickers.map(ticker => [ticker.symbol, ticker.last]));
+            for (const { symbol } of candidates) {
+                try {
+                    const { openInterest: contracts } = await exchange.getOpenInterest(symbol);
+                    openInterest.set(symbol, contracts * lastPrices.get(symbol));
+                } catch {
+                    // Left out ('no open interest') until the next refresh
+                }
+            }
+        }
+
+        const next = new Map(evaluateUniverse({ symbols, tickers, bookTickers, openInterest, brackets, settings }).map(entry => [entry.symbol, entry]));
+        const isIncluded = (map, symbol) => map.get(symbol)?.included === true;
+        const changes = {
+            added: [...next.keys()].filter(symbol => isIncluded(next, symbol) && !isIncluded(entries, symbol)),
+            removed: [...entries.keys()].filter(symbol => isIncluded(entries, symbol) && !isIncluded(next, symbol))
+        };
+        const first = entries.size === 0;
+        entries = next;
+        if (!first && (changes.added.length || changes.removed.length)) events.emit('change', changes);
+        return changes;
+    };
+
+    /**
+     * Refresh after refreshMinutes, read each time so edits of the setting apply
+     */
+    const schedule = () => {
+        if (stopped) return;
+        timer = setTimeout(async () => {
+            await refresh().catch(emitError);
+            schedule();
+        }, getSettings().refreshMinutes * 60 * 1000);
+    };
+
+    /**
+     * Why a symbol is outside the universe, or null when it may be traded
+     * @param {string} symbol Binance id
+     * @returns {string|null}
+     */
+    const check = (symbol) => {
+        const listed = checkSymbolLists(symbol, getSettings());
+        if (listed) return listed;
+        const entry = entries.get(symbol);
+        if (!entry) return 'not a trading USDT perpetual at the last refresh';
+        return entry.reason;
+    };
+
+    return {
+        start: async () => {
+            stopped = false;
+            await refresh();
+            schedule();
+        },
+        stop: () => {
+            stopped = true;
+            clearTimeout(timer);
+        },
+        refresh,
+        check,
+        has: (symbol) => check(symbol) === null,
+        getAll: () => [...entries.values()].map(entry => {
+            const reason = checkSymbolLists(entry.symbol, getSettings()) ?? entry.reason;
+            return { ...entry, included: reason === null, reason };
+        }),
+        on: (event, listener) => events.on(event, listener)
+    };
+};
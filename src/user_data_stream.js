@@ -0,0 +1,268 @@
+/**
+ * Account event stream for the position manager
+ *
+ * Normalizes order fills, position / balance changes, liquidations and margin
+ * calls into one event shape, whatever the backend:
+ *  • binance   — futures user-data stream (listenKey, kept alive every 30 min,
+ *                recreated when Binance reports it expired). The socket
+ *                reconnects with exponential backoff.
+ *  • simulated / paper — the adapter's own order / liquidation / funding /
+ *                margin events, with the affected positions read back from it.
+ *
+ * Events (listen with on()):
+ *  • 'order'       {symbol, positionSide, side, type, status, orderId, clientOrderId, executedQty, avgPrice, realizedPnl, commission, reduceOnly}
+ *  • 'account'     {reason, balance?, positions} positions are partial position rows (see exchange.js Position)
+ *  • 'liquidation' {symbol, positionSide, quantity, price}
+ *  • 'funding'     {symbol?, positionSide?, payment, rate?} payment > 0 = paid; Binance omits the
+ *                  position of cross-margin funding, so symbol may be undefined
+ *  • 'marginCall'  {positions: [{symbol, positionSide, positionAmt, markPrice, unRealizedProfit, maintenanceMargin}]}
+ *  • 'connect' / 'disconnect' / 'error'
+ *
+ * @requires ws
+ */
+
+import { EventEmitter } from 'node:events';
+import WebSocket from 'ws';
+
+const KEEPALIVE_INTERVAL = 30 * 60 * 1000;
+
+/**
+ * Position row of an ACCOUNT_UPDATE / MARGIN_CALL payload in futuresPositionRisk() shape
+ * @param {Object} row
+ * @returns {Object}
+ */
+const toPositionRow = (row) => ({
+    symbol: row.s,
+    positionSide: row.ps,
+    positionAmt: row.pa,
+    ...(row.ep !== undefined && { entryPrice: row.ep }),
+    ...(row.mp !== undefined && { markPrice: row.mp }),
+    unRealizedProfit: row.up,
+    ...(row.mt !== undefined && { marginType: row.mt.toLowerCase() === 'isolated' ? 'ISOLATED' : 'CROSSED' }),
+    isolatedWallet: row.iw
+});
+
+/**
+ * Create the account event stream of an exchange adapter
+ * @param {import('./exchange.js').ExchangeAdapter} exchange
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl='wss://fstream.binance.com']
+ * @param {number} [options.maxReconnectDelayMs=60000]
+ * @returns {{start:() => Promise<void>, stop:() => Promise<void>, on:(event:string, listener:Function) => void, isConnected:() => boolean}}
+ */
+export const createUserDataStream = (exchange, { baseUrl = 'wss://fstream.binance.com', maxReconnectDelayMs = 60 * 1000 } = {}) => {
+    const events = new EventEmitter();
+    let connected = false;
+    let stopped = false;
+
+    /**
+     * Forward errors to listeners; an EventEmitter without 'error' listeners would throw
+     * @param {Error} error
+     */
+    const emitError = (error) => {
+        if (events.listenerCount('error') > 0) events.emit('error', error);
+    };
+
+    // ────────────────────────────────────────────────
+    // Binance user-data stream
+    // ────────────────────────────────────────────────
+
+    let socket = null;
+    let listenKey = null;
+    let keepAliveTimer = null;
+    let attempts = 0;
+
+    /**
+     * Handle one user-data payload
+     * @param {Object} message
+     */
+    const handleMessage = (message) => {
+        switch (message.e) {
+            case 'ORDER_TRADE_UPDATE': {
+                const o = message.o;
+                events.emit('order', {
+                    symbol: o.s,
+                    positionSide: o.ps,
+                    side: o.S,
+                    type: o.ot || o.o,
+                    status: o.X,
+                    orderId: o.i,
+                    clientOrderId: o.c,
+                    executedQty: o.z,
+                    avgPrice: o.ap,
+                    realizedPnl: Number(o.rp),
+                    commission: Number(o.n || 0),
+                    reduceOnly: o.R
+                });
+                // Forced closes carry the LIQUIDATION type / autoclose- client id
+                if (o.X === 'FILLED' && (o.o === 'LIQUIDATION' || o.c?.startsWith('autoclose-'))) {
+                    events.emit('liquidation', { symbol: o.s, positionSide: o.ps, quantity: Number(o.z), price: Number(o.ap) });
+                }
+                break;
+            }
+            case 'ACCOUNT_UPDATE': {
+                const usdt = message.a.B.find(balance => balance.a === 'USDT');
+                if (message.a.m === 'FUNDING_FEE' && usdt) {
+                    const [position] = message.a.P;
+                    events.emit('funding', { symbol: position?.s, positionSide: position?.ps, payment: -Number(usdt.bc) });
+                }
+                events.emit('account', {
+                    reason: message.a.m,
+                    balance: usdt ? Number(usdt.cw) : undefined,
+                    positions: message.a.P.map(toPositionRow)
+                });
+                break;
+            }
+            case 'MARGIN_CALL':
+                events.emit('marginCall', {
+                    positions: message.p.map(row => ({ ...toPositionRow(row), maintenanceMargin: row.mm }))
+                });
+                break;
+            case 'listenKeyExpired':
+                // A dead key never delivers again: drop the socket, reconnect() fetches a new one
+                listenKey = null;
+                socket?.terminate();
+                break;
+        }
+    };
+
+    /**
+     * Open the user-data socket (creating a listenKey when needed)
+     */
+    const connect = async () => {
+        if (stopped) return;
+        try {
+            listenKey ??= await exchange.createListenKey();
+        } catch (error) {
+            emitError(new Error(`Failed to create listenKey: ${error.message}`));
+            return reconnect();
+        }
+        socket = new WebSocket(`${baseUrl}/ws/${listenKey}`);
+        socket.on('open', () => {
+            attempts = 0;
+            connected = true;
+            events.emit('connect');
+        });
+        socket.on('message', (raw) => {
+            try {
+                handleMessage(JSON.parse(raw));
+            } catch (error) {
+                emitError(new Error(`Bad user-data message: ${error.message}`));
+            }
+        });
+        socket.on('error', (error) => emitError(new Error(`User-data stream error: ${error.message}`)));
+        socket.on('close', () => {
+            if (connected) events.emit('disconnect');
+            connected = false;
+            reconnect();
+        });
+    };
+
+    /**
+     * Reconnect with exponential backoff
+     */
+    const reconnect = () => {
+        if (stopped) return;
+        setTimeout(connect, Math.min(maxReconnectDelayMs, 1000 * 2 ** attempts++));
+    };
+
+    // ────────────────────────────────────────────────
+    // Simulated / paper events
+    // ────────────────────────────────────────────────
+
+    /**
+     * Emit an 'account' event with the current rows of a symbol
+     * @param {string} symbol
+     * @param {string} reason ACCOUNT_UPDATE reason code
+     */
+    const emitAccount = async (symbol, reason) => {
+        try {
+            const positions = await exchange.getPositions(symbol);
+            // Closed sides no longer have a row; report them flat so the book drops them
+            const rows = ['LONG', 'SHORT', 'BOTH']
+                .map(positionSide => positions.find(p => p.positionSide === positionSide) || { symbol, positionSide, positionAmt: '0' });
+            events.emit('account', { reason, positions: rows });
+        } catch (error) {
+            emitError(new Error(`Failed to read positions for ${symbol}: ${error.message}`));
+        }
+    };
+
+    /**
+     * Re-emit the simulated / paper adapter's events in user-data shape
+     */
+    const subscribeAdapterEvents = () => {
+        exchange.on('order', (order) => {
+            events.emit('order', {
+                symbol: order.symbol,
+                positionSide: order.positionSide,
+                side: order.side,
+                type: order.type,
+                status: order.status,
+                orderId: order.orderId,
+                clientOrderId: order.clientOrderId,
+                executedQty: order.executedQty,
+                avgPrice: order.avgPrice,
+                realizedPnl: order.realizedPnl,
+                commission: order.commission,
+                reduceOnly: order.reduceOnly
+            });
+            if (order.status === 'FILLED') emitAccount(order.symbol, 'ORDER');
+        });
+        exchange.on('liquidation', ({ symbol, positionSide, quantity, price }) => {
+            events.emit('liquidation', { symbol, positionSide, quantity, price });
+            emitAccount(symbol, 'ORDER');
+        });
+        exchange.on('funding', ({ symbol, positionSide, payment, rate }) => {
+            events.emit('funding', { symbol, positionSide, payment, rate });
+            emitAccount(symbol, 'FUNDING_FEE');
+        });
+        exchange.on('margin', ({ symbol }) => emitAccount(symbol, 'MARGIN_TRANSFER'));
+    };
+
+    // ────────────────────────────────────────────────
+    // Lifecycle
+    // ────────────────────────────────────────────────
+
+    /**
+     * Start streaming account events
+     * @returns {Promise<void>}
+     */
+    const start = async () => {
+        stopped = false;
+        if (exchange.createListenKey) {
+            await connect();
+            keepAliveTimer = setInterval(async () => {
+                if (!listenKey) return;
+                try {
+                    await exchange.keepAliveListenKey();
+                } catch (error) {
+                    emitError(new Error(`Failed to keep listenKey alive: ${error.message}`));
+                }
+            }, KEEPALIVE_INTERVAL);
+            return;
+        }
+        if (!exchange.on) throw new Error(`Exchange ${exchange.name} has no account event stream`);
+        subscribeAdapterEvents();
+        connected = true;
+        events.emit('connect');
+    };
+
+    /**
+     * Stop streaming and release the listenKey
+     * @returns {Promise<void>}
+     */
+    const stop = async () => {
+        stopped = true;
+        connected = false;
+        clearInterval(keepAliveTimer);
+        socket?.terminate();
+        if (listenKey) await exchange.closeListenKey().catch(() => {});
+    };
+
+    return {
+        start,
+        stop,
+        on: (event, listener) => events.on(event, listener),
+        isConnected: () => connected
+    };
+};
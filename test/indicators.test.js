@@ -0,0 +1,119 @@
+/**
+ * Golden-value tests of src/indicators.js
+ *
+ * The expected values were computed with the technicalindicators package (3.1),
+ * an independent implementation, on the fixed series below. The bots no longer
+ * depend on it, so the values cannot be regenerated from this tree; changing
+ * them needs that package (or another reference) installed. Its ATR / ADX skip
+ * the first candle's true range and directional move, so they were fed the
+ * series with its first candle doubled; the first candle is flat (high = low =
+ * close), which makes that extra move zero and the warmups line up with the
+ * tulind convention used here.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createADX, createATR, createBollinger, createEMA, createMACD, createRSI, createSMA, createVWAP,
+    indicatorSeries, latestIndicator
+} from '../src/indicators.js';
+
+const START = Date.UTC(2024, 5, 1);
+const MINUTE = 60 * 1000;
+
+// 40 one-minute candles: [high, low, close, volume]
+const CANDLES = [
+    [100, 100, 100, 1000], [103.37, 100.6, 102.96, 1037], [103.94, 102.55, 103.53, 1074], [103.94, 102.78, 103.19, 1111],
+    [104.46, 102.78, 104.04, 1148], [105.31, 103.62, 104.89, 1185], [105.31, 103.44, 103.86, 1222], [104.28, 102.22, 102.63, 1259],
+    [103.11, 102.22, 102.7, 1296], [103.11, 101.73, 102.14, 1333], [102.55, 99.74, 100.14, 1370], [100.54, 98.63, 99.03, 1407],
+    [99.59, 98.63, 99.19, 1444], [99.59, 98.07, 98.46, 1481], [98.85, 96.75, 97.14, 1018], [97.82, 96.75, 97.43, 1055],
+    [98.92, 97.04, 98.53, 1092], [98.92, 98.08, 98.47, 1129], [98.89, 98.08, 98.5, 1166], [100.57, 98.11, 100.17, 1203],
+    [102.11, 99.77, 101.7, 1240], [102.18, 101.29, 101.77, 1277], [102.75, 101.36, 102.34, 1314], [104.45, 101.93, 104.03, 1351],
+    [104.91, 103.61, 104.49, 1388], [104.91, 103.15, 103.56, 1425], [103.98, 103.15, 103.57, 1462], [104.45, 103.16, 104.03, 1499],
+    [104.45, 102.38, 102.79, 1036], [103.2, 100.61, 101.01, 1073], [101.41, 100.28, 100.68, 1110], [101.08, 99.94, 100.34, 1147],
+    [100.74, 98.23, 98.62, 1184], [99.01, 97.12, 97.51, 1221], [98.4, 97.12, 98.01, 1258], [98.44, 97.62, 98.05, 1295],
+    [98.44, 96.84, 97.23, 1332], [98.13, 96.84, 97.74, 1369], [99.79, 97.35, 99.39, 1406], [100.35, 98.99, 99.95, 1443]
+].map(([high, low, close, volume], index) => ({ timestamp: START + index * MINUTE, high, low, close, volume }));
+
+const CLOSES = CANDLES.map(candle => candle.close);
+
+/**
+ * Check the warmup (null up to firstIndex) and the values at the golden indices
+ * @param {Array<any>} series indicatorSeries() output
+ * @param {number} firstIndex index of the first value
+ * @param {Object<number, number>} golden index → expected value
+ * @param {string} [key] field of an object-valued indicator
+ */
+const assertSeries = (series, firstIndex, golden, key) => {
+    const pick = (value) => value === null ? null : key ? value[key] : value;
+    assert.equal(series.findIndex(value => pick(value) !== null && pick(value) !== undefined), firstIndex, 'warmup length');
+    for (const [index, expected] of Object.entries(golden)) {
+        const actual = pick(series[index]);
+        assert.ok(Math.abs(actual - expected) < 1e-6, `[${index}]${key ? `.${key}` : ''}: expected ${expected}, got ${actual}`);
+    }
+};
+
+test('SMA: mean of the last period closes, first value after period closes', () => {
+    assertSeries(indicatorSeries(createSMA(10), CLOSES), 9, { 9: 102.994, 10: 103.008, 24: 100.743, 39: 98.752 });
+});
+
+test('EMA: seeded with the SMA, first value after period closes', () => {
+    assertSeries(indicatorSeries(createEMA(10), CLOSES), 9, { 9: 102.994, 10: 102.475091, 24: 101.768408, 39: 99.213407 });
+});
+
+test('RSI: Wilder smoothing, first value after period + 1 closes', () => {
+    assertSeries(indicatorSeries(createRSI(14), CLOSES), 14, { 14: 39.622642, 15: 40.960699, 26: 62.272459, 39: 50.087491 });
+});
+
+test('RSI: 50 on a flat series', () => {
+    assert.equal(latestIndicator(createRSI(5), new Array(10).fill(1)), 50);
+});
+
+test('Bollinger: SMA ± 2 population standard deviations, first value after period closes', () => {
+    const series = indicatorSeries(createBollinger(20, 2), CLOSES);
+    assertSeries(series, 19, { 19: 96.024613, 20: 96.112608, 29: 96.115365, 39: 96.069033 }, 'lower');
+    assertSeries(series, 19, { 19: 100.85, 20: 100.935, 29: 100.8175, 39: 100.8405 }, 'middle');
+    assertSeries(series, 19, { 19: 105.675387, 20: 105.757392, 29: 105.519635, 39: 105.611967 }, 'upper');
+});
+
+test('MACD: first value after slowPeriod + signalPeriod − 1 closes', () => {
+    const series = indicatorSeries(createMACD(5, 10, 4), CLOSES);
+    assertSeries(series, 12, { 12: -1.010117, 13: -1.11361, 25: 1.024663, 39: -0.235502 }, 'macd');
+    assertSeries(series, 12, { 12: -0.682732, 13: -0.855083, 25: 0.865976, 39: -0.567166 }, 'signal');
+    assertSeries(series, 12, { 12: -0.327385, 13: -0.258527, 25: 0.158687, 39: 0.331665 }, 'histogram');
+});
+
+test('ATR: Wilder average of the true range, first value after period candles', () => {
+    assertSeries(indicatorSeries(createATR(14), CANDLES), 13, { 13: 1.620714, 14: 1.654949, 26: 1.570343, 39: 1.606999 });
+});
+
+test('ADX: +DI / −DI after period candles, ADX after 2 × period − 1', () => {
+    const series = indicatorSeries(createADX(5), CANDLES);
+    assertSeries(series, 8, { 8: 72.028083, 9: 60.43818, 23: 55.998702, 39: 46.629878 }, 'adx');
+    assertSeries(series, 4, { 8: 29.327165, 9: 23.96701, 23: 46.303601, 39: 25.70909 }, 'plusDI');
+    assertSeries(series, 4, { 8: 14.14747, 9: 18.051417, 23: 5.607508, 39: 17.941435 }, 'minusDI');
+});
+
+test('VWAP: cumulative typical price × volume, from the first candle', () => {
+    assertSeries(indicatorSeries(createVWAP({ sessionMs: 0 }), CANDLES), 0, { 0: 100, 1: 101.175979, 19: 100.868112, 39: 100.876074 });
+});
+
+test('VWAP: restarts with every session', () => {
+    const vwap = createVWAP({ sessionMs: 20 * MINUTE });
+    const series = indicatorSeries(vwap, CANDLES);
+    const restarted = latestIndicator(createVWAP({ sessionMs: 0 }), CANDLES.slice(20));
+    assert.ok(Math.abs(series[39] - restarted) < 1e-9);
+    assert.ok(Math.abs(series[19] - 100.868112) < 1e-6);
+});
+
+test('streaming and batch give the same values', () => {
+    const streamed = createRSI(14);
+    for (const close of CLOSES) streamed.update(close);
+    assert.equal(streamed.value, latestIndicator(createRSI(14), CLOSES));
+});
+
+test('invalid periods are rejected', () => {
+    assert.throws(() => createSMA(0), /Invalid SMA period/);
+    assert.throws(() => createEMA(2.5), /Invalid EMA period/);
+    assert.throws(() => createMACD(26, 12), /fast period/);
+});